@@ -1,9 +1,10 @@
 from cohere import Client
-from flask import Flask, request, jsonify, send_file
+from flask import Flask, request, jsonify, send_file, Response, stream_with_context
 from flask_cors import CORS, cross_origin
 import requests
 from clarifai.client.model import Model
 import os
+import json
 import asyncio
 import mimetypes
 import logging
@@ -31,6 +32,39 @@ app = Flask(__name__)
 # Giới hạn kích thước upload 10MB (tránh ảnh điện thoại quá lớn gây lỗi)
 app.config['MAX_CONTENT_LENGTH'] = 10 * 1024 * 1024
 
+# CSP nghiêm ngặt: không 'unsafe-inline'/'unsafe-eval', mọi script/handler nằm trong file .js.
+# connect-src gồm các backend trong assets/js/endpoints.js; thêm backend khác qua ENV CSP_CONNECT_SRC
+# (cách nhau bởi dấu cách). Giữ đồng bộ với _headers và netlify.toml.
+CSP_CONNECT_SRC = ' '.join([
+    "'self'",
+    'http://127.0.0.1:5000',
+    'http://localhost:5000',
+    'https://foodninja-backend-latest.onrender.com',
+    'https://nckh-nutrition-food.onrender.com',
+    # Service worker tải trước CSS/JS từ CDN
+    'https://cdn.jsdelivr.net',
+    'https://cdnjs.cloudflare.com',
+    'https://fonts.googleapis.com',
+    'https://fonts.gstatic.com',
+    'https://unpkg.com',
+    os.environ.get('CSP_CONNECT_SRC', ''),
+]).strip()
+CONTENT_SECURITY_POLICY = '; '.join([
+    "default-src 'self'",
+    "script-src 'self' https://cdn.jsdelivr.net https://unpkg.com",
+    "style-src 'self' https://cdn.jsdelivr.net https://cdnjs.cloudflare.com https://fonts.googleapis.com https://unpkg.com",
+    "font-src 'self' data: https://cdnjs.cloudflare.com https://fonts.gstatic.com",
+    "img-src 'self' data: blob: https://images.unsplash.com",
+    "media-src 'self' blob:",
+    f"connect-src {CSP_CONNECT_SRC}",
+    "worker-src 'self'",
+    "manifest-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+])
+
 # Add security headers to all responses
 @app.after_request
 def add_security_headers(response):
@@ -39,7 +73,7 @@ def add_security_headers(response):
     if not response.headers.get('Cache-Control'):
         response.headers['Cache-Control'] = 'no-cache, no-store, must-revalidate'
     response.headers['X-Content-Type-Options'] = 'nosniff'
-    response.headers['Content-Security-Policy'] = "default-src 'self' 'unsafe-inline' 'unsafe-eval' https: data: blob:; frame-ancestors 'none'"
+    response.headers['Content-Security-Policy'] = CONTENT_SECURITY_POLICY
     response.headers['Referrer-Policy'] = 'strict-origin-when-cross-origin'
     # Remove deprecated headers
     response.headers.pop('X-XSS-Protection', None)
@@ -113,7 +147,7 @@ def root():
     response = jsonify({
         'status': 'ok',
         'service': 'Nutrition Food API',
-        'endpoints': ['/predict (POST)', '/chat (POST)', '/ask_ai (POST)']
+        'endpoints': ['/predict (POST)', '/chat (POST)', '/chat/stream (POST)', '/ask_ai (POST)', '/nutrition (GET)']
     })
     response.headers['Content-Type'] = 'application/json; charset=utf-8'
     response.headers['Cache-Control'] = 'no-cache, no-store, must-revalidate'
@@ -139,10 +173,10 @@ def ask_ai():
     data = request.get_json()
     prompt = data.get('prompt', '')
     if not prompt:
-        return jsonify({'error': 'No prompt provided'}), 400
+        return jsonify({'error': 'No prompt provided', 'code': 'invalid_request'}), 400
     try:
         if not COHERE_API_KEY:
-            return jsonify({'error': 'Missing COHERE_API_KEY'}), 500
+            return jsonify({'error': 'Missing COHERE_API_KEY', 'code': 'missing_key'}), 500
         print(f"[ASK_AI] Prompt gửi lên Cohere: {prompt}: Trả lời ngắn gọn, súc tích, hướng tới người tiêu dùng và sức khỏe.")
         client = Client(api_key=COHERE_API_KEY)
         ai_answer = ""
@@ -169,6 +203,36 @@ def ask_ai():
 
 # Clarifai & CalorieNinjas config
 MODEL_URL = "https://clarifai.com/clarifai/main/models/food-item-recognition"
+CALORIE_API_URL = 'https://api.calorieninjas.com/v1/nutrition'
+
+def query_calorie_ninjas(query):
+    """Tra cứu dinh dưỡng trên CalorieNinjas, trả về None nếu API trả lỗi"""
+    headers = {'X-Api-Key': CALORIE_API_KEY}
+    response = requests.get(CALORIE_API_URL, params={'query': query}, headers=headers, timeout=10)
+    if response.status_code == requests.codes.ok:
+        return response.json()
+    logger.warning(f"CalorieNinjas API returned status {response.status_code}")
+    return None
+
+@app.route('/nutrition', methods=['GET'])
+@cross_origin(origins=ORIGINS_FOR_CORS)
+def nutrition_lookup():
+    query = request.args.get('query', '').strip()
+    if not query:
+        return jsonify({'error': 'No query provided', 'code': 'invalid_request'}), 400
+    if not CALORIE_API_KEY:
+        return jsonify({'error': 'Missing CALORIE_API_KEY', 'code': 'missing_key'}), 500
+    try:
+        nutrition = query_calorie_ninjas(query)
+    except requests.exceptions.Timeout:
+        logger.error("CalorieNinjas API timeout")
+        return jsonify({'error': 'Nutrition lookup timed out'}), 504
+    except requests.exceptions.RequestException as e:
+        logger.error(f"CalorieNinjas API error: {str(e)}")
+        return jsonify({'error': 'Nutrition lookup failed'}), 502
+    if nutrition is None:
+        return jsonify({'error': 'Nutrition lookup failed'}), 502
+    return jsonify({'query': query, 'nutrition': nutrition})
 
 @app.route('/predict', methods=['POST'])
 @cross_origin(origins=ORIGINS_FOR_CORS)
@@ -179,25 +243,25 @@ def predict():
         pass
     
     if 'image' not in request.files:
-        return jsonify({'error': 'No image uploaded'}), 400
+        return jsonify({'error': 'No image uploaded', 'code': 'invalid_request'}), 400
     
     if not PAT:
-        return jsonify({'error': 'Missing CLARIFAI_PAT'}), 500
+        return jsonify({'error': 'Missing CLARIFAI_PAT', 'code': 'missing_key'}), 500
     
     image = request.files['image']
     
     # Validate file
     if image.filename == '':
-        return jsonify({'error': 'No image selected'}), 400
+        return jsonify({'error': 'No image selected', 'code': 'invalid_request'}), 400
     
     if not allowed_file(image.filename):
-        return jsonify({'error': 'Invalid file type. Please upload PNG, JPG, JPEG, GIF, BMP, or WEBP files only.'}), 400
+        return jsonify({'error': 'Invalid file type. Please upload PNG, JPG, JPEG, GIF, BMP, or WEBP files only.', 'code': 'invalid_request'}), 400
     
     image_bytes = image.read()
     
     # Check if image is not empty
     if len(image_bytes) == 0:
-        return jsonify({'error': 'Empty image file'}), 400
+        return jsonify({'error': 'Empty image file', 'code': 'invalid_request'}), 400
     try:
         model_prediction = Model(url=MODEL_URL, pat=PAT).predict_by_bytes(
             input_bytes=image_bytes,
@@ -205,7 +269,7 @@ def predict():
         )
         concepts = model_prediction.outputs[0].data.concepts
         if not concepts:
-            return jsonify({'error': 'No food detected'}), 200
+            return jsonify({'error': 'No food detected', 'code': 'no_food_detected'}), 200
         # Lấy best prediction
         food_name = concepts[0].name
         probability = float(concepts[0].value)
@@ -255,13 +319,7 @@ def predict():
         nutrition = None
         if CALORIE_API_KEY:
             try:
-                api_url = f'https://api.calorieninjas.com/v1/nutrition?query={food_name}'
-                headers = {'X-Api-Key': CALORIE_API_KEY}
-                response = requests.get(api_url, headers=headers, timeout=10)
-                if response.status_code == requests.codes.ok:
-                    nutrition = response.json()
-                else:
-                    logger.warning(f"CalorieNinjas API returned status {response.status_code}")
+                nutrition = query_calorie_ninjas(food_name)
             except requests.exceptions.Timeout:
                 logger.error("CalorieNinjas API timeout")
             except requests.exceptions.RequestException as e:
@@ -318,6 +376,32 @@ def predict():
         logger.error(f"Prediction error: {str(e)}")
         return jsonify({'error': 'Internal server error during prediction'}), 500
 
+# Lịch sử hội thoại từ frontend: [{role: 'user' | 'assistant', content}] -> chat_history của Cohere
+CHAT_HISTORY_LIMIT = 20
+CHAT_HISTORY_ROLES = {'user': 'USER', 'assistant': 'CHATBOT'}
+
+def build_chat_options(data):
+    options = {}
+    history = []
+    for turn in (data.get('history') or [])[-CHAT_HISTORY_LIMIT:]:
+        if not isinstance(turn, dict):
+            continue
+        role = CHAT_HISTORY_ROLES.get(turn.get('role'))
+        content = str(turn.get('content') or '').strip()
+        if role and content:
+            history.append({'role': role, 'message': content})
+    if history:
+        options['chat_history'] = history
+    # Kết quả phân tích gần nhất để AI hiểu các câu như "món này", "bữa tối thì sao?"
+    context = data.get('context')
+    if isinstance(context, dict) and context.get('foodName'):
+        options['preamble'] = (
+            "Bạn là trợ lý dinh dưỡng của Food Ninja. "
+            "Món người dùng vừa phân tích (dùng khi câu hỏi liên quan): "
+            f"{json.dumps(context, ensure_ascii=False)}"
+        )
+    return options
+
 @app.route('/chat', methods=['POST', 'OPTIONS'])
 @cross_origin(origins=ORIGINS_FOR_CORS)  # Chỉ cho phép các origin cấu hình
 def chat():
@@ -327,15 +411,16 @@ def chat():
     data = request.get_json()
     user_message = data.get('message', '')
     if not user_message:
-        return jsonify({'error': 'No message provided'}), 400
+        return jsonify({'error': 'No message provided', 'code': 'invalid_request'}), 400
     try:
         if not COHERE_API_KEY:
-            return jsonify({'error': 'Missing COHERE_API_KEY'}), 500
+            return jsonify({'error': 'Missing COHERE_API_KEY', 'code': 'missing_key'}), 500
         client = Client(api_key=COHERE_API_KEY)
         response = client.chat(
             model="command-a-03-2025",
             message=user_message,
-            temperature=0.3
+            temperature=0.3,
+            **build_chat_options(data)
         )
         ai_answer = getattr(response, 'text', None) or (
             response.message.content[0].text if getattr(response, 'message', None) and getattr(response.message, 'content', None) else ""
@@ -346,12 +431,53 @@ def chat():
     except Exception as e:
         return jsonify({'error': str(e)}), 500
 
+# Chat dạng stream (Server-Sent Events): gửi từng đoạn văn bản ngay khi Cohere sinh ra
+@app.route('/chat/stream', methods=['POST', 'OPTIONS'])
+@cross_origin(origins=ORIGINS_FOR_CORS)
+def chat_stream():
+    if request.method == 'OPTIONS':
+        return ('', 204)
+    data = request.get_json(silent=True) or {}
+    user_message = data.get('message', '')
+    if not user_message:
+        return jsonify({'error': 'No message provided', 'code': 'invalid_request'}), 400
+    if not COHERE_API_KEY:
+        return jsonify({'error': 'Missing COHERE_API_KEY', 'code': 'missing_key'}), 500
+
+    def sse(event, payload):
+        return f"event: {event}\ndata: {json.dumps(payload, ensure_ascii=False)}\n\n"
+
+    def generate():
+        received = False
+        try:
+            client = Client(api_key=COHERE_API_KEY)
+            for event in client.chat_stream(
+                model="command-a-03-2025",
+                message=user_message,
+                temperature=0.3,
+                **build_chat_options(data)
+            ):
+                if getattr(event, 'event_type', None) == 'text-generation' and event.text:
+                    received = True
+                    yield sse('token', {'text': event.text})
+            if not received:
+                yield sse('token', {'text': "[AI Warning] Cohere không trả về nội dung. Hãy kiểm tra lại prompt hoặc quota API."})
+            yield sse('done', {})
+        except Exception as e:
+            yield sse('error', {'error': str(e)})
+
+    response = Response(stream_with_context(generate()), mimetype='text/event-stream')
+    response.headers['Cache-Control'] = 'no-cache'
+    # Tắt buffer của reverse proxy để token tới trình duyệt ngay
+    response.headers['X-Accel-Buffering'] = 'no'
+    return response
+
 # Xử lý lỗi file quá lớn (413) để trả JSON rõ ràng
 from werkzeug.exceptions import RequestEntityTooLarge
 
 @app.errorhandler(413)
 def handle_large_file(e: RequestEntityTooLarge):
-    return jsonify({'error': 'File quá lớn, tối đa 10MB'}), 413
+    return jsonify({'error': 'File quá lớn, tối đa 10MB', 'code': 'too_large'}), 413
 
 # Main entry point
 if __name__ == '__main__':
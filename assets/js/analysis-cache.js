@@ -0,0 +1,246 @@
+/* ========================================
+   Food Ninja - Analysis Result Cache
+   ======================================== */
+
+// Results of /predict keyed by a SHA-256 of the uploaded (preprocessed) image,
+// so the same photo does not cost another Clarifai, CalorieNinjas and Cohere call.
+class AnalysisCacheManager {
+    constructor() {
+        this.store = new window.FoodNinjaUtils.IndexedDBStore('food_ninja_analysis_cache', 'results', {
+            keyPath: 'hash',
+            indexes: [
+                { name: 'lastUsedAt', keyPath: 'lastUsedAt' }
+            ]
+        });
+        
+        this.ttl = 7 * 24 * 60 * 60 * 1000;
+        this.maxEntries = 200;
+        this.maxBytes = 5 * 1024 * 1024;
+        
+        this.settingsKey = 'analysisCacheEnabled';
+        this.statsKey = 'analysisCacheStats';
+        this.container = null;
+    }
+    
+    static isSupported() {
+        return window.FoodNinjaUtils.IndexedDBStore.isSupported() && Boolean(window.crypto?.subtle);
+    }
+    
+    isEnabled() {
+        return AnalysisCacheManager.isSupported() && window.FoodNinjaUtils.storage.get(this.settingsKey, true);
+    }
+    
+    setEnabled(enabled) {
+        window.FoodNinjaUtils.storage.set(this.settingsKey, Boolean(enabled));
+    }
+    
+    /* ========================================
+       Lookup
+       ======================================== */
+    
+    // Hex SHA-256 of the file bytes, or null when the cache cannot be used
+    async hashImage(file) {
+        if (!this.isEnabled() || !file) return null;
+        
+        try {
+            const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+            return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        } catch (error) {
+            console.warn('⚠️ Could not hash image:', error);
+            return null;
+        }
+    }
+    
+    // A copy of the cached result marked as cached, or null. Never throws.
+    async get(hash) {
+        try {
+            const record = await this.store.get(hash);
+            
+            if (!record || this.isExpired(record)) {
+                if (record) await this.store.delete(hash);
+                this.recordLookup(false);
+                return null;
+            }
+            
+            await this.store.put({ ...record, lastUsedAt: Date.now(), hits: record.hits + 1 });
+            this.recordLookup(true);
+            console.log(`📦 Analysis cache hit: ${hash.slice(0, 12)}`);
+            
+            return {
+                ...JSON.parse(record.json),
+                cached: true,
+                cachedAt: record.createdAt
+            };
+        } catch (error) {
+            console.warn('⚠️ Analysis cache lookup failed:', error);
+            return null;
+        }
+    }
+    
+    // Stores a snapshot, so later changes to the result (portions, corrections) are not cached
+    async set(hash, result) {
+        const json = JSON.stringify(result);
+        const now = Date.now();
+        
+        try {
+            await this.store.put({ hash, json, size: json.length, createdAt: now, lastUsedAt: now, hits: 0 });
+            await this.prune();
+            this.notifyUpdate();
+        } catch (error) {
+            console.warn('⚠️ Could not cache analysis result:', error);
+        }
+    }
+    
+    isExpired(record) {
+        return Date.now() - record.createdAt > this.ttl;
+    }
+    
+    // Drop expired entries, then the least recently used until within both caps
+    async prune() {
+        const records = (await this.store.getAll()).sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+        let entries = 0;
+        let bytes = 0;
+        
+        for (const record of records) {
+            entries++;
+            bytes += record.size;
+            
+            if (this.isExpired(record) || entries > this.maxEntries || bytes > this.maxBytes) {
+                await this.store.delete(record.hash);
+                entries--;
+                bytes -= record.size;
+            }
+        }
+    }
+    
+    async clear() {
+        await this.store.clear();
+        window.FoodNinjaUtils.storage.remove(this.statsKey);
+        this.notifyUpdate();
+    }
+    
+    /* ========================================
+       Statistics
+       ======================================== */
+    
+    recordLookup(hit) {
+        const { storage } = window.FoodNinjaUtils;
+        const stats = storage.get(this.statsKey, { hits: 0, misses: 0 });
+        
+        stats[hit ? 'hits' : 'misses']++;
+        storage.set(this.statsKey, stats);
+    }
+    
+    async getStats() {
+        const { hits, misses } = window.FoodNinjaUtils.storage.get(this.statsKey, { hits: 0, misses: 0 });
+        const records = AnalysisCacheManager.isSupported() ? await this.store.getAll() : [];
+        const live = records.filter(record => !this.isExpired(record));
+        
+        return {
+            entries: live.length,
+            bytes: live.reduce((sum, record) => sum + record.size, 0),
+            hits,
+            misses,
+            hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+            oldest: live.length > 0 ? Math.min(...live.map(record => record.createdAt)) : null
+        };
+    }
+    
+    notifyUpdate() {
+        if (this.container?.isConnected) {
+            this.renderStats();
+        }
+    }
+    
+    /* ========================================
+       Settings UI
+       ======================================== */
+    
+    renderSettings(container) {
+        if (!container) return false;
+        
+        if (!this.container?.isConnected || !container.contains(this.container)) {
+            this.container = document.createElement('div');
+            this.container.className = 'settings-group analysis-cache-settings';
+            this.container.addEventListener('click', (e) => this.handleClick(e));
+            this.container.addEventListener('change', (e) => this.handleChange(e));
+            container.appendChild(this.container);
+        }
+        
+        this.renderStats();
+        return true;
+    }
+    
+    async renderStats() {
+        const { Utils, DateUtils } = window.FoodNinjaUtils;
+        const container = this.container;
+        const supported = AnalysisCacheManager.isSupported();
+        const stats = await this.getStats();
+        
+        container.innerHTML = `
+            <h6>
+                <i class="fas fa-database me-2"></i>
+                Bộ nhớ đệm kết quả phân tích
+            </h6>
+            ${supported ? `
+                <div class="form-check mb-3">
+                    <input class="form-check-input" type="checkbox" id="analysisCacheEnabled" name="enabled" ${this.isEnabled() ? 'checked' : ''}>
+                    <label class="form-check-label" for="analysisCacheEnabled">Dùng lại kết quả khi tải lên ảnh đã phân tích</label>
+                </div>
+            ` : `
+                <p class="text-muted">Trình duyệt không hỗ trợ bộ nhớ đệm kết quả.</p>
+            `}
+            <dl class="cache-stats">
+                <dt>Kết quả đã lưu</dt>
+                <dd>${stats.entries} / ${this.maxEntries}</dd>
+                <dt>Dung lượng</dt>
+                <dd>${Utils.formatFileSize(stats.bytes)} / ${Utils.formatFileSize(this.maxBytes)}</dd>
+                <dt>Dùng lại</dt>
+                <dd>${stats.hits} lần (${Math.round(stats.hitRate * 100)}% lượt tra)</dd>
+                <dt>Cũ nhất</dt>
+                <dd>${stats.oldest ? DateUtils.formatDate(stats.oldest, 'dd/mm/yyyy hh:mm') : '—'}</dd>
+            </dl>
+            <small class="text-muted d-block mb-2">Kết quả được giữ ${Math.round(this.ttl / (24 * 60 * 60 * 1000))} ngày.</small>
+            <button type="button" class="btn btn-sm btn-outline-danger" data-action="clear-cache" ${stats.entries === 0 ? 'disabled' : ''}>
+                <i class="fas fa-trash me-1"></i>
+                Xóa bộ nhớ đệm
+            </button>
+        `;
+    }
+    
+    async handleClick(e) {
+        if (!e.target.closest('[data-action="clear-cache"]')) return;
+        
+        await this.clear();
+        window.FoodNinjaUtils.notifications.show('Đã xóa bộ nhớ đệm kết quả phân tích', 'success');
+    }
+    
+    handleChange(e) {
+        if (e.target.name !== 'enabled') return;
+        
+        this.setEnabled(e.target.checked);
+        window.FoodNinjaUtils.notifications.show(
+            e.target.checked ? 'Đã bật bộ nhớ đệm kết quả' : 'Đã tắt bộ nhớ đệm kết quả',
+            'success'
+        );
+    }
+}
+
+/* ========================================
+   Export Analysis Cache
+   ======================================== */
+
+const analysisCache = new AnalysisCacheManager();
+
+// Global functions for easy access
+window.AnalysisCache = {
+    instance: analysisCache,
+    hashImage: (file) => analysisCache.hashImage(file),
+    get: (hash) => analysisCache.get(hash),
+    set: (hash, result) => analysisCache.set(hash, result),
+    clear: () => analysisCache.clear(),
+    getStats: () => analysisCache.getStats(),
+    renderSettings: (container) => analysisCache.renderSettings(container)
+};
+
+console.log('📦 Analysis Cache module loaded successfully!');
@@ -2,12 +2,160 @@
    Food Ninja - API Communication
    ======================================== */
 
+/* ========================================
+   API Errors
+   ======================================== */
+
+// Failure returned by every API method. The message is ready to show to users;
+// code is one of the keys of MESSAGES.
+class FoodNinjaAPIError extends Error {
+    static MESSAGES = {
+        network: 'Không thể kết nối đến server. Vui lòng kiểm tra kết nối internet.',
+        offline: 'Bạn đang offline. Vui lòng kết nối mạng và thử lại.',
+        timeout: 'Yêu cầu bị timeout. Vui lòng thử lại.',
+        too_large: 'File quá lớn.',
+        rate_limited: 'Quá nhiều yêu cầu. Vui lòng thử lại sau.',
+        server: 'Lỗi server. Vui lòng thử lại sau.',
+        no_food_detected: 'Không nhận diện được món ăn trong ảnh. Hãy chụp gần và rõ hơn.',
+        missing_key: 'Server chưa được cấu hình khóa API. Vui lòng liên hệ quản trị viên.',
+        invalid_request: 'Dữ liệu gửi lên không hợp lệ.',
+        cancelled: 'Đã hủy yêu cầu.',
+        waking_up: 'Server đang khởi động, vui lòng thử lại sau ít phút.'
+    };
+    
+    static RETRYABLE_CODES = ['network', 'timeout', 'rate_limited', 'server', 'waking_up'];
+    
+    // Codes whose server message is more useful to users than the generic text
+    static SERVER_MESSAGE_CODES = ['too_large', 'invalid_request'];
+    
+    constructor(code, { status = 0, serverMessage = null, message = null, retryAfter = null, cause = null } = {}) {
+        const known = code in FoodNinjaAPIError.MESSAGES ? code : 'server';
+        const useServerMessage = serverMessage && FoodNinjaAPIError.SERVER_MESSAGE_CODES.includes(known);
+        
+        super(message || (useServerMessage ? serverMessage : FoodNinjaAPIError.MESSAGES[known]));
+        
+        this.name = 'FoodNinjaAPIError';
+        this.code = known;
+        this.status = status;
+        this.serverMessage = serverMessage;
+        this.retryable = FoodNinjaAPIError.RETRYABLE_CODES.includes(known);
+        this.retryAfter = retryAfter; // ms the server asked us to wait, if any
+        this.cause = cause;
+    }
+    
+    // Error from an HTTP status and the parsed body ({ error, code } or text)
+    static fromResponse(status, body, headers = null) {
+        const serverMessage = typeof body === 'string'
+            ? body || null
+            : body?.error || body?.message || null;
+        
+        // The service worker answers a failed fetch with a synthetic 503 { offline: true }
+        let code;
+        if (body?.code in FoodNinjaAPIError.MESSAGES) {
+            code = body.code;
+        } else if (body?.offline === true) {
+            code = 'offline';
+        } else {
+            code = FoodNinjaAPIError.codeFor(status, serverMessage);
+        }
+        
+        const retryAfter = status === 429 || (status === 503 && code !== 'offline')
+            ? FoodNinjaAPIError.parseRetryAfter(headers?.get('Retry-After'))
+            : null;
+        
+        return new FoodNinjaAPIError(code, { status, serverMessage, retryAfter });
+    }
+    
+    // Retry-After is either delay-seconds or an HTTP date
+    static parseRetryAfter(value) {
+        if (!value) return null;
+        
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+    
+    // Older backends only send a message, so recognise the known ones
+    static codeFor(status, serverMessage = '') {
+        const text = serverMessage || '';
+        
+        if (/missing \w*(api_key|pat)\b/i.test(text)) return 'missing_key';
+        if (/no food detected/i.test(text)) return 'no_food_detected';
+        if (status === 413) return 'too_large';
+        if (status === 429) return 'rate_limited';
+        if (status === 408 || status === 504) return 'timeout';
+        if (status >= 400 && status < 500) return 'invalid_request';
+        
+        return 'server';
+    }
+    
+    // Normalise anything thrown while calling the API
+    static from(error) {
+        if (error instanceof FoodNinjaAPIError) return error;
+        
+        if (typeof error === 'string') {
+            const status = Number(error.match(/HTTP (\d{3})/)?.[1]) || 0;
+            return new FoodNinjaAPIError(FoodNinjaAPIError.codeFor(status, error), { status, serverMessage: error });
+        }
+        
+        if (error?.name === 'AbortError') {
+            return new FoodNinjaAPIError('timeout', { cause: error });
+        }
+        
+        // fetch() rejects with a TypeError when the request never reached the server
+        if (error?.name === 'TypeError') {
+            return new FoodNinjaAPIError(navigator.onLine === false ? 'offline' : 'network', { cause: error });
+        }
+        
+        return new FoodNinjaAPIError('server', { serverMessage: error?.message || null, cause: error });
+    }
+}
+
 class FoodNinjaAPI {
     constructor() {
         this.baseURL = this.getBaseURL();
         this.timeout = 30000; // 30 seconds
         this.retryAttempts = 3;
-        this.retryDelay = 1000; // 1 second
+        this.retryDelay = 1000; // base delay for exponential backoff
+        this.maxRetryDelay = 10000;
+        this.maxRetryAfter = 60000; // give up rather than wait longer than this
+        
+        // Per-endpoint overrides of the default policy, matched by path prefix.
+        // Non-idempotent requests are only repeated when the server cannot have handled them.
+        this.retryPolicies = {
+            '/predict': { idempotent: false, maxAttempts: 2 },
+            '/chat': { idempotent: true, maxAttempts: 2 },
+            '/ask_ai': { idempotent: true, maxAttempts: 2 },
+            '/nutrition': { idempotent: true, maxAttempts: 3 }
+        };
+        
+        // Circuit breaker: after repeated unreachable attempts (e.g. a sleeping
+        // Render instance) requests fail fast until a single probe gets through
+        this.circuit = { state: 'closed', failures: 0, openedAt: 0, probeStartedAt: 0 };
+        this.circuitThreshold = 2;
+        this.circuitCooldown = 20000;
+        this.circuitProbeTimer = null;
+        this.serverStatus = 'online';
+        
+        // Identical requests in flight share one underlying call, keyed by getRequestKey()
+        this.inFlight = new Map();
+        
+        // Bump when the advice prompt changes so FoodInfoCache stops serving the old answers
+        this.advicePromptVersion = 1;
+        
+        // Stages of analyzeFood() with the share of the progress bar each covers
+        this.analysisStages = {
+            preparing: { label: 'Đang chuẩn bị ảnh...', start: 0, end: 5 },
+            uploading: { label: 'Đang tải ảnh lên...', start: 5, end: 60 },
+            recognizing: { label: 'Đang nhận diện món ăn...', start: 60, end: 75 },
+            fetching_nutrition: { label: 'Đang tra cứu dinh dưỡng...', start: 75, end: 85 },
+            generating_advice: { label: 'AI đang đưa ra lời khuyên...', start: 85, end: 95 },
+            done: { label: 'Hoàn tất', start: 100, end: 100 }
+        };
     }
     
     getBaseURL() {
@@ -19,12 +167,138 @@ class FoodNinjaAPI {
         return window.location.origin;
     }
     
+    // Point the client at another backend; callers validate it with healthCheck({ baseURL }) first
+    setBaseURL(baseURL) {
+        const url = baseURL.replace(/\/+$/, '');
+        if (url === this.baseURL) return;
+        
+        this.baseURL = url;
+        
+        // Circuit state belongs to the previous backend
+        this.recordSuccess();
+        console.log(`🔀 API base URL: ${url}`);
+    }
+    
     /* ========================================
        Generic Request Method
        ======================================== */
     
+    // signal cancels only this caller; set dedupe: false to always send a new request.
+    // baseURL sends this one request to another backend, e.g. to validate it
     async request(endpoint, options = {}) {
-        const url = `${this.baseURL}${endpoint}`;
+        const { signal, onUploadProgress, dedupe = true, ...requestOptions } = options;
+        
+        if (signal?.aborted) {
+            return this.failure(new FoodNinjaAPIError('cancelled'));
+        }
+        
+        const key = dedupe ? this.getRequestKey(endpoint, requestOptions) : null;
+        let entry = key ? this.inFlight.get(key) : null;
+        
+        if (entry) {
+            console.log(`🔁 Sharing in-flight request: ${endpoint}`);
+        } else {
+            const controller = new AbortController();
+            const progressListeners = new Set();
+            
+            entry = { key, controller, progressListeners, subscribers: 0 };
+            entry.promise = this.performRequest(endpoint, {
+                ...requestOptions,
+                signal: controller.signal,
+                // The first caller decides whether the upload reports progress
+                onUploadProgress: onUploadProgress
+                    ? (progress) => progressListeners.forEach(listener => listener(progress))
+                    : null
+            });
+            
+            if (key) {
+                this.inFlight.set(key, entry);
+                entry.promise.finally(() => this.releaseInFlight(entry));
+            }
+        }
+        
+        return this.subscribe(entry, { signal, onUploadProgress });
+    }
+    
+    // Wait for a shared request; it is only aborted once every caller has cancelled
+    subscribe(entry, { signal, onUploadProgress }) {
+        entry.subscribers++;
+        
+        if (onUploadProgress) {
+            entry.progressListeners.add(onUploadProgress);
+        }
+        
+        return new Promise(resolve => {
+            const leave = () => {
+                entry.subscribers--;
+                entry.progressListeners.delete(onUploadProgress);
+                signal?.removeEventListener('abort', onAbort);
+            };
+            
+            const onAbort = () => {
+                leave();
+                
+                if (entry.subscribers === 0) {
+                    this.releaseInFlight(entry);
+                    entry.controller.abort();
+                }
+                
+                resolve(this.failure(new FoodNinjaAPIError('cancelled')));
+            };
+            
+            signal?.addEventListener('abort', onAbort);
+            
+            entry.promise.then(result => {
+                if (signal?.aborted) return;
+                
+                leave();
+                resolve(result);
+            });
+        });
+    }
+    
+    releaseInFlight(entry) {
+        if (entry.key && this.inFlight.get(entry.key) === entry) {
+            this.inFlight.delete(entry.key);
+        }
+    }
+    
+    getRequestKey(endpoint, { method = 'GET', body = null, baseURL = this.baseURL } = {}) {
+        const description = this.describeBody(body);
+        return `${method.toUpperCase()} ${baseURL}${endpoint} ${description.length}:${this.hashString(description)}`;
+    }
+    
+    // Files are identified by their metadata; hashing the bytes would delay every upload
+    describeBody(body) {
+        if (body instanceof FormData) {
+            return [...body.entries()].map(([name, value]) => {
+                if (value instanceof Blob) {
+                    return `${name}=blob:${value.name || ''}:${value.size}:${value.type}:${value.lastModified || ''}`;
+                }
+                return `${name}=${value}`;
+            }).join('&');
+        }
+        
+        return typeof body === 'string' ? body : '';
+    }
+    
+    // 32-bit FNV-1a
+    hashString(text) {
+        let hash = 0x811c9dc5;
+        
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        
+        return (hash >>> 0).toString(16);
+    }
+    
+    async performRequest(endpoint, options = {}) {
+        const { baseURL = this.baseURL, ...requestOptions } = options;
+        const url = `${baseURL}${endpoint}`;
+        // Another backend's failures must not trip the active backend's circuit
+        const usesCircuit = baseURL === this.baseURL;
         const defaultOptions = {
             headers: {
                 'Content-Type': 'application/json'
@@ -32,35 +306,57 @@ class FoodNinjaAPI {
             timeout: this.timeout
         };
         
-        const finalOptions = { ...defaultOptions, ...options };
+        // signal cancels the request; onUploadProgress({ loaded, total, done }) switches to XHR
+        const { signal, onUploadProgress, ...fetchOptions } = { ...defaultOptions, ...requestOptions };
+        const finalOptions = fetchOptions;
         
         // Remove Content-Type for FormData
         if (finalOptions.body instanceof FormData) {
             delete finalOptions.headers['Content-Type'];
         }
         
+        if (signal?.aborted) {
+            return this.failure(new FoodNinjaAPIError('cancelled'));
+        }
+        
+        if (navigator.onLine === false) {
+            return this.failure(new FoodNinjaAPIError('offline'));
+        }
+        
+        const policy = this.getRetryPolicy(endpoint, finalOptions.method);
         let lastError;
         
-        for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+        for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+            if (usesCircuit && !this.circuitAllows()) {
+                lastError = new FoodNinjaAPIError('waking_up');
+                break;
+            }
+            
             try {
                 console.log(`🌐 API Request (attempt ${attempt}): ${endpoint}`);
                 
                 const controller = new AbortController();
                 const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+                const cancel = () => controller.abort();
+                signal?.addEventListener('abort', cancel);
                 
-                const response = await fetch(url, {
-                    ...finalOptions,
-                    signal: controller.signal
-                });
-                
-                clearTimeout(timeoutId);
+                let response;
+                try {
+                    response = typeof onUploadProgress === 'function' && typeof XMLHttpRequest !== 'undefined'
+                        ? await this.sendWithProgress(url, { ...finalOptions, signal: controller.signal, onUploadProgress })
+                        : await fetch(url, { ...finalOptions, signal: controller.signal });
+                } finally {
+                    clearTimeout(timeoutId);
+                    signal?.removeEventListener('abort', cancel);
+                }
                 
                 if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    throw FoodNinjaAPIError.fromResponse(response.status, await this.readBody(response), response.headers);
                 }
                 
                 const data = await response.json();
                 console.log(`✅ API Success: ${endpoint}`, data);
+                if (usesCircuit) this.recordSuccess();
                 
                 return {
                     success: true,
@@ -69,43 +365,262 @@ class FoodNinjaAPI {
                 };
                 
             } catch (error) {
+                // Cancelled by the caller: says nothing about the server, never retried
+                if (signal?.aborted) {
+                    console.log(`🚫 API Request cancelled: ${endpoint}`);
+                    lastError = new FoodNinjaAPIError('cancelled', { cause: error });
+                    break;
+                }
+                
                 console.error(`❌ API Error (attempt ${attempt}): ${endpoint}`, error);
-                lastError = error;
+                lastError = FoodNinjaAPIError.from(error);
                 
-                // Don't retry on certain errors
-                if (error.name === 'AbortError' || 
-                    error.message.includes('400') || 
-                    error.message.includes('401') || 
-                    error.message.includes('403')) {
+                if (usesCircuit) {
+                    this.recordFailure(lastError);
+                }
+                
+                if (usesCircuit && this.circuit.state === 'open') {
+                    lastError = new FoodNinjaAPIError('waking_up', { cause: lastError });
                     break;
                 }
                 
-                // Wait before retry
-                if (attempt < this.retryAttempts) {
-                    await this.delay(this.retryDelay * attempt);
+                const delay = this.getRetryDelay(lastError, attempt, policy);
+                if (delay === null) break;
+                
+                console.log(`⏳ Retrying ${endpoint} in ${Math.round(delay)}ms`);
+                await this.delay(delay);
+                
+                if (signal?.aborted) {
+                    lastError = new FoodNinjaAPIError('cancelled');
+                    break;
                 }
             }
         }
         
+        return this.failure(lastError);
+    }
+    
+    // Failed result shared by all methods; error stays a display string for older callers
+    failure(error) {
+        const apiError = FoodNinjaAPIError.from(error);
+        
         return {
             success: false,
-            error: lastError.message || 'Network error',
-            status: 0
+            error: apiError.message,
+            code: apiError.code,
+            status: apiError.status,
+            apiError
         };
     }
     
+    async readBody(response) {
+        try {
+            const text = await response.text();
+            
+            try {
+                return JSON.parse(text);
+            } catch {
+                return text || null;
+            }
+        } catch {
+            return null;
+        }
+    }
+    
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
     
+    // fetch() cannot report upload progress, so such uploads use XHR and
+    // resolve with a regular Response
+    sendWithProgress(url, { method = 'GET', headers = {}, body = null, signal, onUploadProgress }) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open(method, url);
+            
+            Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+            
+            xhr.upload.addEventListener('progress', (e) => {
+                if (e.lengthComputable) {
+                    onUploadProgress({ loaded: e.loaded, total: e.total, done: false });
+                }
+            });
+            
+            xhr.upload.addEventListener('load', (e) => {
+                onUploadProgress({ loaded: e.total, total: e.total, done: true });
+            });
+            
+            xhr.addEventListener('load', () => {
+                const hasBody = ![204, 205, 304].includes(xhr.status);
+                
+                resolve(new Response(hasBody ? xhr.responseText : null, {
+                    status: xhr.status,
+                    statusText: xhr.statusText,
+                    headers: this.parseResponseHeaders(xhr.getAllResponseHeaders())
+                }));
+            });
+            
+            xhr.addEventListener('error', () => reject(new TypeError('Network request failed')));
+            xhr.addEventListener('abort', () => reject(new DOMException('Request aborted', 'AbortError')));
+            
+            if (signal?.aborted) {
+                xhr.abort();
+                return;
+            }
+            
+            signal?.addEventListener('abort', () => xhr.abort());
+            xhr.send(body);
+        });
+    }
+    
+    parseResponseHeaders(raw) {
+        const headers = new Headers();
+        
+        raw.trim().split(/[\r\n]+/).forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                headers.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+            }
+        });
+        
+        return headers;
+    }
+    
+    /* ========================================
+       Retry Policy
+       ======================================== */
+    
+    getRetryPolicy(endpoint, method = 'GET') {
+        const path = endpoint.split('?')[0];
+        const prefix = Object.keys(this.retryPolicies)
+            .filter(key => path.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+        
+        return {
+            idempotent: method.toUpperCase() === 'GET',
+            maxAttempts: this.retryAttempts,
+            baseDelay: this.retryDelay,
+            ...(prefix ? this.retryPolicies[prefix] : {})
+        };
+    }
+    
+    setRetryPolicy(endpoint, policy) {
+        this.retryPolicies[endpoint] = { ...this.retryPolicies[endpoint], ...policy };
+    }
+    
+    canRetry(error, policy) {
+        if (!error.retryable) return false;
+        if (policy.idempotent) return true;
+        
+        // Refused before processing: connection failed, or the server asked us to come back
+        return error.code === 'network' || error.status === 429 || error.status === 503;
+    }
+    
+    // Milliseconds before the next attempt, or null to stop retrying
+    getRetryDelay(error, attempt, policy) {
+        if (attempt >= policy.maxAttempts || !this.canRetry(error, policy)) {
+            return null;
+        }
+        
+        if (error.retryAfter !== null) {
+            return error.retryAfter <= this.maxRetryAfter ? error.retryAfter : null;
+        }
+        
+        // Exponential backoff with jitter so clients don't retry in lockstep
+        const backoff = Math.min(this.maxRetryDelay, policy.baseDelay * 2 ** (attempt - 1));
+        return backoff / 2 + Math.random() * backoff / 2;
+    }
+    
+    /* ========================================
+       Circuit Breaker
+       ======================================== */
+    
+    // Failures that suggest the server is asleep or unreachable rather than erroring
+    isUnavailableError(error) {
+        return error.code === 'network' ||
+            error.code === 'timeout' ||
+            [502, 503, 504].includes(error.status);
+    }
+    
+    circuitAllows() {
+        const { state, openedAt, probeStartedAt } = this.circuit;
+        const now = Date.now();
+        
+        if (state === 'closed') return true;
+        
+        // Let one probe through after the cooldown; a probe that never finished is replaced
+        const probeDue = state === 'open'
+            ? now - openedAt >= this.circuitCooldown
+            : now - probeStartedAt >= this.timeout;
+        
+        if (probeDue) {
+            this.circuit.state = 'half-open';
+            this.circuit.probeStartedAt = now;
+            return true;
+        }
+        
+        return false;
+    }
+    
+    recordSuccess() {
+        this.circuit = { state: 'closed', failures: 0, openedAt: 0, probeStartedAt: 0 };
+        clearTimeout(this.circuitProbeTimer);
+        this.circuitProbeTimer = null;
+        this.setServerStatus('online');
+    }
+    
+    recordFailure(error) {
+        // Being offline says nothing about the server either way
+        if (error.code === 'offline') return;
+        
+        // Any other answer means the server is awake
+        if (!this.isUnavailableError(error)) {
+            this.recordSuccess();
+            return;
+        }
+        
+        this.circuit.failures++;
+        
+        if (this.circuit.state === 'half-open' || this.circuit.failures >= this.circuitThreshold) {
+            this.openCircuit();
+        }
+    }
+    
+    openCircuit() {
+        this.circuit.state = 'open';
+        this.circuit.openedAt = Date.now();
+        this.setServerStatus('waking');
+        console.warn(`🔌 API circuit open, next attempt in ${this.circuitCooldown / 1000}s`);
+        
+        // Keep probing in the background so the UI learns when the server is up
+        clearTimeout(this.circuitProbeTimer);
+        this.circuitProbeTimer = setTimeout(() => {
+            this.circuitProbeTimer = null;
+            this.healthCheck();
+        }, this.circuitCooldown);
+    }
+    
+    // 'online' or 'waking'; announced with a serverStatusChange event
+    setServerStatus(status) {
+        if (this.serverStatus === status) return;
+        
+        this.serverStatus = status;
+        window.dispatchEvent(new CustomEvent('serverStatusChange', {
+            detail: { status, circuit: this.circuit.state }
+        }));
+    }
+    
     /* ========================================
        Health Check
        ======================================== */
     
-    async healthCheck() {
+    // baseURL checks another backend without switching to it
+    async healthCheck({ signal, baseURL } = {}) {
         try {
             const result = await this.request('/', {
-                method: 'GET'
+                method: 'GET',
+                signal,
+                ...(baseURL && { baseURL: baseURL.replace(/\/+$/, '') })
             });
             
             if (result.success) {
@@ -136,23 +651,44 @@ class FoodNinjaAPI {
        Food Recognition
        ======================================== */
     
-    async analyzeFood(imageFile, options = {}) {
+    // onProgress({ stage, label, percent, loaded?, total? }) follows analysisStages;
+    // the same objects are dispatched as analysisProgress events.
+    // A photo analysed before comes from AnalysisCache unless skipCache is set.
+    async analyzeFood(imageFile, { onProgress, signal, skipCache = false } = {}) {
+        const report = (stage, fraction, extra) => this.reportAnalysisProgress(onProgress, stage, fraction, extra);
+        const stageTimers = [];
+        const clearStageTimers = () => stageTimers.splice(0).forEach(clearTimeout);
+        
         try {
+            report('preparing');
+            
             // Validate image file
             if (!imageFile) {
-                throw new Error('No image file provided');
+                throw new FoodNinjaAPIError('invalid_request', { message: 'No image file provided' });
             }
             
             // Check file size (10MB limit)
             const maxSize = 10 * 1024 * 1024;
             if (imageFile.size > maxSize) {
-                throw new Error('File too large. Maximum size is 10MB.');
+                throw new FoodNinjaAPIError('too_large', { message: 'File too large. Maximum size is 10MB.' });
             }
             
             // Check file type
             const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/bmp'];
             if (!allowedTypes.includes(imageFile.type)) {
-                throw new Error('Invalid file type. Please upload JPG, PNG, GIF, WEBP, or BMP files only.');
+                throw new FoodNinjaAPIError('invalid_request', {
+                    message: 'Invalid file type. Please upload JPG, PNG, GIF, WEBP, or BMP files only.'
+                });
+            }
+            
+            const imageHash = await window.AnalysisCache?.hashImage(imageFile);
+            
+            if (imageHash && !skipCache) {
+                const cached = await window.AnalysisCache.get(imageHash);
+                if (cached) {
+                    report('done');
+                    return cached;
+                }
             }
             
             const formData = new FormData();
@@ -160,45 +696,213 @@ class FoodNinjaAPI {
             
             const result = await this.request('/predict', {
                 method: 'POST',
-                body: formData
+                body: formData,
+                signal,
+                onUploadProgress: ({ loaded, total, done }) => {
+                    // A retry uploads again from the start
+                    clearStageTimers();
+                    
+                    if (!done) {
+                        report('uploading', loaded / total, { loaded, total });
+                        return;
+                    }
+                    
+                    // /predict recognises the food, looks up nutrition and asks the AI in
+                    // one request, so the later stages follow their typical timings
+                    report('recognizing');
+                    stageTimers.push(
+                        setTimeout(() => report('fetching_nutrition'), 3000),
+                        setTimeout(() => report('generating_advice'), 5000)
+                    );
+                }
             });
             
+            clearStageTimers();
+            
             // Request method wraps response in {success, data}, extract the actual data
+            if (result.success) {
+                report('done');
+                const prediction = await this.applyCachedAdvice(this.formatPredictionResult(result.data));
+                
+                // A failed AI answer is not worth keeping; the next upload may get a real one
+                if (imageHash && prediction.success && !this.isAIFailure(prediction.aiAdvice)) {
+                    await window.AnalysisCache.set(imageHash, prediction);
+                }
+                
+                return prediction;
+            }
+            
+            return result;
+            
+        } catch (error) {
+            clearStageTimers();
+            console.error('Food analysis error:', error);
+            return this.failure(error);
+        }
+    }
+    
+    reportAnalysisProgress(onProgress, stage, fraction = 0, extra = {}) {
+        const { label, start, end } = this.analysisStages[stage];
+        const progress = {
+            stage,
+            label,
+            percent: Math.round(start + (end - start) * Math.min(1, fraction)),
+            ...extra
+        };
+        
+        onProgress?.(progress);
+        window.dispatchEvent(new CustomEvent('analysisProgress', { detail: progress }));
+    }
+    
+    // /predict always asks the AI; keep good advice and replace a failed one with an earlier answer
+    async applyCachedAdvice(result) {
+        const cache = window.FoodInfoCache;
+        if (!cache || !result.success || !result.foodName) return result;
+        
+        const options = { version: this.advicePromptVersion };
+        
+        if (result.aiAdvice && !this.isAIFailure(result.aiAdvice)) {
+            await cache.set('advice', result.foodName, result.aiAdvice, options);
+            return result;
+        }
+        
+        const cached = await cache.get('advice', result.foodName, { ...options, allowStale: true });
+        if (cached) {
+            result.aiAdvice = cached.value;
+            result.aiAdviceCachedAt = cached.createdAt;
+        }
+        
+        return result;
+    }
+    
+    // The backend reports Cohere problems as answers starting with these markers
+    isAIFailure(text) {
+        return typeof text === 'string' && /^\s*\[AI (Error|Warning)\]/.test(text);
+    }
+    
+    // Map a raw /predict response body, also used for responses replayed offline
+    formatPredictionResult(data) {
+        // Check if backend returned an error
+        if (data.error) {
+            return this.failure(FoodNinjaAPIError.fromResponse(200, data));
+        }
+        
+        return {
+            success: true,
+            foodName: data.food_name,
+            confidence: data.probability,
+            nutrition: data.nutrition,
+            aiAdvice: data.ai_answer,
+            lowConfidence: data.low_confidence || false,
+            alternatives: data.alternatives || [],
+            minConfidence: data.min_confidence || 0.4,
+            message: data.message
+        };
+    }
+    
+    /* ========================================
+       Nutrition Lookup
+       ======================================== */
+    
+    // Served from FoodInfoCache when looked up recently; refresh skips the cache
+    async getNutrition(query, { signal, refresh = false } = {}) {
+        try {
+            if (!query || query.trim().length === 0) {
+                throw new FoodNinjaAPIError('invalid_request', { message: 'Query cannot be empty' });
+            }
+            
+            const cache = window.FoodInfoCache;
+            const fromCache = (cached) => ({
+                success: true,
+                query: query.trim(),
+                nutrition: cached.value,
+                cached: true,
+                cachedAt: cached.createdAt
+            });
+            
+            const cached = !refresh && await cache?.get('nutrition', query);
+            if (cached) {
+                return fromCache(cached);
+            }
+            
+            const result = await this.request(`/nutrition?query=${encodeURIComponent(query.trim())}`, {
+                method: 'GET',
+                signal
+            });
+            
             if (result.success) {
                 const data = result.data;
                 
-                // Check if backend returned an error
                 if (data.error) {
-                    return {
-                        success: false,
-                        error: data.error
-                    };
+                    return this.failure(FoodNinjaAPIError.fromResponse(result.status, data));
+                }
+                
+                if (data.nutrition?.items?.length) {
+                    await cache?.set('nutrition', query, data.nutrition);
                 }
                 
                 return {
                     success: true,
-                    foodName: data.food_name,
-                    confidence: data.probability,
-                    nutrition: data.nutrition,
-                    aiAdvice: data.ai_answer,
-                    lowConfidence: data.low_confidence || false,
-                    alternatives: data.alternatives || [],
-                    minConfidence: data.min_confidence || 0.4,
-                    message: data.message
+                    query: data.query,
+                    nutrition: data.nutrition
                 };
             }
             
-            return {
-                success: false,
-                error: result.error || 'Failed to analyze food'
-            };
+            // Offline or the server is struggling: an older lookup beats none
+            if (result.code === 'offline' || result.apiError?.retryable) {
+                const fallback = await cache?.get('nutrition', query, { allowStale: true });
+                if (fallback) {
+                    return fromCache(fallback);
+                }
+            }
+            
+            return result;
             
         } catch (error) {
-            console.error('Food analysis error:', error);
+            console.error('Nutrition lookup error:', error);
+            return this.failure(error);
+        }
+    }
+    
+    // Typed-name counterpart of analyzeFood(), returning the same result shape
+    async lookupNutrition(query, options = {}) {
+        try {
+            const lookup = await this.getNutrition(query, { signal: options.signal, refresh: options.refresh });
+            
+            if (!lookup.success) {
+                return lookup;
+            }
+            
+            if (!lookup.nutrition?.items?.length) {
+                return this.failure(new FoodNinjaAPIError('no_food_detected', {
+                    message: `Không tìm thấy thông tin dinh dưỡng cho "${query}"`
+                }));
+            }
+            
+            const foodName = options.foodName || query.trim();
+            const advice = await this.getFoodAdvice(foodName, lookup.nutrition, { signal: options.signal, refresh: options.refresh });
+            
+            if (advice.code === 'cancelled') {
+                return advice;
+            }
+            
             return {
-                success: false,
-                error: error.message
+                success: true,
+                foodName,
+                confidence: 1,
+                nutrition: lookup.nutrition,
+                aiAdvice: advice.success ? advice.result : null,
+                aiAdviceCachedAt: advice.cached ? advice.cachedAt : null,
+                lowConfidence: false,
+                alternatives: [],
+                minConfidence: null,
+                message: null,
+                source: 'search'
             };
+            
+        } catch (error) {
+            console.error('Nutrition lookup error:', error);
+            return this.failure(error);
         }
     }
     
@@ -206,17 +910,18 @@ class FoodNinjaAPI {
        AI Chat
        ======================================== */
     
-    async sendChatMessage(message) {
+    // history: earlier turns as { role: 'user' | 'assistant', content }
+    // context: the latest analysis the conversation may refer to
+    async sendChatMessage(message, { history = [], context = null, signal } = {}) {
         try {
             if (!message || message.trim().length === 0) {
-                throw new Error('Message cannot be empty');
+                throw new FoodNinjaAPIError('invalid_request', { message: 'Message cannot be empty' });
             }
             
             const result = await this.request('/chat', {
                 method: 'POST',
-                body: JSON.stringify({
-                    message: message.trim()
-                })
+                body: JSON.stringify(this.buildChatBody(message, { history, context })),
+                signal
             });
             
             if (result.success) {
@@ -224,10 +929,7 @@ class FoodNinjaAPI {
                 
                 // Check if backend returned an error
                 if (data.error) {
-                    return {
-                        success: false,
-                        error: data.error
-                    };
+                    return this.failure(FoodNinjaAPIError.fromResponse(result.status, data));
                 }
                 
                 return {
@@ -237,17 +939,186 @@ class FoodNinjaAPI {
                 };
             }
             
-            return {
-                success: false,
-                error: result.error || 'Failed to get AI response'
-            };
+            return result;
             
         } catch (error) {
             console.error('Chat error:', error);
+            return this.failure(error);
+        }
+    }
+    
+    buildChatBody(message, { history = [], context = null } = {}) {
+        const body = {
+            message: message.trim()
+        };
+        
+        if (history.length > 0) {
+            body.history = history;
+        }
+        
+        if (context) {
+            body.context = context;
+        }
+        
+        return body;
+    }
+    
+    /* ========================================
+       AI Chat Streaming
+       ======================================== */
+    
+    supportsStreaming() {
+        return typeof ReadableStream !== 'undefined' &&
+            typeof TextDecoder !== 'undefined' &&
+            'body' in Response.prototype;
+    }
+    
+    // Stream the reply from /chat/stream, calling onToken(chunk, text) as it arrives.
+    // Falls back to sendChatMessage() when streaming is unavailable before any text.
+    async streamChatMessage(message, { onToken, signal, history = [], context = null } = {}) {
+        if (!message || message.trim().length === 0) {
+            return this.failure(new FoodNinjaAPIError('invalid_request', { message: 'Message cannot be empty' }));
+        }
+        
+        // The regular request handles the circuit breaker while the server is waking up
+        if (!this.supportsStreaming() || this.circuit.state !== 'closed') {
+            return this.sendChatMessage(message, { history, context, signal });
+        }
+        
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        signal?.addEventListener('abort', abort);
+        
+        // Only the wait for the first response is limited; long answers keep streaming
+        const timeoutId = setTimeout(abort, this.timeout);
+        let text = '';
+        
+        try {
+            if (signal?.aborted) abort();
+            
+            console.log('🌐 API Stream: /chat/stream');
+            
+            const response = await fetch(`${this.baseURL}/chat/stream`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream'
+                },
+                body: JSON.stringify(this.buildChatBody(message, { history, context })),
+                signal: controller.signal
+            });
+            
+            clearTimeout(timeoutId);
+            
+            const contentType = response.headers.get('Content-Type') || '';
+            if (!response.ok || !response.body || !contentType.includes('text/event-stream')) {
+                throw FoodNinjaAPIError.fromResponse(response.status, await this.readBody(response), response.headers);
+            }
+            
+            for await (const event of this.readEventStream(response.body)) {
+                if (event.event === 'token' && event.data.text) {
+                    text += event.data.text;
+                    onToken?.(event.data.text, text);
+                } else if (event.event === 'error') {
+                    return {
+                        ...this.failure(FoodNinjaAPIError.fromResponse(response.status, event.data)),
+                        response: text
+                    };
+                } else if (event.event === 'done') {
+                    break;
+                }
+            }
+            
+            console.log('✅ API Stream complete: /chat/stream');
+            this.recordSuccess();
+            
             return {
-                success: false,
-                error: error.message
+                success: true,
+                response: text,
+                streamed: true,
+                timestamp: new Date().toISOString()
             };
+            
+        } catch (error) {
+            clearTimeout(timeoutId);
+            
+            // Stopped by the caller: keep what arrived so far
+            if (signal?.aborted) {
+                return {
+                    success: true,
+                    response: text,
+                    streamed: true,
+                    aborted: true,
+                    timestamp: new Date().toISOString()
+                };
+            }
+            
+            if (text) {
+                console.error('❌ Chat stream interrupted:', error);
+                return {
+                    ...this.failure(error),
+                    response: text
+                };
+            }
+            
+            console.warn('⚠️ Chat streaming unavailable, using /chat:', error);
+            return this.sendChatMessage(message, { history, context, signal });
+            
+        } finally {
+            signal?.removeEventListener('abort', abort);
+        }
+    }
+    
+    // Yield { event, data } for each Server-Sent Event in a response body
+    async *readEventStream(body) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                
+                buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+                
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const event = this.parseEventBlock(buffer.slice(0, boundary));
+                    buffer = buffer.slice(boundary + 2);
+                    
+                    if (event) yield event;
+                }
+            }
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+    }
+    
+    parseEventBlock(block) {
+        let event = 'message';
+        const data = [];
+        
+        for (const line of block.split('\n')) {
+            if (!line || line.startsWith(':')) continue;
+            
+            const separator = line.indexOf(':');
+            const field = separator === -1 ? line : line.slice(0, separator);
+            const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+            
+            if (field === 'event') {
+                event = value;
+            } else if (field === 'data') {
+                data.push(value);
+            }
+        }
+        
+        if (data.length === 0) return null;
+        
+        try {
+            return { event, data: JSON.parse(data.join('\n')) };
+        } catch {
+            return { event, data: { text: data.join('\n') } };
         }
     }
     
@@ -255,20 +1126,25 @@ class FoodNinjaAPI {
        Ask AI (General questions)
        ======================================== */
     
-    async askAI(prompt) {
+    async askAI(prompt, { signal } = {}) {
         try {
             if (!prompt || prompt.trim().length === 0) {
-                throw new Error('Prompt cannot be empty');
+                throw new FoodNinjaAPIError('invalid_request', { message: 'Prompt cannot be empty' });
             }
             
             const result = await this.request('/ask_ai', {
                 method: 'POST',
                 body: JSON.stringify({
                     prompt: prompt.trim()
-                })
+                }),
+                signal
             });
             
             if (result.success) {
+                if (result.data.error) {
+                    return this.failure(FoodNinjaAPIError.fromResponse(result.status, result.data));
+                }
+                
                 return {
                     success: true,
                     result: result.data.result,
@@ -276,47 +1152,80 @@ class FoodNinjaAPI {
                 };
             }
             
-            return {
-                success: false,
-                error: result.error || 'Failed to get AI response'
-            };
+            return result;
             
         } catch (error) {
             console.error('Ask AI error:', error);
-            return {
-                success: false,
-                error: error.message
-            };
+            return this.failure(error);
         }
     }
     
+    // Same analysis prompt /predict sends to Cohere, for names typed by the user.
+    // Cached advice comes back with cached: true; refresh asks the AI again.
+    async getFoodAdvice(foodName, nutrition, { signal, refresh = false } = {}) {
+        const cache = window.FoodInfoCache;
+        const options = { version: this.advicePromptVersion };
+        const fromCache = (cached) => ({
+            success: true,
+            result: cached.value,
+            cached: true,
+            cachedAt: cached.createdAt
+        });
+        
+        const cached = !refresh && await cache?.get('advice', foodName, options);
+        if (cached) {
+            return fromCache(cached);
+        }
+        
+        const prompt = (
+            `Hãy phân tích món ăn '${foodName}' với thông tin dinh dưỡng sau: ${JSON.stringify(nutrition)}. ` +
+            'Đưa ra nhận xét về lợi ích, rủi ro sức khỏe (nếu có) và gợi ý ăn uống lành mạnh. ' +
+            '(Phân tích ngắn gọn dễ hiểu, hướng tới người tiêu dùng)' +
+            'Trả lời ngắn gọn súc tích, khoa học.'
+        );
+        
+        const result = await this.askAI(prompt, { signal });
+        
+        if (result.success && !this.isAIFailure(result.result)) {
+            await cache?.set('advice', foodName, result.result, options);
+            return result;
+        }
+        
+        if (result.code === 'cancelled') {
+            return result;
+        }
+        
+        // Offline, a server error or an AI failure marker: fall back to earlier advice
+        const fallback = await cache?.get('advice', foodName, { ...options, allowStale: true });
+        return fallback ? fromCache(fallback) : result;
+    }
+    
     /* ========================================
        Batch Operations
        ======================================== */
     
-    async analyzeFoodBatch(imageFiles) {
-        const results = [];
+    // Uploads go through the request queue, at most maxConcurrentRequests at a time.
+    // onItemProgress(index, progress) and onItemComplete(index, result) report each image;
+    // results come back in the order of imageFiles.
+    async analyzeFoodBatch(imageFiles, { signal, onItemProgress, onItemComplete } = {}) {
+        const files = Array.from(imageFiles);
         
-        for (let i = 0; i < imageFiles.length; i++) {
-            const file = imageFiles[i];
+        return Promise.all(files.map(async (file, index) => {
+            let result;
+            
             try {
-                const result = await this.analyzeFood(file);
-                results.push({
-                    file: file.name,
-                    index: i,
-                    ...result
-                });
+                result = await this.queueRequest(() => this.analyzeFood(file, {
+                    signal,
+                    onProgress: onItemProgress ? (progress) => onItemProgress(index, progress) : null
+                }));
             } catch (error) {
-                results.push({
-                    file: file.name,
-                    index: i,
-                    success: false,
-                    error: error.message
-                });
+                result = this.failure(error);
             }
-        }
-        
-        return results;
+            
+            result = { file: file.name, index, ...result };
+            onItemComplete?.(index, result);
+            return result;
+        }));
     }
     
     /* ========================================
@@ -324,49 +1233,22 @@ class FoodNinjaAPI {
        ======================================== */
     
     isRetryableError(error) {
-        // Network errors, timeouts, and 5xx server errors are retryable
-        return error.name === 'TypeError' || 
-               error.name === 'AbortError' ||
-               error.message.includes('500') ||
-               error.message.includes('502') ||
-               error.message.includes('503') ||
-               error.message.includes('504');
+        // Network errors, timeouts, rate limits and 5xx server errors are retryable
+        return FoodNinjaAPIError.from(error).retryable;
     }
     
     handleAPIError(error, context = '') {
         console.error(`API Error ${context}:`, error);
-        
-        const errorMessages = {
-            'Network error': 'Không thể kết nối đến server. Vui lòng kiểm tra kết nối internet.',
-            'Timeout': 'Yêu cầu bị timeout. Vui lòng thử lại.',
-            'HTTP 400': 'Dữ liệu gửi lên không hợp lệ.',
-            'HTTP 401': 'Không có quyền truy cập.',
-            'HTTP 403': 'Truy cập bị từ chối.',
-            'HTTP 404': 'Không tìm thấy endpoint.',
-            'HTTP 413': 'File quá lớn.',
-            'HTTP 429': 'Quá nhiều yêu cầu. Vui lòng thử lại sau.',
-            'HTTP 500': 'Lỗi server. Vui lòng thử lại sau.',
-            'HTTP 502': 'Lỗi gateway. Vui lòng thử lại sau.',
-            'HTTP 503': 'Dịch vụ tạm thời không khả dụng.',
-            'HTTP 504': 'Gateway timeout.'
-        };
-        
-        for (const [key, message] of Object.entries(errorMessages)) {
-            if (error.includes(key)) {
-                return message;
-            }
-        }
-        
-        return 'Đã xảy ra lỗi. Vui lòng thử lại sau.';
+        return FoodNinjaAPIError.from(error).message;
     }
     
     /* ========================================
        Connection Monitoring
        ======================================== */
     
-    async checkConnection() {
+    async checkConnection({ signal } = {}) {
         try {
-            const result = await this.healthCheck();
+            const result = await this.healthCheck({ signal });
             return result.success;
         } catch (error) {
             return false;
@@ -399,43 +1281,11 @@ class FoodNinjaAPI {
         }
     }
     
-    /* ========================================
-       Caching (Simple implementation)
-       ======================================== */
-    
-    cache = new Map();
-    cacheTimeout = 5 * 60 * 1000; // 5 minutes
-    
-    getCacheKey(endpoint, params = {}) {
-        return `${endpoint}_${JSON.stringify(params)}`;
-    }
-    
-    setCache(key, data) {
-        this.cache.set(key, {
-            data,
-            timestamp: Date.now()
-        });
-    }
-    
-    getCache(key) {
-        const cached = this.cache.get(key);
-        if (cached && (Date.now() - cached.timestamp) < this.cacheTimeout) {
-            console.log(`📦 Cache hit: ${key}`);
-            return cached.data;
-        }
-        return null;
-    }
-    
-    clearCache() {
-        this.cache.clear();
-    }
-    
     /* ========================================
        Request Queue (for rate limiting)
        ======================================== */
     
     requestQueue = [];
-    isProcessingQueue = false;
     maxConcurrentRequests = 3;
     activeRequests = 0;
     
@@ -446,28 +1296,20 @@ class FoodNinjaAPI {
         });
     }
     
-    async processQueue() {
-        if (this.isProcessingQueue || this.activeRequests >= this.maxConcurrentRequests) {
-            return;
-        }
-        
-        this.isProcessingQueue = true;
-        
+    // Start queued requests until the limit is reached; each one that settles frees a slot
+    processQueue() {
         while (this.requestQueue.length > 0 && this.activeRequests < this.maxConcurrentRequests) {
             const { requestFn, resolve, reject } = this.requestQueue.shift();
             this.activeRequests++;
             
-            try {
-                const result = await requestFn();
-                resolve(result);
-            } catch (error) {
-                reject(error);
-            } finally {
-                this.activeRequests--;
-            }
+            Promise.resolve()
+                .then(requestFn)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.activeRequests--;
+                    this.processQueue();
+                });
         }
-        
-        this.isProcessingQueue = false;
     }
 }
 
@@ -480,11 +1322,17 @@ const api = new FoodNinjaAPI();
 // Global functions for easy access
 window.FoodNinjaAPI = {
     api,
+    FoodNinjaAPIError,
     analyzeFood: (imageFile, options) => api.analyzeFood(imageFile, options),
-    sendChatMessage: (message) => api.sendChatMessage(message),
-    askAI: (prompt) => api.askAI(prompt),
-    healthCheck: () => api.healthCheck(),
-    checkConnection: () => api.checkConnection()
+    getNutrition: (query, options) => api.getNutrition(query, options),
+    lookupNutrition: (query, options) => api.lookupNutrition(query, options),
+    sendChatMessage: (message, options) => api.sendChatMessage(message, options),
+    streamChatMessage: (message, options) => api.streamChatMessage(message, options),
+    askAI: (prompt, options) => api.askAI(prompt, options),
+    getFoodAdvice: (foodName, nutrition, options) => api.getFoodAdvice(foodName, nutrition, options),
+    analyzeFoodBatch: (imageFiles, options) => api.analyzeFoodBatch(imageFiles, options),
+    healthCheck: (options) => api.healthCheck(options),
+    checkConnection: (options) => api.checkConnection(options)
 };
 
 console.log('🌐 Food Ninja API module loaded successfully!');
@@ -126,13 +126,15 @@ function displayAnalysisResults(result) {
         return;
     }
     
+    const { escapeHTML } = window.FoodNinjaUtils.Utils;
+    
     // Display food recognition result
     foodResult.innerHTML = `
         <div class="row">
             <div class="col-md-8">
                 <h4 class="text-success mb-2">
                     <i class="fas fa-check-circle me-2"></i>Thực phẩm: 
-                    <span class="text-primary">${result.foodName || 'Không xác định'}</span>
+                    <span class="text-primary">${escapeHTML(result.foodName || 'Không xác định')}</span>
                 </h4>
                 <p class="mb-2">Độ tin cậy: <strong class="text-success">${((result.confidence || 0) * 100).toFixed(1)}%</strong></p>
                 ${result.lowConfidence ? '<div class="alert alert-warning"><i class="fas fa-exclamation-triangle me-2"></i>Độ tin cậy thấp - kết quả có thể không chính xác</div>' : ''}
@@ -144,19 +146,39 @@ function displayAnalysisResults(result) {
         ${result.aiAdvice ? `
             <div class="mt-3">
                 <h6><i class="fas fa-robot me-2"></i>Lời khuyên từ AI:</h6>
-                <div class="alert alert-info">${result.aiAdvice}</div>
+                <div class="alert alert-info ai-advice-text rich-text"></div>
             </div>
         ` : ''}
-        ${result.alternatives && result.alternatives.length > 0 ? `
+        ${window.CorrectionManager?.shouldOffer(result) ? `
+            <div class="mt-3 alternative-picker-slot"></div>
+        ` : result.alternatives && result.alternatives.length > 0 ? `
             <div class="mt-3">
                 <h6>Các lựa chọn khác:</h6>
                 <div class="d-flex flex-wrap gap-2">
-                    ${result.alternatives.map(alt => `<span class="badge bg-secondary">${alt}</span>`).join('')}
+                    ${result.alternatives.map(alt => `<span class="badge bg-secondary">${escapeHTML(alt.name || alt)}</span>`).join('')}
                 </div>
             </div>
         ` : ''}
     `;
     
+    const adviceText = foodResult.querySelector('.ai-advice-text');
+    if (adviceText) {
+        if (window.RichText) {
+            window.RichText.renderInto(adviceText, result.aiAdvice);
+        } else {
+            adviceText.textContent = result.aiAdvice;
+        }
+    }
+    
+    // Picking an alternative looks the food up again and re-renders in place
+    const pickerSlot = foodResult.querySelector('.alternative-picker-slot');
+    if (pickerSlot) {
+        pickerSlot.appendChild(window.CorrectionManager.createPicker(result, async (name) => {
+            const corrected = await window.CorrectionManager.correctResult(result, name);
+            displayAnalysisResults(corrected);
+        }));
+    }
+    
     // Show results section
     resultsSection.style.display = 'block';
     resultsSection.scrollIntoView({ behavior: 'smooth' });
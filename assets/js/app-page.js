@@ -0,0 +1,686 @@
+/* ========================================
+   Food Ninja - Standalone App Page (app.html)
+   ======================================== */
+
+// PWA Service Worker Registration
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('service-worker.js')
+        .then(reg => console.log('✅ Service Worker registered'))
+        .catch(err => console.log('❌ Service Worker registration failed'));
+}
+
+// App State
+const appState = {
+    selectedImage: null,
+    isAnalyzing: false,
+    currentStream: null,
+    facingMode: 'environment' // 'user' for front camera, 'environment' for back camera
+};
+
+// API Configuration: fallback for when endpoints.js is not loaded
+const API_BASE_URL = (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') ? 'http://localhost:5000' : window.location.origin
+
+// The backend chosen by ?api=, settings or config.json, once EndpointConfig has checked it
+async function getApiBaseURL() {
+    if (!window.EndpointConfig) return API_BASE_URL;
+    
+    await window.EndpointConfig.ready;
+    return window.EndpointConfig.getActive().baseURL;
+}
+
+// DOM Elements
+const elements = {
+    cameraVideo: null,
+    cameraCanvas: null,
+    previewImg: null,
+    uploadArea: null,
+    cameraView: null,
+    defaultView: null,
+    analyzeBtn: null,
+    removeBtn: null,
+    closeCameraBtn: null,
+    captureBtn: null,
+    cameraBtn: null,
+    chatInput: null,
+    chatMessages: null,
+    loadingScreen: null
+};
+
+// Initialize DOM elements when page loads
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('🚀 Food Ninja App starting...');
+    
+    // Get DOM elements
+    elements.cameraVideo = document.getElementById('cameraVideo');
+    elements.cameraCanvas = document.getElementById('cameraCanvas');
+    elements.previewImg = document.getElementById('previewImg');
+    elements.uploadArea = document.getElementById('uploadArea');
+    elements.cameraView = document.getElementById('cameraView');
+    elements.defaultView = document.getElementById('defaultView');
+    elements.analyzeBtn = document.getElementById('analyzeBtn');
+    elements.removeBtn = document.getElementById('removeBtn');
+    elements.closeCameraBtn = document.getElementById('closeCameraBtn');
+    elements.captureBtn = document.getElementById('captureBtn');
+    elements.cameraBtn = document.getElementById('cameraBtn');
+    elements.chatInput = document.getElementById('chatInput');
+    elements.chatMessages = document.getElementById('chatMessages');
+    elements.loadingScreen = document.getElementById('loadingScreen');
+
+    console.log('✅ App initialized successfully');
+
+    // Warm up backend to avoid cold start delays
+    warmBackend();
+});
+
+// Warm-up function to wake server (Render cold start)
+async function warmBackend() {
+    const healthUrl = `${await getApiBaseURL()}/health`;
+    try {
+        const controller = new AbortController();
+        const t = setTimeout(() => controller.abort(), 4000);
+        const res = await fetch(healthUrl, { method: 'GET', signal: controller.signal, cache: 'no-store' });
+        clearTimeout(t);
+        console.log('🟢 Backend warm-up status:', res.status);
+    } catch (e) {
+        console.warn('🟠 Backend warm-up failed (will retry silently):', e?.message || e);
+        // Retry once after a short delay
+        setTimeout(async () => {
+            try {
+                const r = await fetch(healthUrl, { method: 'GET', cache: 'no-store' });
+                console.log('🟢 Backend warm-up retry status:', r.status);
+            } catch {}
+        }, 3000);
+    }
+};
+
+// Re-warm when tab becomes visible again after being idle
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+        warmBackend();
+    }
+});
+
+// Camera Functions
+async function openCamera() {
+    try {
+        console.log('📹 Opening camera...');
+        
+        const stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: appState.facingMode }
+        });
+        
+        appState.currentStream = stream;
+        elements.cameraVideo.srcObject = stream;
+        
+        // Show camera view and hide others
+        elements.defaultView.classList.add('hidden');
+        elements.cameraView.classList.remove('hidden');
+        elements.cameraVideo.classList.remove('hidden');
+        
+        // Show camera controls
+        showCameraControls();
+        
+        console.log('✅ Camera opened successfully');
+    } catch (error) {
+        console.error('❌ Camera error:', error);
+        alert('Không thể mở camera. Vui lòng kiểm tra quyền truy cập camera.');
+    }
+}
+
+function closeCamera() {
+    if (appState.currentStream) {
+        appState.currentStream.getTracks().forEach(track => track.stop());
+        appState.currentStream = null;
+    }
+    
+    // Hide camera view and show default view
+    elements.cameraView.classList.add('hidden');
+    elements.cameraVideo.classList.add('hidden');
+    elements.defaultView.classList.remove('hidden');
+    hideCameraControls();
+    
+    console.log('📹 Camera closed');
+}
+
+function showCameraControls() {
+    elements.cameraBtn.classList.add('hidden');
+    elements.closeCameraBtn.classList.remove('hidden');
+    elements.captureBtn.classList.remove('hidden');
+    
+    // Hide gallery button when camera is active
+    const galleryBtn = document.querySelector('[data-action="open-gallery"]');
+    if (galleryBtn) galleryBtn.classList.add('hidden');
+}
+
+function hideCameraControls() {
+    elements.cameraBtn.classList.remove('hidden');
+    elements.closeCameraBtn.classList.add('hidden');
+    elements.captureBtn.classList.add('hidden');
+    
+    // Show gallery button when camera is closed
+    const galleryBtn = document.querySelector('[data-action="open-gallery"]');
+    if (galleryBtn) galleryBtn.classList.remove('hidden');
+}
+
+function capturePhoto() {
+    if (!elements.cameraVideo || !elements.cameraCanvas) return;
+    
+    const canvas = elements.cameraCanvas;
+    const video = elements.cameraVideo;
+    
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    
+    const context = canvas.getContext('2d');
+    context.drawImage(video, 0, 0);
+    
+    // Convert to blob
+    canvas.toBlob(function(blob) {
+        if (blob) {
+            appState.selectedImage = new File([blob], 'camera-photo.jpg', { type: 'image/jpeg' });
+            
+            // Show preview
+            const url = URL.createObjectURL(blob);
+            elements.previewImg.src = url;
+            showImagePreview();
+            
+            closeCamera();
+            console.log('📸 Photo captured');
+        }
+    }, 'image/jpeg', 0.8);
+}
+
+function openGallery() {
+    const fileInput = document.getElementById('fileInput');
+    if (fileInput) {
+        fileInput.click();
+    }
+}
+
+function handleFileSelect(event) {
+    const file = event.target.files[0];
+    if (file) {
+        appState.selectedImage = file;
+        
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            elements.previewImg.src = e.target.result;
+            showImagePreview();
+        };
+        reader.readAsDataURL(file);
+        
+        console.log('📁 File selected:', file.name);
+    }
+}
+
+function showImagePreview() {
+    // Hide camera view and show default view with image
+    elements.cameraView.classList.add('hidden');
+    elements.defaultView.classList.remove('hidden');
+    
+    // Hide upload area and show image preview
+    elements.uploadArea.classList.add('hidden');
+    elements.previewImg.classList.remove('hidden');
+    
+    // Hide camera controls and show analysis controls
+    elements.cameraBtn.classList.add('hidden');
+    elements.analyzeBtn.classList.remove('hidden');
+    elements.removeBtn.classList.remove('hidden');
+    
+    // Add animation class to image
+    elements.previewImg.style.animation = 'imageSlideIn 0.6s ease-out';
+    
+    console.log('🖼️ Image preview shown');
+}
+
+function removeImage() {
+    appState.selectedImage = null;
+    elements.previewImg.src = '';
+    
+    // Hide image preview and show upload area
+    elements.previewImg.classList.add('hidden');
+    elements.uploadArea.classList.remove('hidden');
+    
+    // Show camera controls and hide analysis controls
+    elements.cameraBtn.classList.remove('hidden');
+    elements.analyzeBtn.classList.add('hidden');
+    elements.removeBtn.classList.add('hidden');
+    
+    // Hide results
+    document.getElementById('analysisResults').classList.add('hidden');
+    
+    console.log('🗑️ Image removed');
+}
+
+// Analysis Functions
+async function analyzeImage() {
+    if (!appState.selectedImage) {
+        alert('Vui lòng chọn ảnh trước khi phân tích.');
+        return;
+    }
+    
+    if (appState.isAnalyzing) {
+        alert('Đang phân tích, vui lòng chờ...');
+        return;
+    }
+    
+    console.log('🔍 Starting image analysis...');
+    appState.isAnalyzing = true;
+    
+    // Show loading state
+    elements.analyzeBtn.classList.add('loading');
+    elements.analyzeBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i>Đang phân tích...';
+    elements.analyzeBtn.disabled = true;
+    
+    try {
+        const formData = new FormData();
+        formData.append('image', appState.selectedImage);
+        
+        const baseURL = await getApiBaseURL();
+        console.log('📤 Sending request to:', `${baseURL}/predict`);
+        console.log('📎 File size:', appState.selectedImage.size, 'bytes');
+        console.log('📎 File type:', appState.selectedImage.type);
+        
+        const response = await fetch(`${baseURL}/predict`, {
+            method: 'POST',
+            body: formData
+        });
+        
+        console.log('📥 Response status:', response.status, response.statusText);
+        
+        if (!response.ok) {
+            const errorResult = await response.json();
+            throw new Error(errorResult.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        const result = await response.json();
+        console.log('📊 Analysis result:', result);
+        
+        if (result.error) {
+            throw new Error(result.error);
+        } else {
+            displayAnalysisResults(result);
+        }
+        
+    } catch (error) {
+        console.error('❌ Analysis error:', error);
+        alert('Lỗi phân tích: ' + error.message);
+    } finally {
+        appState.isAnalyzing = false;
+        elements.analyzeBtn.classList.remove('loading');
+        elements.analyzeBtn.innerHTML = '<i class="fas fa-search me-2"></i>Phân tích thực phẩm';
+        elements.analyzeBtn.disabled = false;
+    }
+}
+
+function displayAnalysisResults(data) {
+    console.log('📋 Displaying results:', data);
+    
+    const resultsSection = document.getElementById('analysisResults');
+    const resultsContent = document.getElementById('resultsContent');
+    const confidenceBadge = document.getElementById('confidenceBadge');
+    const confidenceText = document.getElementById('confidenceText');
+    
+    if (!resultsSection || !resultsContent) {
+        console.error('❌ Results sections not found');
+        return;
+    }
+    
+    // Update confidence badge
+    const confidence = (data.probability || 0) * 100;
+    confidenceText.textContent = confidence.toFixed(1) + '%';
+    
+    if (confidence >= 80) {
+        confidenceBadge.className = 'confidence-badge';
+    } else if (confidence >= 60) {
+        confidenceBadge.className = 'confidence-badge low';
+    } else {
+        confidenceBadge.className = 'confidence-badge very-low';
+    }
+    
+    // Build nutrition display
+    let nutritionHtml = '';
+    if (data.nutrition && data.nutrition.items && data.nutrition.items.length > 0) {
+        const item = data.nutrition.items[0];
+        nutritionHtml = `
+            <div class="nutrition-section">
+                <h4 class="mb-3">Thông tin dinh dưỡng</h4>
+                <div class="nutrition-grid">
+                    <div class="nutrition-item">
+                        <div class="nutrition-value">${Number(item.calories) || 0}</div>
+                        <div class="nutrition-label">Calories</div>
+                    </div>
+                    <div class="nutrition-item">
+                        <div class="nutrition-value">${Number(item.protein_g) || 0}<span class="nutrition-unit">g</span></div>
+                        <div class="nutrition-label">Protein</div>
+                    </div>
+                    <div class="nutrition-item">
+                        <div class="nutrition-value">${Number(item.carbohydrates_total_g) || 0}<span class="nutrition-unit">g</span></div>
+                        <div class="nutrition-label">Carbs</div>
+                    </div>
+                    <div class="nutrition-item">
+                        <div class="nutrition-value">${Number(item.fat_total_g) || 0}<span class="nutrition-unit">g</span></div>
+                        <div class="nutrition-label">Fat</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    } else {
+        nutritionHtml = '<div class="text-muted">Không có thông tin dinh dưỡng</div>';
+    }
+    
+    // Display food name and details
+    resultsContent.innerHTML = `
+        <div class="row">
+            <div class="col-12">
+                <h4 class="mb-3">
+                    Thực phẩm: <span class="food-name"></span>
+                </h4>
+                ${data.low_confidence ? '<div class="alert alert-warning"><i class="fas fa-exclamation-triangle me-2"></i>Độ tin cậy thấp - kết quả có thể không chính xác</div>' : ''}
+            </div>
+        </div>
+        ${nutritionHtml}
+        ${data.ai_answer ? `
+            <div class="ai-advice">
+                <h5 class="ai-advice-title">
+                    <i class="fas fa-robot me-2"></i>
+                    Lời khuyên từ AI
+                </h5>
+                <div class="ai-advice-content rich-text"></div>
+            </div>
+        ` : ''}
+        ${data.alternatives && data.alternatives.length > 0 ? `
+            <div class="mt-3">
+                <h6>Các lựa chọn khác:</h6>
+                <div class="d-flex flex-wrap gap-2 food-alternatives"></div>
+            </div>
+        ` : ''}
+    `;
+    
+    // Names and advice come from the API, so they are set as text or rendered, never injected
+    resultsContent.querySelector('.food-name').textContent = data.food_name || 'Không xác định';
+    
+    if (data.ai_answer) {
+        renderRichText(resultsContent.querySelector('.ai-advice-content'), data.ai_answer);
+    }
+    
+    const alternatives = resultsContent.querySelector('.food-alternatives');
+    if (alternatives) {
+        data.alternatives.forEach(alt => {
+            const badge = document.createElement('span');
+            badge.className = 'badge bg-secondary';
+            badge.textContent = alt;
+            alternatives.appendChild(badge);
+        });
+    }
+    
+    // Show results section with animation
+    resultsSection.classList.remove('hidden');
+    resultsSection.classList.add('fade-in');
+    resultsSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Chat Functions
+async function sendChatMessage() {
+    const input = elements.chatInput;
+    const message = input.value.trim();
+    
+    if (!message) return;
+    
+    console.log('💬 Sending chat message:', message);
+    input.value = '';
+    
+    // Add user message
+    addChatMessage(message, 'user');
+    
+    // Add loading message
+    const loadingId = 'loading-' + Date.now();
+    addChatMessage('Đang trả lời...', 'assistant', loadingId);
+    
+    try {
+        // Simple retry for backend cold start: up to 2 attempts
+        const attemptFetch = async (attempt = 1) => {
+            const response = await fetch(`${await getApiBaseURL()}/chat`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    message: message,
+                    context: appState.selectedImage ? 'Người dùng đã chụp/chọn ảnh thực phẩm.' : null
+                })
+            });
+            console.log('📥 Chat response status:', response.status);
+            
+            // If backend is waking up (502/503/504), wait and retry once
+            if ((response.status === 502 || response.status === 503 || response.status === 504) && attempt < 2) {
+                addChatMessage('⏳ Server đang khởi động, vui lòng đợi vài giây...', 'assistant');
+                await new Promise(r => setTimeout(r, 3500));
+                return attemptFetch(attempt + 1);
+            }
+            
+            // Ensure JSON before parsing
+            const ct = response.headers.get('content-type') || '';
+            if (!response.ok) {
+                let errMsg = `HTTP ${response.status}`;
+                if (ct.includes('application/json')) {
+                    try { const e = await response.json(); errMsg = e.error || errMsg; } catch {}
+                } else {
+                    // Read as text (likely HTML error page)
+                    try { await response.text(); } catch {}
+                }
+                throw new Error(errMsg);
+            }
+            
+            if (!ct.includes('application/json')) {
+                // Not JSON (e.g., an HTML error page). Show friendly error
+                throw new Error('Phản hồi không hợp lệ từ server (không phải JSON).');
+            }
+            
+            return response.json();
+        };
+        
+        const result = await attemptFetch();
+        console.log('💬 Chat result:', result);
+        
+        // Remove loading message
+        document.getElementById(loadingId)?.remove();
+        
+        if (result && result.error) {
+            addChatMessage('Lỗi: ' + result.error, 'assistant');
+        } else if (result && result.response) {
+            addChatMessage(result.response, 'assistant');
+        } else {
+            addChatMessage('Xin lỗi, tôi không thể trả lời ngay bây giờ. Vui lòng thử lại sau.', 'assistant');
+        }
+        
+    } catch (error) {
+        console.error('❌ Chat error:', error);
+        document.getElementById(loadingId)?.remove();
+        addChatMessage('Lỗi kết nối hoặc server đang khởi động. Vui lòng thử lại sau.', 'assistant');
+    }
+}
+
+function addChatMessage(message, sender, messageId = null) {
+    const chatMessages = elements.chatMessages;
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `chat-message message-${sender}`;
+    if (messageId) messageDiv.id = messageId;
+    
+    const bubble = document.createElement('div');
+    bubble.className = 'message-bubble';
+    
+    // Answers may contain Markdown; the user's own text is shown as typed
+    if (sender === 'assistant') {
+        bubble.classList.add('rich-text');
+        renderRichText(bubble, message);
+    } else {
+        bubble.textContent = message;
+    }
+    
+    messageDiv.appendChild(bubble);
+    chatMessages.appendChild(messageDiv);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// Settings
+function openSettings() {
+    const modal = document.getElementById('settingsModal');
+    if (!modal) return;
+    
+    const content = document.getElementById('settingsContent');
+    window.EndpointConfig?.renderSettings(content);
+    window.DiagnosticsLog?.renderSettings(content);
+    bootstrap.Modal.getOrCreateInstance(modal).show();
+}
+
+// Utility Functions
+function renderRichText(element, text) {
+    if (window.RichText) {
+        window.RichText.renderInto(element, text);
+    } else {
+        element.textContent = text;
+    }
+}
+
+function showLoading(text = 'Loading...') {
+    elements.loadingScreen.querySelector('.loading-text').textContent = text;
+    elements.loadingScreen.classList.remove('hidden');
+}
+
+function hideLoading() {
+    elements.loadingScreen.classList.add('hidden');
+}
+
+// Navigation Functions
+function goToIndex() {
+    window.location.href = 'index.html';
+}
+
+// PWA Installation
+let deferredPrompt;
+const installBanner = document.getElementById('installBanner');
+
+window.addEventListener('beforeinstallprompt', (e) => {
+    console.log('💾 PWA install prompt available');
+    e.preventDefault();
+    deferredPrompt = e;
+    
+    // Show install banner after 3 seconds
+    setTimeout(() => {
+        if (!localStorage.getItem('installBannerDismissed')) {
+            showInstallBanner();
+        }
+    }, 3000);
+});
+
+function showInstallBanner() {
+    if (installBanner) {
+        installBanner.classList.remove('hidden');
+    }
+}
+
+function dismissInstallBanner() {
+    if (installBanner) {
+        installBanner.classList.add('hidden');
+        localStorage.setItem('installBannerDismissed', 'true');
+    }
+}
+
+async function installPWA() {
+    if (deferredPrompt) {
+        try {
+            deferredPrompt.prompt();
+            const { outcome } = await deferredPrompt.userChoice;
+            
+            if (outcome === 'accepted') {
+                console.log('✅ PWA installed successfully');
+                dismissInstallBanner();
+            } else {
+                console.log('❌ PWA installation declined');
+            }
+            
+            deferredPrompt = null;
+        } catch (error) {
+            console.error('❌ PWA install error:', error);
+            showInstallInstructions();
+        }
+    } else {
+        // Fallback for browsers that don't support PWA install
+        showInstallInstructions();
+    }
+}
+
+function showInstallInstructions() {
+    const isMobile = /Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    const isChrome = /Chrome/i.test(navigator.userAgent);
+    const isSafari = /Safari/i.test(navigator.userAgent) && !/Chrome/i.test(navigator.userAgent);
+    
+    let instructions = '';
+    
+    if (isMobile) {
+        if (isChrome) {
+            instructions = 'Trên Android Chrome:\n1. Nhấn menu (3 chấm)\n2. Chọn "Thêm vào màn hình chính"\n3. Nhấn "Thêm"';
+        } else if (isSafari) {
+            instructions = 'Trên iPhone Safari:\n1. Nhấn nút chia sẻ (mũi tên lên)\n2. Chọn "Thêm vào màn hình chính"\n3. Nhấn "Thêm"';
+        } else {
+            instructions = 'Để cài đặt app:\n1. Mở trang web bằng Chrome hoặc Safari\n2. Tìm tùy chọn "Thêm vào màn hình chính"\n3. Làm theo hướng dẫn';
+        }
+    } else {
+        if (isChrome) {
+            instructions = 'Trên Chrome desktop:\n1. Nhấn icon cài đặt ở thanh địa chỉ\n2. Hoặc vào menu → "Cài đặt Food Ninja"\n3. Nhấn "Cài đặt"';
+        } else {
+            instructions = 'Để cài đặt app:\n1. Mở trang web bằng Chrome\n2. Tìm icon cài đặt ở thanh địa chỉ\n3. Làm theo hướng dẫn';
+        }
+    }
+    
+    alert(instructions);
+}
+
+// Check if already installed
+window.addEventListener('appinstalled', () => {
+    console.log('✅ PWA was installed');
+    dismissInstallBanner();
+});
+
+// UI Actions: buttons carry data-action instead of inline handlers, so the page runs under a strict CSP
+const pageActions = {
+    'go-to-index': goToIndex,
+    'show-install-banner': showInstallBanner,
+    'open-settings': openSettings,
+    'install-pwa': installPWA,
+    'show-install-instructions': showInstallInstructions,
+    'dismiss-install-banner': dismissInstallBanner,
+    'open-camera': openCamera,
+    'open-gallery': openGallery,
+    'analyze-image': analyzeImage,
+    'remove-image': removeImage,
+    'close-camera': closeCamera,
+    'capture-photo': capturePhoto,
+    'send-chat-message': sendChatMessage
+};
+
+document.addEventListener('click', function(e) {
+    const button = e.target.closest('[data-action]');
+    if (button && pageActions[button.dataset.action]) {
+        pageActions[button.dataset.action]();
+    }
+});
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('fileInput')?.addEventListener('change', handleFileSelect);
+    document.getElementById('chatInput')?.addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') sendChatMessage();
+    });
+});
+
+// Error Handling
+window.addEventListener('error', function(e) {
+    console.error('❌ Global error:', e.error);
+});
+
+window.addEventListener('unhandledrejection', function(e) {
+    console.error('❌ Unhandled promise rejection:', e.reason);
+});
+
+console.log('✅ Food Ninja JavaScript loaded');
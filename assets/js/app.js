@@ -8,13 +8,19 @@ class FoodNinjaApp {
         this.isAnalyzing = false;
         this.analysisResults = null;
         this.selectedImage = null;
+        this.imageReport = null;
+        this.pendingHistory = null;
+        this.analysisController = null;
+        
+        // Requests cancelled when the view changes or the app is cleaned up
+        this.pendingRequests = new Set();
         
         // UI Elements
         this.elements = {};
         
         // Managers
         this.themeManager = window.Utils?.ThemeManager ? new window.Utils.ThemeManager() : null;
-        this.loadingManager = window.Utils?.LoadingManager ? new window.Utils.LoadingManager() : null;
+        this.loadingManager = window.Utils?.LoadingManager ? new window.Utils.LoadingManager() : window.FoodNinjaUtils?.loading || null;
         this.notificationManager = window.Utils?.NotificationManager ? new window.Utils.NotificationManager() : null;
         
         this.init();
@@ -54,7 +60,8 @@ class FoodNinjaApp {
         // Initialize components
         await this.initializeComponents();
         
-        // Check API connection
+        // Check API connection once the backend from config.json is known
+        await window.EndpointConfig?.ready;
         await this.checkAPIConnection();
         
         // Setup navigation
@@ -143,7 +150,10 @@ class FoodNinjaApp {
         this.elements.captureBtn?.addEventListener('click', () => this.captureImage());
         this.elements.switchCameraBtn?.addEventListener('click', () => this.switchCamera());
         
-        // File upload
+        // File upload; several photos at once are analysed as a batch
+        if (this.elements.fileInput) {
+            this.elements.fileInput.multiple = true;
+        }
         this.elements.fileInput?.addEventListener('change', (e) => this.handleFileSelect(e));
         this.elements.uploadBtn?.addEventListener('click', () => this.elements.fileInput?.click());
         
@@ -156,6 +166,10 @@ class FoodNinjaApp {
         // Theme
         this.elements.themeToggle?.addEventListener('click', () => this.toggleTheme());
         
+        // Buttons rendered into the preview and results carry data-action instead of inline handlers
+        this.elements.imagePreview?.addEventListener('click', (e) => this.handleActionClick(e));
+        this.elements.resultsContainer?.addEventListener('click', (e) => this.handleActionClick(e));
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboardShortcuts(e));
         
@@ -167,10 +181,30 @@ class FoodNinjaApp {
         // Custom events
         window.addEventListener('nutritionAnalysisComplete', (e) => this.handleAnalysisComplete(e.detail));
         window.addEventListener('cameraError', (e) => this.handleCameraError(e.detail));
+        window.addEventListener('historyEntrySelected', (e) => this.showHistoryEntry(e.detail));
+        window.addEventListener('offlineAnalysisComplete', (e) => this.handleOfflineAnalysisComplete(e.detail));
+        window.addEventListener('serverStatusChange', (e) => this.handleServerStatusChange(e.detail));
         
         console.log('📡 Event listeners setup complete');
     }
     
+    handleActionClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        
+        const actions = {
+            'clear-image': () => this.clearImage(),
+            'analyze-another': () => this.analyzeAnother(),
+            'ask-question': () => this.askNutritionQuestion(),
+            'share-results': () => this.shareResults(),
+            'save-results': () => this.saveResults(),
+            'log-meal': () => this.logMeal()
+        };
+        
+        // Other actions (batch tiles, nutrition rows) are handled by their own components
+        actions[button.dataset.action]?.();
+    }
+    
     /* ========================================
        Component Initialization
        ======================================== */
@@ -203,6 +237,9 @@ class FoodNinjaApp {
     navigateTo(view) {
         if (this.currentView === view) return;
         
+        // Results of the view being left are no longer wanted
+        this.cancelPendingRequests();
+        
         // Hide current view
         this.elements.views?.forEach(v => {
             v.classList.remove('active');
@@ -224,6 +261,9 @@ class FoodNinjaApp {
             case 'settings':
                 targetViewId = 'settingsView';
                 break;
+            case 'diary':
+                targetViewId = 'diaryView';
+                break;
             default:
                 targetViewId = view + 'View';
         }
@@ -255,6 +295,8 @@ class FoodNinjaApp {
         switch (view) {
             case 'camera':
             case 'home':
+                this.initializeFoodSearch();
+                this.initializeOfflineQueue();
                 this.initializeCameraView();
                 break;
             case 'chat':
@@ -266,6 +308,9 @@ class FoodNinjaApp {
             case 'settings':
                 this.initializeSettingsView();
                 break;
+            case 'diary':
+                this.initializeDiaryView();
+                break;
             case 'results':
                 this.initializeResultsView();
                 break;
@@ -290,6 +335,18 @@ class FoodNinjaApp {
        Camera Functions
        ======================================== */
     
+    initializeFoodSearch() {
+        if (!window.FoodSearch) return;
+        
+        window.FoodSearch.renderSearch(document.getElementById('homeView'), (query, foodName) => this.searchFood(query, foodName));
+    }
+    
+    initializeOfflineQueue() {
+        if (!window.OfflineQueue) return;
+        
+        window.OfflineQueue.renderPendingList(document.getElementById('homeView'));
+    }
+    
     async initializeCameraView() {
         if (!this.elements.videoElement) return;
         
@@ -314,12 +371,123 @@ class FoodNinjaApp {
     
     initializeHistoryView() {
         console.log('📋 Initializing history view');
-        // Load history if needed
+        
+        if (window.HistoryManager) {
+            window.HistoryManager.renderView(document.getElementById('historyView'));
+        }
     }
     
     initializeSettingsView() {
         console.log('⚙️ Initializing settings view');
-        // Load settings if needed
+        
+        const settingsView = document.getElementById('settingsView');
+        if (!settingsView) return;
+        
+        settingsView.innerHTML = `
+            <div class="settings-header">
+                <h5>
+                    <i class="fas fa-cog me-2"></i>
+                    Cài đặt
+                </h5>
+            </div>
+            <div class="settings-content"></div>
+        `;
+        
+        const content = settingsView.querySelector('.settings-content');
+        
+        if (window.DiaryManager) {
+            window.DiaryManager.renderGoalsSettings(content);
+        }
+        
+        this.renderImageSettings(content);
+        
+        if (window.AnalysisCache) {
+            window.AnalysisCache.renderSettings(content);
+        }
+        
+        if (window.EndpointConfig) {
+            window.EndpointConfig.renderSettings(content);
+        }
+        
+        if (window.ReadAloud) {
+            window.ReadAloud.renderSettings(content);
+        }
+        
+        if (window.DiagnosticsLog) {
+            window.DiagnosticsLog.renderSettings(content);
+        }
+    }
+    
+    renderImageSettings(container) {
+        const { ImageProcessor, storage } = window.FoodNinjaUtils;
+        const options = ImageProcessor.getPreprocessOptions();
+        
+        const dimensions = [800, 1280, 1600, 1920];
+        const budgets = [0.5, 1, 2, 4].map(mb => mb * 1024 * 1024);
+        const formats = { 'image/jpeg': 'JPEG', 'image/webp': 'WebP' };
+        
+        const group = document.createElement('div');
+        group.className = 'settings-group';
+        group.innerHTML = `
+            <h6>
+                <i class="fas fa-image me-2"></i>
+                Xử lý ảnh trước khi gửi
+            </h6>
+            <form class="image-settings-form">
+                <div class="setting-item">
+                    <label class="form-label" for="imageMaxDimension">Kích thước tối đa (px)</label>
+                    <select class="form-select" id="imageMaxDimension" name="maxDimension">
+                        ${dimensions.map(value => `
+                            <option value="${value}" ${value === options.maxDimension ? 'selected' : ''}>${value}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="setting-item">
+                    <label class="form-label" for="imageMaxBytes">Dung lượng tối đa</label>
+                    <select class="form-select" id="imageMaxBytes" name="maxBytes">
+                        ${budgets.map(value => `
+                            <option value="${value}" ${value === options.maxBytes ? 'selected' : ''}>${window.FoodNinjaUtils.Utils.formatFileSize(value)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="setting-item">
+                    <label class="form-label" for="imageFormat">Định dạng</label>
+                    <select class="form-select" id="imageFormat" name="format">
+                        ${Object.entries(formats).map(([value, label]) => `
+                            <option value="${value}" ${value === options.format ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-check">
+                    <input class="form-check-input" type="checkbox" id="imageCrop" name="crop" ${options.crop ? 'checked' : ''}>
+                    <label class="form-check-label" for="imageCrop">Cắt vuông ở giữa ảnh</label>
+                </div>
+            </form>
+        `;
+        
+        const form = group.querySelector('form');
+        form.addEventListener('change', () => {
+            storage.set('imageSettings', {
+                maxDimension: Number(form.elements.maxDimension.value),
+                maxBytes: Number(form.elements.maxBytes.value),
+                format: form.elements.format.value,
+                crop: form.elements.crop.checked
+            });
+            
+            if (this.notificationManager) {
+                this.notificationManager.show('Đã lưu cài đặt xử lý ảnh', 'success');
+            }
+        });
+        
+        container.appendChild(group);
+    }
+    
+    initializeDiaryView() {
+        console.log('📒 Initializing diary view');
+        
+        if (window.DiaryManager) {
+            window.DiaryManager.renderView(document.getElementById('diaryView'));
+        }
     }
     
     initializeResultsView() {
@@ -353,9 +521,9 @@ class FoodNinjaApp {
             this.hideLoading();
             
             if (result.success) {
-                this.selectedImage = result.file;
-                this.displayImagePreview(result.dataURL);
-                this.showAnalysisControls(true);
+                this.showLoading('Đang tối ưu ảnh...');
+                await this.prepareImage(result.file);
+                this.hideLoading();
                 
                 if (this.notificationManager) {
                     this.notificationManager.show('Ảnh đã được chụp thành công!', 'success');
@@ -385,18 +553,22 @@ class FoodNinjaApp {
        ======================================== */
     
     async handleFileSelect(event) {
-        const files = event.target.files;
-        if (!files || files.length === 0) return;
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0) return;
+        
+        if (files.length > 1) {
+            await this.analyzeBatch(files);
+            return;
+        }
         
-        const file = files[0];
-        await this.processSelectedFile(file);
+        await this.processSelectedFile(files[0]);
     }
     
     async processSelectedFile(file) {
         try {
-            // Validate file
+            // Validate file; large originals are fine since they get shrunk below
             if (window.CameraManager) {
-                const validation = window.CameraManager.validateFile(file);
+                const validation = window.CameraManager.validateFile(file, window.CameraManager.instance.maxSourceFileSize);
                 if (!validation.valid) {
                     this.showError(validation.errors.join(', '));
                     return;
@@ -404,35 +576,44 @@ class FoodNinjaApp {
             }
             
             this.showLoading('Đang xử lý ảnh...');
-            
-            // Read file
-            let result;
-            if (window.CameraManager) {
-                result = await window.CameraManager.readFileAsDataURL(file);
-            } else {
-                result = await this.readFileAsDataURL(file);
-            }
-            
+            await this.prepareImage(file);
             this.hideLoading();
             
-            if (result.success) {
-                this.selectedImage = file;
-                this.displayImagePreview(result.dataURL);
-                this.showAnalysisControls(true);
-                
-                if (this.notificationManager) {
-                    this.notificationManager.show('Ảnh đã được tải lên thành công!', 'success');
-                }
-            } else {
-                this.showError(`Lỗi đọc file: ${result.error}`);
+            if (this.notificationManager) {
+                this.notificationManager.show('Ảnh đã được tải lên thành công!', 'success');
             }
             
         } catch (error) {
             this.hideLoading();
-            this.showError('Không thể xử lý file đã chọn');
+            this.showError(error.message || 'Không thể xử lý file đã chọn');
         }
     }
     
+    // Camera and gallery photos share one preprocessing step before upload
+    async prepareImage(file) {
+        const { ImageProcessor } = window.FoodNinjaUtils;
+        let report = null;
+        
+        try {
+            report = await ImageProcessor.preprocessImage(file);
+        } catch (error) {
+            // Unsupported formats must be reported; otherwise upload the original if it fits
+            if (ImageProcessor.isHEIC(file) || file.size > (window.CameraManager?.instance.maxFileSize ?? 10 * 1024 * 1024)) {
+                throw error;
+            }
+            console.warn('⚠️ Image preprocessing failed, using original file:', error);
+        }
+        
+        this.selectedImage = report ? report.file : file;
+        this.imageReport = report;
+        
+        const dataURL = await ImageProcessor.createImagePreview(this.selectedImage);
+        this.displayImagePreview(dataURL, report);
+        this.showAnalysisControls(true);
+        
+        return report;
+    }
+    
     setupDragAndDrop() {
         const dropZone = document.getElementById('drop-zone') || document.body;
         
@@ -446,7 +627,9 @@ class FoodNinjaApp {
     }
     
     async handleDroppedFiles(files) {
-        if (files.length > 0) {
+        if (files.length > 1) {
+            await this.analyzeBatch(files);
+        } else if (files.length > 0) {
             await this.processSelectedFile(files[0]);
         }
     }
@@ -460,56 +643,218 @@ class FoodNinjaApp {
        Image Analysis
        ======================================== */
     
-    async analyzeImage() {
+    // skipCache sends the photo again even if an identical one was analysed before
+    async analyzeImage({ skipCache = false } = {}) {
         if (!this.selectedImage || this.isAnalyzing) return;
         
+        if (!navigator.onLine && window.OfflineQueue) {
+            await this.queueOfflineAnalysis();
+            return;
+        }
+        
         try {
             this.isAnalyzing = true;
-            this.showLoading('Đang phân tích thực phẩm...');
+            this.analysisController = this.trackRequest();
+            this.loadingManager?.showProgress('Đang phân tích thực phẩm...', {
+                onCancel: () => this.cancelAnalysis()
+            });
             this.showAnalysisControls(false);
             
             // Call API
-            const result = await window.FoodNinjaAPI.analyzeFood(this.selectedImage);
+            const result = await window.FoodNinjaAPI.analyzeFood(this.selectedImage, {
+                skipCache,
+                signal: this.analysisController.signal,
+                onProgress: (progress) => this.updateAnalysisProgress(progress)
+            });
             
             this.hideLoading();
             this.isAnalyzing = false;
+            this.releaseRequest(this.analysisController);
+            this.analysisController = null;
             
             if (result.success) {
-                this.analysisResults = result;
-                this.displayAnalysisResults(result);
-                this.navigateTo('results');
-                
-                // Dispatch event
-                window.dispatchEvent(new CustomEvent('nutritionAnalysisComplete', {
-                    detail: result
-                }));
-                
+                this.showAnalysisResult(result, this.selectedImage);
+            } else if (result.code === 'cancelled') {
+                this.notificationManager?.show('Đã hủy phân tích ảnh', 'info');
+                this.showAnalysisControls(true);
+            } else if (result.code === 'offline' && window.OfflineQueue) {
+                // The connection dropped during the upload
+                await this.queueOfflineAnalysis();
             } else {
-                this.showError(`Lỗi phân tích: ${result.error}`);
+                this.showAPIError(result, 'Lỗi phân tích');
                 this.showAnalysisControls(true);
             }
             
         } catch (error) {
             this.hideLoading();
             this.isAnalyzing = false;
+            this.releaseRequest(this.analysisController);
+            this.analysisController = null;
             this.showAnalysisControls(true);
             this.showError('Không thể phân tích ảnh');
         }
     }
     
+    // Several photos skip the preview and go straight to the batch view
+    async analyzeBatch(files) {
+        if (!window.BatchAnalysis) {
+            await this.processSelectedFile(files[0]);
+            return;
+        }
+        
+        this.clearImage();
+        this.navigateTo('results');
+        
+        await window.BatchAnalysis.start(files, this.elements.resultsContainer, {
+            onOpen: (result) => this.showBatchResult(result)
+        });
+    }
+    
+    // Details of one batch photo, with a way back to the tiles
+    showBatchResult(result) {
+        this.analysisResults = result;
+        this.displayAnalysisResults(result);
+        
+        const back = document.createElement('button');
+        back.type = 'button';
+        back.className = 'btn btn-link batch-back-btn mb-2';
+        back.innerHTML = '<i class="fas fa-arrow-left me-1"></i> Tất cả ảnh';
+        back.addEventListener('click', () => window.BatchAnalysis.render(this.elements.resultsContainer));
+        
+        this.elements.resultsContainer.prepend(back);
+    }
+    
+    updateAnalysisProgress({ stage, label, percent, loaded, total }) {
+        const { Utils } = window.FoodNinjaUtils;
+        const message = stage === 'uploading' && total
+            ? `${label} ${Utils.formatFileSize(loaded)} / ${Utils.formatFileSize(total)}`
+            : label;
+        
+        this.loadingManager?.setProgress(percent, message);
+    }
+    
+    cancelAnalysis() {
+        this.analysisController?.abort();
+    }
+    
+    /* ========================================
+       Request Cancellation
+       ======================================== */
+    
+    // Controller for a request that should not outlive the current view
+    trackRequest() {
+        const controller = new AbortController();
+        this.pendingRequests.add(controller);
+        return controller;
+    }
+    
+    releaseRequest(controller) {
+        this.pendingRequests.delete(controller);
+    }
+    
+    cancelPendingRequests() {
+        if (this.pendingRequests.size > 0) {
+            console.log(`🚫 Cancelling ${this.pendingRequests.size} pending request(s)`);
+        }
+        
+        this.pendingRequests.forEach(controller => controller.abort());
+        this.pendingRequests.clear();
+        
+        window.ChatManager?.stopResponse();
+        window.BatchAnalysis?.cancel();
+    }
+    
+    async queueOfflineAnalysis() {
+        try {
+            await window.OfflineQueue.enqueue(this.selectedImage);
+            this.clearImage();
+            this.navigateTo('home');
+            
+            if (this.notificationManager) {
+                this.notificationManager.show('Bạn đang offline. Ảnh đã được lưu và sẽ tự động phân tích khi có mạng.', 'info');
+            }
+        } catch (error) {
+            console.error('❌ Could not queue offline analysis:', error);
+            this.showAnalysisControls(true);
+            this.showError('Không thể lưu ảnh để phân tích sau');
+        }
+    }
+    
+    async searchFood(query, foodName) {
+        if (!query?.trim() || this.isAnalyzing) return;
+        
+        const controller = this.trackRequest();
+        
+        try {
+            this.isAnalyzing = true;
+            this.showLoading('Đang tra cứu dinh dưỡng...');
+            
+            const result = await window.FoodNinjaAPI.lookupNutrition(query, { foodName, signal: controller.signal });
+            this.releaseRequest(controller);
+            
+            if (result.success) {
+                this.selectedImage = null;
+                this.showAnalysisResult(result, null);
+            } else if (result.code !== 'cancelled') {
+                this.showAPIError(result, 'Lỗi tra cứu');
+            }
+            
+        } catch (error) {
+            console.error('❌ Food search failed:', error);
+            this.showError('Không thể tra cứu dinh dưỡng');
+        } finally {
+            this.releaseRequest(controller);
+            this.hideLoading();
+            this.isAnalyzing = false;
+        }
+    }
+    
+    // Shared by photo analysis and name lookup, which return the same result shape
+    showAnalysisResult(result, imageFile) {
+        // Start from a typical serving instead of the reported 100 g
+        if (window.PortionManager) {
+            window.PortionManager.applyDefaultPortion(result);
+        }
+        
+        this.analysisResults = result;
+        this.displayAnalysisResults(result);
+        this.navigateTo('results');
+        
+        const adviceControls = this.elements.resultsContainer?.querySelector('.card-header .read-aloud-controls');
+        if (adviceControls) {
+            window.ReadAloud.autoRead(adviceControls);
+        }
+        
+        // Keep every successful analysis in the meal history
+        this.pendingHistory = this.recordHistory(result, imageFile);
+        
+        // Dispatch event
+        window.dispatchEvent(new CustomEvent('nutritionAnalysisComplete', {
+            detail: result
+        }));
+    }
+    
     /* ========================================
        Results Display
        ======================================== */
     
-    displayImagePreview(dataURL) {
+    displayImagePreview(dataURL, report = null) {
+        const { Utils } = window.FoodNinjaUtils;
+        
         if (this.elements.imagePreview) {
             this.elements.imagePreview.innerHTML = `
                 <img src="${dataURL}" alt="Preview" class="img-fluid rounded">
                 <div class="image-overlay">
-                    <button class="btn btn-sm btn-danger" onclick="app.clearImage()">
+                    <button class="btn btn-sm btn-danger" data-action="clear-image" title="Xóa ảnh">
                         <i class="fas fa-times"></i>
                     </button>
                 </div>
+                ${report ? `
+                    <small class="image-size-info text-muted">
+                        ${Utils.formatFileSize(report.originalSize)} → ${Utils.formatFileSize(report.size)}
+                        · ${report.dimensions.width}×${report.dimensions.height}
+                    </small>
+                ` : ''}
             `;
         }
     }
@@ -517,24 +862,24 @@ class FoodNinjaApp {
     displayAnalysisResults(results) {
         if (!this.elements.resultsContainer) return;
         
-        const { foodName, confidence, nutrition, aiAdvice, lowConfidence } = results;
+        const { nutrition, aiAdvice } = results;
         
         // Clear previous results
         this.elements.resultsContainer.innerHTML = '';
         
         // Food identification
-        const foodCard = this.createFoodCard(foodName, confidence, lowConfidence);
+        const foodCard = this.createFoodCard(results);
         this.elements.resultsContainer.appendChild(foodCard);
         
         // Nutrition information
         if (nutrition) {
-            const nutritionCard = this.createNutritionCard(nutrition);
+            const nutritionCard = this.createNutritionCard(nutrition, results.portion);
             this.elements.resultsContainer.appendChild(nutritionCard);
         }
         
         // AI advice
         if (aiAdvice) {
-            const adviceCard = this.createAdviceCard(aiAdvice);
+            const adviceCard = this.createAdviceCard(aiAdvice, results.aiAdviceCachedAt);
             this.elements.resultsContainer.appendChild(adviceCard);
         }
         
@@ -543,12 +888,18 @@ class FoodNinjaApp {
         this.elements.resultsContainer.appendChild(actionsCard);
     }
     
-    createFoodCard(foodName, confidence, lowConfidence) {
+    createFoodCard(results) {
+        const { foodName, confidence, lowConfidence, corrected, originalFoodName } = results;
         const card = document.createElement('div');
         card.className = 'card mb-3';
         
-        const confidenceClass = confidence >= 0.7 ? 'success' : confidence >= 0.5 ? 'warning' : 'danger';
-        const confidenceText = lowConfidence ? 'Độ tin cậy thấp' : `${Math.round(confidence * 100)}% tin cậy`;
+        let confidenceClass = confidence >= 0.7 ? 'success' : confidence >= 0.5 ? 'warning' : 'danger';
+        let confidenceText = lowConfidence ? 'Độ tin cậy thấp' : `${Math.round(confidence * 100)}% tin cậy`;
+        
+        if (corrected) {
+            confidenceClass = 'info';
+            confidenceText = 'Đã chỉnh sửa';
+        }
         
         card.innerHTML = `
             <div class="card-header bg-primary text-white">
@@ -558,18 +909,72 @@ class FoodNinjaApp {
                 </h5>
             </div>
             <div class="card-body">
-                <h4 class="food-name">${foodName}</h4>
+                <h4 class="food-name">${window.FoodNinjaUtils.Utils.escapeHTML(foodName)}</h4>
                 <div class="confidence-badge">
                     <span class="badge bg-${confidenceClass}">${confidenceText}</span>
                 </div>
                 ${lowConfidence ? '<p class="text-warning mt-2"><i class="fas fa-exclamation-triangle"></i> Có thể không chính xác hoàn toàn</p>' : ''}
+                ${corrected ? `<p class="text-muted small mt-2 mb-0">Nhận dạng ban đầu: ${window.FoodNinjaUtils.Utils.escapeHTML(originalFoodName)}</p>` : ''}
             </div>
         `;
         
+        // Reused from the analysis cache; the photo itself is needed to analyse it again
+        if (results.cached) {
+            const notice = document.createElement('p');
+            notice.className = 'cached-result-notice text-muted small mt-2 mb-0';
+            notice.innerHTML = `
+                <i class="fas fa-database me-1"></i>
+                Kết quả đã lưu từ ${window.FoodNinjaUtils.DateUtils.formatDate(results.cachedAt, 'dd/mm/yyyy hh:mm')}
+            `;
+            
+            if (this.selectedImage) {
+                const reanalyze = document.createElement('button');
+                reanalyze.type = 'button';
+                reanalyze.className = 'btn btn-link btn-sm p-0 ms-2';
+                reanalyze.textContent = 'Vẫn phân tích lại';
+                reanalyze.addEventListener('click', () => this.analyzeImage({ skipCache: true }));
+                notice.appendChild(reanalyze);
+            }
+            
+            card.querySelector('.card-body').appendChild(notice);
+        }
+        
+        if (window.CorrectionManager?.shouldOffer(results)) {
+            const picker = window.CorrectionManager.createPicker(results, (name) => this.applyCorrection(name));
+            card.querySelector('.card-body').appendChild(picker);
+        }
+        
         return card;
     }
     
-    createNutritionCard(nutrition) {
+    async applyCorrection(foodName) {
+        if (!this.analysisResults || !window.CorrectionManager) return;
+        
+        this.showLoading('Đang tra cứu dinh dưỡng...');
+        
+        try {
+            // The automatic history save must finish so the corrected result keeps its id
+            await this.pendingHistory;
+            
+            const result = await window.CorrectionManager.correctResult(this.analysisResults, foodName);
+            
+            if (window.PortionManager) {
+                window.PortionManager.applyDefaultPortion(result);
+            }
+            
+            this.analysisResults = result;
+            this.displayAnalysisResults(result);
+            await this.syncHistoryEntry(result);
+            
+            if (this.notificationManager) {
+                this.notificationManager.show(`Đã cập nhật thành "${result.foodName}"`, 'success');
+            }
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    createNutritionCard(nutrition, portion = null) {
         const card = document.createElement('div');
         card.className = 'card mb-3';
         
@@ -581,34 +986,234 @@ class FoodNinjaApp {
                 </h5>
             </div>
             <div class="card-body">
+                ${portion && window.PortionManager ? this.createPortionControl(portion) : ''}
                 <div class="nutrition-grid">
                     ${this.formatNutritionData(nutrition)}
                 </div>
+                <div class="nutrition-breakdown">
+                    ${this.formatNutritionItems(nutrition)}
+                </div>
+                ${window.FoodNinjaAPI ? `
+                    <form class="input-group input-group-sm mt-3 nutrition-add-item">
+                        <input type="text" class="form-control" name="query" placeholder="Thêm món, ví dụ: 1 quả trứng" required>
+                        <button type="submit" class="btn btn-outline-success">
+                            <i class="fas fa-plus me-1"></i>
+                            Thêm món
+                        </button>
+                    </form>
+                ` : ''}
             </div>
         `;
         
+        card.querySelectorAll('[data-portion]').forEach(input => {
+            input.addEventListener('input', (e) => this.handlePortionChange(card, e.target));
+        });
+        
+        card.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="remove-item"]');
+            if (button) {
+                this.removeNutritionItem(Number(button.dataset.index));
+            }
+        });
+        
+        card.querySelector('.nutrition-add-item')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addNutritionItem(e.target.elements.query.value);
+        });
+        
         return card;
     }
     
-    createAdviceCard(advice) {
+    createPortionControl(portion) {
+        const units = window.PortionManager.getUnits(this.analysisResults?.foodName);
+        
+        return `
+            <div class="portion-control">
+                <label class="form-label mb-0" for="portionQuantity">Khẩu phần</label>
+                <input type="number" class="form-control form-control-sm" id="portionQuantity" data-portion="quantity" min="0" step="any" value="${portion.quantity}">
+                <select class="form-select form-select-sm" data-portion="unit">
+                    ${Object.entries(units).map(([unit, { label, grams }]) => `
+                        <option value="${unit}" ${unit === portion.unit ? 'selected' : ''}>${unit === 'gram' ? label : `${label} (${grams} g)`}</option>
+                    `).join('')}
+                </select>
+                <span class="portion-grams text-muted">≈ ${portion.grams} g</span>
+            </div>
+        `;
+    }
+    
+    handlePortionChange(card, input) {
+        if (!this.analysisResults || !window.PortionManager) return;
+        
+        const quantityInput = card.querySelector('[data-portion="quantity"]');
+        const unit = card.querySelector('[data-portion="unit"]').value;
+        
+        // Switching units restarts from one unit, or from the current weight for grams
+        if (input.dataset.portion === 'unit') {
+            quantityInput.value = unit === 'gram' ? this.analysisResults.portion.grams : 1;
+        }
+        
+        const quantity = Number(quantityInput.value);
+        if (!(quantity > 0)) return;
+        
+        const { portion, nutrition } = window.PortionManager.applyPortion(this.analysisResults, { unit, quantity });
+        
+        card.querySelector('.portion-grams').textContent = `≈ ${portion.grams} g`;
+        card.querySelector('.nutrition-grid').innerHTML = this.formatNutritionData(nutrition);
+        card.querySelector('.nutrition-breakdown').innerHTML = this.formatNutritionItems(nutrition);
+    }
+    
+    /* ========================================
+       Meal Items
+       ======================================== */
+    
+    async addNutritionItem(query) {
+        if (!this.analysisResults || !query?.trim()) return;
+        
+        this.showLoading('Đang tra cứu dinh dưỡng...');
+        
+        try {
+            const result = await window.FoodNinjaAPI.getNutrition(query);
+            const added = window.FoodNinjaUtils.NutritionUtils.getItems(result.nutrition);
+            
+            if (!result.success || added.length === 0) {
+                this.showError(result.error || `Không tìm thấy thông tin dinh dưỡng cho "${query}"`);
+                return;
+            }
+            
+            const items = window.FoodNinjaUtils.NutritionUtils.getItems(this.analysisResults.nutrition);
+            this.updateMealItems([...items, ...added]);
+            if (this.notificationManager) {
+                this.notificationManager.show(`Đã thêm ${added.map(item => item.name).join(', ')}`, 'success');
+            }
+            
+        } catch (error) {
+            console.error('❌ Adding meal item failed:', error);
+            this.showError('Không thể thêm món vào bữa ăn');
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    removeNutritionItem(index) {
+        if (!this.analysisResults) return;
+        
+        const items = window.FoodNinjaUtils.NutritionUtils.getItems(this.analysisResults.nutrition);
+        
+        // A meal needs at least one item to log
+        if (items.length <= 1 || !items[index]) return;
+        
+        this.updateMealItems(items.filter((item, i) => i !== index));
+    }
+    
+    updateMealItems(items) {
+        const results = this.analysisResults;
+        results.nutrition = { ...results.nutrition, items };
+        
+        // The edited meal becomes the new serving for the portion control
+        if (window.PortionManager) {
+            window.PortionManager.resetBase(results);
+        } else {
+            results.baseNutrition = results.nutrition;
+        }
+        
+        this.displayAnalysisResults(results);
+    }
+    
+    // cachedAt is set when the advice was saved earlier rather than written for this result
+    createAdviceCard(advice, cachedAt = null) {
         const card = document.createElement('div');
         card.className = 'card mb-3';
         
         card.innerHTML = `
-            <div class="card-header bg-info text-white">
+            <div class="card-header bg-info text-white d-flex align-items-center justify-content-between">
                 <h5 class="mb-0">
                     <i class="fas fa-lightbulb me-2"></i>
                     Lời khuyên từ AI
                 </h5>
             </div>
             <div class="card-body">
-                <p class="ai-advice-text">${advice}</p>
+                <div class="ai-advice-text rich-text"></div>
             </div>
         `;
         
+        // Cohere answers in Markdown; rendered as DOM nodes so the text can never run script
+        const adviceText = card.querySelector('.ai-advice-text');
+        if (window.RichText) {
+            window.RichText.renderInto(adviceText, advice);
+        } else {
+            adviceText.textContent = advice;
+        }
+        
+        if (window.ReadAloud) {
+            card.querySelector('.card-header').appendChild(window.ReadAloud.createControls(advice));
+        }
+        
+        if (cachedAt) {
+            const notice = document.createElement('p');
+            notice.className = 'cached-result-notice text-muted small mb-0';
+            notice.innerHTML = `
+                <i class="fas fa-database me-1"></i>
+                Lời khuyên đã lưu từ ${window.FoodNinjaUtils.DateUtils.formatDate(cachedAt, 'dd/mm/yyyy hh:mm')}
+            `;
+            
+            const refresh = document.createElement('button');
+            refresh.type = 'button';
+            refresh.className = 'btn btn-link btn-sm p-0 ms-2';
+            refresh.textContent = 'Làm mới';
+            refresh.addEventListener('click', () => this.refreshAdvice());
+            notice.appendChild(refresh);
+            
+            card.querySelector('.card-body').appendChild(notice);
+        }
+        
         return card;
     }
     
+    async refreshAdvice() {
+        const result = this.analysisResults;
+        if (!result || this.isAnalyzing) return;
+        
+        const controller = this.trackRequest();
+        
+        try {
+            this.isAnalyzing = true;
+            this.showLoading('AI đang viết lời khuyên mới...');
+            
+            const advice = await window.FoodNinjaAPI.getFoodAdvice(result.foodName, result.baseNutrition || result.nutrition, {
+                refresh: true,
+                signal: controller.signal
+            });
+            
+            if (advice.code === 'cancelled') return;
+            
+            if (!advice.success) {
+                this.showAPIError(advice, 'Lỗi AI');
+                return;
+            }
+            
+            // Saved advice coming back means the AI could not be reached
+            if (advice.cached) {
+                window.FoodNinjaUtils.notifications.show('Chưa thể làm mới lời khuyên, vẫn hiển thị bản đã lưu', 'warning');
+                return;
+            }
+            
+            result.aiAdvice = advice.result;
+            result.aiAdviceCachedAt = null;
+            this.displayAnalysisResults(result);
+            
+            await this.pendingHistory;
+            await this.syncHistoryEntry(result);
+            
+        } catch (error) {
+            console.error('❌ Advice refresh failed:', error);
+            this.showError('Không thể làm mới lời khuyên');
+        } finally {
+            this.releaseRequest(controller);
+            this.hideLoading();
+            this.isAnalyzing = false;
+        }
+    }
+    
     createActionsCard() {
         const card = document.createElement('div');
         card.className = 'card mb-3';
@@ -622,23 +1227,36 @@ class FoodNinjaApp {
             </div>
             <div class="card-body">
                 <div class="d-grid gap-2 d-md-flex justify-content-md-start">
-                    <button class="btn btn-primary me-md-2" onclick="app.analyzeAnother()">
+                    <button class="btn btn-primary me-md-2" data-action="analyze-another">
                         <i class="fas fa-camera me-2"></i>
                         Phân tích ảnh khác
                     </button>
-                    <button class="btn btn-success me-md-2" onclick="app.askNutritionQuestion()">
+                    <button class="btn btn-success me-md-2" data-action="ask-question">
                         <i class="fas fa-question-circle me-2"></i>
                         Hỏi về dinh dưỡng
                     </button>
-                    <button class="btn btn-info me-md-2" onclick="app.shareResults()">
+                    <button class="btn btn-info me-md-2" data-action="share-results">
                         <i class="fas fa-share me-2"></i>
                         Chia sẻ
                     </button>
-                    <button class="btn btn-secondary" onclick="app.saveResults()">
+                    <button class="btn btn-secondary me-md-2" data-action="save-results">
                         <i class="fas fa-save me-2"></i>
                         Lưu kết quả
                     </button>
                 </div>
+                ${window.DiaryManager ? `
+                    <div class="input-group mt-3 diary-log-control">
+                        <select class="form-select" id="mealSlotSelect">
+                            ${Object.entries(window.DiaryManager.slots).map(([slot, label]) => `
+                                <option value="${slot}" ${slot === window.DiaryManager.getDefaultSlot() ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                        <button class="btn btn-outline-success" data-action="log-meal">
+                            <i class="fas fa-book me-2"></i>
+                            Thêm vào nhật ký
+                        </button>
+                    </div>
+                ` : ''}
             </div>
         `;
         
@@ -646,10 +1264,27 @@ class FoodNinjaApp {
     }
     
     formatNutritionData(nutrition) {
+        const { NutritionUtils } = window.FoodNinjaUtils;
+        const mealItems = NutritionUtils.getItems(nutrition);
         const items = [];
         
+        if (mealItems.length > 0) {
+            const totals = NutritionUtils.sumItems(mealItems);
+            
+            for (const [key, { label, unit }] of Object.entries(NutritionUtils.NUTRIENTS)) {
+                items.push(`
+                    <div class="nutrition-item">
+                        <span class="nutrition-value">${Math.round(totals[key] * 10) / 10}</span>
+                        <span class="nutrition-label">${label} (${unit})</span>
+                    </div>
+                `);
+            }
+            
+            return items.join('');
+        }
+        
         for (const [key, value] of Object.entries(nutrition)) {
-            if (value && value !== 'N/A') {
+            if (value && value !== 'N/A' && typeof value !== 'object') {
                 items.push(`
                     <div class="nutrition-item">
                         <span class="nutrition-label">${this.translateNutritionKey(key)}:</span>
@@ -662,6 +1297,37 @@ class FoodNinjaApp {
         return items.join('');
     }
     
+    // One row per detected item; the grid above holds the meal total
+    formatNutritionItems(nutrition) {
+        const { NutritionUtils, Utils } = window.FoodNinjaUtils;
+        const items = NutritionUtils.getItems(nutrition);
+        
+        if (items.length === 0) return '';
+        
+        return `
+            <h6 class="nutrition-breakdown-title">Chi tiết từng món (${items.length})</h6>
+            <ul class="nutrition-item-list">
+                ${items.map((item, index) => `
+                    <li class="nutrition-item-row">
+                        <div class="nutrition-item-info">
+                            <strong class="nutrition-item-name">${Utils.escapeHTML(item.name)}</strong>
+                            <small class="text-muted">
+                                ${Math.round(item.serving_size_g || 0)} g ·
+                                P ${item.protein_g ?? 0} g ·
+                                C ${item.carbohydrates_total_g ?? 0} g ·
+                                F ${item.fat_total_g ?? 0} g
+                            </small>
+                        </div>
+                        <span class="nutrition-item-calories">${Math.round(item.calories || 0)} kcal</span>
+                        <button type="button" class="btn btn-sm btn-link text-danger" data-action="remove-item" data-index="${index}" title="Bỏ món này" ${items.length <= 1 ? 'disabled' : ''}>
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
     translateNutritionKey(key) {
         const translations = {
             'calories': 'Calo',
@@ -710,6 +1376,17 @@ class FoodNinjaApp {
         }
     }
     
+    // Toast for a failed API result; problems the user can act on are warnings
+    showAPIError(result, title) {
+        const message = title ? `${title}: ${result.error}` : result.error;
+        
+        if (['offline', 'rate_limited', 'no_food_detected'].includes(result.code) && this.notificationManager) {
+            this.notificationManager.show(message, 'warning');
+        } else {
+            this.showError(message);
+        }
+    }
+    
     showCameraError(error) {
         this.showError(`Camera error: ${error}`);
         this.showCameraControls(false);
@@ -721,6 +1398,7 @@ class FoodNinjaApp {
     
     clearImage() {
         this.selectedImage = null;
+        this.imageReport = null;
         this.analysisResults = null;
         
         if (this.elements.imagePreview) {
@@ -751,9 +1429,19 @@ class FoodNinjaApp {
     async shareResults() {
         if (!this.analysisResults) return;
         
+        const { foodName, portion, nutrition } = this.analysisResults;
+        let details = '';
+        
+        if (portion && window.PortionManager) {
+            const calories = window.FoodNinjaUtils.NutritionUtils.sumItems(
+                window.FoodNinjaUtils.NutritionUtils.getItems(nutrition)
+            ).calories;
+            details = ` (${window.PortionManager.describePortion(portion, foodName)}, ${Math.round(calories)} kcal)`;
+        }
+        
         const shareData = {
             title: 'Food Ninja - Kết quả phân tích dinh dưỡng',
-            text: `Tôi vừa phân tích ${this.analysisResults.foodName} với Food Ninja!`,
+            text: `Tôi vừa phân tích ${foodName}${details} với Food Ninja!`,
             url: window.location.href
         };
         
@@ -770,25 +1458,87 @@ class FoodNinjaApp {
         }
     }
     
-    saveResults() {
-        if (!this.analysisResults) return;
+    async saveResults() {
+        if (!this.analysisResults || !window.HistoryManager) return;
         
-        const data = {
-            timestamp: new Date().toISOString(),
-            ...this.analysisResults
-        };
+        try {
+            // Wait for the automatic save so it is updated rather than duplicated
+            await this.pendingHistory;
+            
+            if (this.analysisResults.historyId) {
+                await this.syncHistoryEntry(this.analysisResults);
+            } else {
+                await this.recordHistory(this.analysisResults, this.selectedImage);
+            }
+            
+            if (this.notificationManager) {
+                this.notificationManager.show('Đã lưu vào lịch sử!', 'success');
+            }
+        } catch (error) {
+            console.error('❌ Save results failed:', error);
+            this.showError('Không thể lưu kết quả');
+        }
+    }
+    
+    async logMeal() {
+        if (!this.analysisResults || !window.DiaryManager) return;
         
-        const blob = new Blob([JSON.stringify(data, null, 2)], {
-            type: 'application/json'
-        });
+        const slot = document.getElementById('mealSlotSelect')?.value;
+        
+        try {
+            await this.pendingHistory;
+            const meal = await window.DiaryManager.logMeal(this.analysisResults, slot);
+            
+            if (this.notificationManager) {
+                this.notificationManager.show(`Đã thêm vào nhật ký (${window.DiaryManager.slots[meal.slot]})`, 'success');
+            }
+        } catch (error) {
+            console.error('❌ Log meal failed:', error);
+            this.showError(error.message);
+        }
+    }
+    
+    async recordHistory(result, imageFile) {
+        if (!window.HistoryManager) return null;
+        
+        try {
+            const entry = await window.HistoryManager.addEntry(result, imageFile);
+            result.historyId = entry.id;
+            return entry;
+        } catch (error) {
+            console.warn('⚠️ Could not save history entry:', error);
+            return null;
+        }
+    }
+    
+    async syncHistoryEntry(result) {
+        if (!result.historyId || !window.HistoryManager) return null;
         
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `food-analysis-${Date.now()}.json`;
-        a.click();
+        const {
+            historyId, foodName, confidence, nutrition, baseNutrition, portion, aiAdvice, lowConfidence
+        } = result;
         
-        URL.revokeObjectURL(url);
+        return window.HistoryManager.updateEntry(historyId, {
+            foodName, confidence, nutrition, baseNutrition, portion, aiAdvice, lowConfidence
+        });
+    }
+    
+    showHistoryEntry(entry) {
+        this.analysisResults = {
+            success: true,
+            historyId: entry.id,
+            foodName: entry.foodName,
+            confidence: entry.confidence,
+            nutrition: entry.nutrition,
+            baseNutrition: entry.baseNutrition,
+            portion: entry.portion,
+            aiAdvice: entry.aiAdvice,
+            lowConfidence: entry.lowConfidence,
+            alternatives: []
+        };
+        
+        this.displayAnalysisResults(this.analysisResults);
+        this.navigateTo('results');
     }
     
     /* ========================================
@@ -821,6 +1571,10 @@ class FoodNinjaApp {
                     e.preventDefault();
                     this.navigateTo('results');
                     break;
+                case '4':
+                    e.preventDefault();
+                    this.navigateTo('diary');
+                    break;
                 case 'Enter':
                     e.preventDefault();
                     if (this.selectedImage && !this.isAnalyzing) {
@@ -865,10 +1619,42 @@ class FoodNinjaApp {
         }
     }
     
+    // Requests fail fast while the backend sleeps; tell the user why
+    handleServerStatusChange({ status }) {
+        let banner = document.getElementById('server-status-banner');
+        
+        if (status !== 'waking') {
+            if (banner) {
+                banner.remove();
+                this.notificationManager?.show('Server đã sẵn sàng', 'success');
+            }
+            return;
+        }
+        
+        if (banner) return;
+        
+        banner = document.createElement('div');
+        banner.id = 'server-status-banner';
+        banner.className = 'server-status-banner';
+        banner.setAttribute('role', 'status');
+        banner.innerHTML = `
+            <i class="fas fa-spinner fa-spin me-2"></i>
+            Server đang khởi động, có thể mất khoảng một phút. Ứng dụng sẽ tự kết nối lại.
+        `;
+        
+        document.body.appendChild(banner);
+    }
+    
     handleAnalysisComplete(data) {
         console.log('✅ Analysis completed:', data);
     }
     
+    handleOfflineAnalysisComplete({ result }) {
+        if (this.notificationManager) {
+            this.notificationManager.show(`Đã phân tích ảnh chụp offline: ${result.foodName}. Xem trong lịch sử.`, 'success');
+        }
+    }
+    
     handleCameraError(error) {
         console.error('❌ Camera error:', error);
         this.showCameraError(error);
@@ -903,6 +1689,8 @@ class FoodNinjaApp {
        ======================================== */
     
     cleanup() {
+        this.cancelPendingRequests();
+        
         // Stop camera
         if (window.CameraManager) {
             window.CameraManager.stopCamera();
@@ -0,0 +1,436 @@
+/* ========================================
+   Food Ninja - Batch Analysis
+   ======================================== */
+
+// Several photos analysed together, e.g. every dish of one meal. Uploads go
+// through the API request queue, so only a few run at the same time.
+class BatchAnalysisManager {
+    constructor() {
+        this.statusLabels = {
+            preparing: 'Đang xử lý ảnh...',
+            queued: 'Đang chờ',
+            analyzing: 'Đang phân tích...',
+            done: 'Hoàn tất',
+            failed: 'Thất bại',
+            cancelled: 'Đã hủy',
+            offline: 'Đã lưu, chờ mạng'
+        };
+        
+        this.items = [];
+        this.controller = null;
+        this.container = null;
+        
+        // Called with a finished result when its tile is clicked
+        this.onOpen = null;
+    }
+    
+    /* ========================================
+       Running a Batch
+       ======================================== */
+    
+    async start(files, container, { onOpen } = {}) {
+        const { Utils } = window.FoodNinjaUtils;
+        
+        this.cancel();
+        
+        this.items = Array.from(files).map(file => ({
+            id: Utils.generateId(),
+            source: file,
+            file: null,
+            thumbnail: null,
+            invalid: false,
+            status: 'preparing',
+            percent: 0,
+            label: '',
+            result: null,
+            error: null
+        }));
+        this.onOpen = onOpen || null;
+        
+        this.render(container);
+        return this.run(this.items);
+    }
+    
+    // Validation and preprocessing run one image at a time; they keep the main thread busy
+    async prepare(items, signal) {
+        const { ImageProcessor } = window.FoodNinjaUtils;
+        
+        for (const item of items) {
+            if (signal.aborted) {
+                item.status = 'cancelled';
+                continue;
+            }
+            
+            const validation = window.CameraManager?.validateFile(item.source, window.CameraManager.instance.maxSourceFileSize);
+            
+            if (validation && !validation.valid) {
+                Object.assign(item, { status: 'failed', invalid: true, error: validation.errors.join(', ') });
+                this.renderList();
+                continue;
+            }
+            
+            try {
+                const report = await ImageProcessor.preprocessImage(item.source);
+                item.file = report.file;
+            } catch (error) {
+                if (ImageProcessor.isHEIC(item.source)) {
+                    Object.assign(item, { status: 'failed', invalid: true, error: error.message });
+                    this.renderList();
+                    continue;
+                }
+                console.warn('⚠️ Image preprocessing failed, using original file:', error);
+                item.file = item.source;
+            }
+            
+            item.thumbnail = await ImageProcessor.createThumbnail(item.file, 160);
+            item.status = 'queued';
+            this.renderList();
+        }
+    }
+    
+    async run(items) {
+        if (items.length === 0) return this.getResults();
+        
+        const controller = new AbortController();
+        this.controller = controller;
+        
+        items.forEach(item => Object.assign(item, {
+            status: item.file ? 'queued' : 'preparing', percent: 0, label: '', result: null, error: null
+        }));
+        this.renderList();
+        
+        await this.prepare(items.filter(item => !item.file), controller.signal);
+        
+        const queued = items.filter(item => item.status === 'queued');
+        await window.FoodNinjaAPI.analyzeFoodBatch(queued.map(item => item.file), {
+            signal: controller.signal,
+            onItemProgress: (index, progress) => this.updateProgress(queued[index], progress),
+            onItemComplete: (index, result) => this.completeItem(queued[index], result)
+        });
+        
+        if (this.controller === controller) {
+            this.controller = null;
+        }
+        
+        this.renderList();
+        
+        // Nothing to announce when the user cancelled or left the view
+        if (!controller.signal.aborted) {
+            this.notifyComplete();
+        }
+        
+        return this.getResults();
+    }
+    
+    updateProgress(item, { label, percent }) {
+        Object.assign(item, { status: 'analyzing', label, percent });
+        this.updateTile(item);
+    }
+    
+    async completeItem(item, result) {
+        if (result.success) {
+            if (window.PortionManager) {
+                window.PortionManager.applyDefaultPortion(result);
+            }
+            
+            Object.assign(item, { status: 'done', result, percent: 100 });
+            this.renderList();
+            
+            if (window.HistoryManager) {
+                try {
+                    const entry = await window.HistoryManager.addEntry(result, item.file);
+                    result.historyId = entry.id;
+                } catch (error) {
+                    console.warn('⚠️ Could not save history entry:', error);
+                }
+            }
+            return;
+        }
+        
+        Object.assign(item, {
+            status: result.code === 'cancelled' ? 'cancelled' : 'failed',
+            error: result.code === 'cancelled' ? null : result.error
+        });
+        
+        // Like a single photo, an image that could not be sent waits in the offline queue
+        if (result.code === 'offline' && window.OfflineQueue) {
+            item.status = 'offline';
+            
+            try {
+                await window.OfflineQueue.enqueue(item.file);
+            } catch (error) {
+                console.error('❌ Could not queue offline analysis:', error);
+                item.status = 'failed';
+            }
+        }
+        
+        this.renderList();
+    }
+    
+    retryFailed() {
+        if (this.isRunning()) return null;
+        return this.run(this.items.filter(item => this.canRetry(item)));
+    }
+    
+    retryItem(id) {
+        const item = this.items.find(entry => entry.id === id);
+        if (!item || !this.canRetry(item) || this.isRunning()) return null;
+        return this.run([item]);
+    }
+    
+    canRetry(item) {
+        return !item.invalid && (item.status === 'failed' || item.status === 'cancelled');
+    }
+    
+    cancel() {
+        this.controller?.abort();
+        this.controller = null;
+    }
+    
+    isRunning() {
+        return this.controller !== null;
+    }
+    
+    getResults() {
+        return this.items.filter(item => item.status === 'done').map(item => item.result);
+    }
+    
+    notifyComplete() {
+        const results = this.getResults();
+        const failed = this.items.filter(item => item.status === 'failed').length;
+        
+        window.FoodNinjaUtils.notifications.show(
+            `Đã phân tích ${results.length}/${this.items.length} ảnh${failed > 0 ? `, ${failed} ảnh lỗi` : ''}`,
+            failed > 0 ? 'warning' : 'success'
+        );
+        
+        window.dispatchEvent(new CustomEvent('batchAnalysisComplete', {
+            detail: { results, summary: this.getSummary() }
+        }));
+    }
+    
+    /* ========================================
+       Meal Summary
+       ======================================== */
+    
+    // Combined nutrition of every recognized food
+    getSummary() {
+        const { NutritionUtils } = window.FoodNinjaUtils;
+        const foods = this.getResults().map(result => ({
+            foodName: result.foodName,
+            totals: NutritionUtils.sumItems(NutritionUtils.getItems(result.nutrition))
+        }));
+        
+        const totals = foods.reduce((sum, food) => NutritionUtils.addTotals(sum, food.totals), NutritionUtils.emptyTotals());
+        
+        return { foods, totals };
+    }
+    
+    async logAllToDiary() {
+        const { notifications } = window.FoodNinjaUtils;
+        const results = this.getResults().filter(result => !result.diaryMealId);
+        
+        try {
+            for (const result of results) {
+                const meal = await window.DiaryManager.logMeal(result);
+                result.diaryMealId = meal.id;
+            }
+            
+            notifications.show(`Đã ghi ${results.length} món vào nhật ký`, 'success');
+        } catch (error) {
+            console.error('❌ Could not log batch to diary:', error);
+            notifications.show(error.message, 'error');
+        }
+        
+        this.renderList();
+    }
+    
+    /* ========================================
+       Batch View
+       ======================================== */
+    
+    render(container) {
+        if (!container) return false;
+        
+        container.innerHTML = '';
+        
+        this.container = document.createElement('div');
+        this.container.className = 'batch-analysis';
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        container.appendChild(this.container);
+        
+        this.renderList();
+        return true;
+    }
+    
+    renderList() {
+        if (!this.container?.isConnected) return;
+        
+        const { Utils } = window.FoodNinjaUtils;
+        const done = this.items.filter(item => item.status === 'done').length;
+        const retryable = this.items.filter(item => this.canRetry(item)).length;
+        const running = this.isRunning();
+        
+        this.container.innerHTML = `
+            <div class="batch-header">
+                <h5>
+                    <i class="fas fa-images me-2"></i>
+                    Phân tích ${this.items.length} ảnh
+                </h5>
+                <span class="batch-count text-muted">${done}/${this.items.length} hoàn tất</span>
+                ${running ? `
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-action="cancel-batch">
+                        <i class="fas fa-stop me-1"></i>
+                        Hủy
+                    </button>
+                ` : ''}
+                ${!running && retryable > 0 ? `
+                    <button type="button" class="btn btn-sm btn-outline-primary" data-action="retry-failed">
+                        <i class="fas fa-redo me-1"></i>
+                        Thử lại ảnh lỗi (${retryable})
+                    </button>
+                ` : ''}
+            </div>
+            <ul class="batch-grid">
+                ${this.items.map(item => `
+                    <li class="batch-tile batch-${item.status}" data-id="${item.id}" ${item.status === 'done' ? 'data-action="open-item" tabindex="0"' : ''}>
+                        ${item.thumbnail ? `<img src="${item.thumbnail}" alt="" class="batch-thumbnail">` : '<div class="batch-thumbnail"></div>'}
+                        <div class="batch-tile-info">
+                            <strong>${Utils.escapeHTML(item.result?.foodName || item.source.name || 'Ảnh')}</strong>
+                            <small class="batch-tile-status">${Utils.escapeHTML(this.describeItem(item))}</small>
+                            ${item.status === 'queued' || item.status === 'analyzing' ? `
+                                <div class="progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${item.percent}">
+                                    <div class="progress-bar"></div>
+                                </div>
+                            ` : ''}
+                        </div>
+                        ${!running && this.canRetry(item) ? `
+                            <button type="button" class="btn btn-sm btn-link" data-action="retry-item" title="Thử lại">
+                                <i class="fas fa-redo"></i>
+                            </button>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+            ${done > 0 ? this.renderSummary() : ''}
+        `;
+        
+        this.items.forEach(item => this.updateTile(item));
+    }
+    
+    renderSummary() {
+        const { Utils, NutritionUtils } = window.FoodNinjaUtils;
+        const { foods, totals } = this.getSummary();
+        const logged = this.getResults().every(result => result.diaryMealId);
+        
+        return `
+            <div class="card batch-summary">
+                <div class="card-header">
+                    <h6 class="mb-0">
+                        <i class="fas fa-utensils me-2"></i>
+                        Tổng hợp bữa ăn (${foods.length} món)
+                    </h6>
+                </div>
+                <div class="card-body">
+                    <ul class="batch-summary-foods">
+                        ${foods.map(food => `
+                            <li>
+                                <span>${Utils.escapeHTML(food.foodName)}</span>
+                                <span>${Math.round(food.totals.calories)} kcal</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <div class="batch-summary-totals">
+                        ${Object.entries(NutritionUtils.NUTRIENTS).map(([key, { label, unit }]) => `
+                            <div class="batch-summary-total">
+                                <span class="text-muted">${label}</span>
+                                <strong>${Utils.formatNumber(totals[key], key === 'calories' ? 0 : 1)} ${unit}</strong>
+                            </div>
+                        `).join('')}
+                    </div>
+                    ${window.DiaryManager && !this.isRunning() ? `
+                        <button type="button" class="btn btn-primary btn-sm mt-3" data-action="log-all" ${logged ? 'disabled' : ''}>
+                            <i class="fas fa-book me-1"></i>
+                            ${logged ? 'Đã ghi vào nhật ký' : 'Ghi cả bữa vào nhật ký'}
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+    
+    describeItem(item) {
+        if (item.status === 'analyzing' && item.label) return item.label;
+        if (item.status === 'failed' && item.error) return item.error;
+        
+        if (item.status === 'done') {
+            const { NutritionUtils } = window.FoodNinjaUtils;
+            const calories = NutritionUtils.sumItems(NutritionUtils.getItems(item.result.nutrition)).calories;
+            return `${Math.round(calories)} kcal`;
+        }
+        
+        return this.statusLabels[item.status];
+    }
+    
+    // Progress changes often, so only the tile's bar and text are touched
+    updateTile(item) {
+        const tile = this.container?.querySelector(`.batch-tile[data-id="${item.id}"]`);
+        if (!tile) return;
+        
+        const bar = tile.querySelector('.progress-bar');
+        if (bar) {
+            bar.style.width = `${item.percent}%`;
+            bar.parentElement.setAttribute('aria-valuenow', item.percent);
+        }
+        
+        if (item.status === 'analyzing') {
+            tile.className = 'batch-tile batch-analyzing';
+            tile.querySelector('.batch-tile-status').textContent = this.describeItem(item);
+        }
+    }
+    
+    handleClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        
+        const id = target.closest('.batch-tile')?.dataset.id;
+        
+        switch (target.dataset.action) {
+            case 'cancel-batch':
+                this.cancel();
+                break;
+            case 'retry-failed':
+                this.retryFailed();
+                break;
+            case 'retry-item':
+                this.retryItem(id);
+                break;
+            case 'open-item':
+                this.onOpen?.(this.items.find(item => item.id === id).result);
+                break;
+            case 'log-all':
+                this.logAllToDiary();
+                break;
+        }
+    }
+}
+
+/* ========================================
+   Export Batch Analysis Manager
+   ======================================== */
+
+const batchAnalysisManager = new BatchAnalysisManager();
+
+// Global functions for easy access
+window.BatchAnalysis = {
+    instance: batchAnalysisManager,
+    start: (files, container, options) => batchAnalysisManager.start(files, container, options),
+    render: (container) => batchAnalysisManager.render(container),
+    retryFailed: () => batchAnalysisManager.retryFailed(),
+    cancel: () => batchAnalysisManager.cancel(),
+    isRunning: () => batchAnalysisManager.isRunning(),
+    getResults: () => batchAnalysisManager.getResults(),
+    getSummary: () => batchAnalysisManager.getSummary()
+};
+
+console.log('🍱 Batch Analysis module loaded successfully!');
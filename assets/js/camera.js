@@ -21,6 +21,7 @@ class CameraManager {
         
         this.supportedFormats = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/bmp'];
         this.maxFileSize = 10 * 1024 * 1024; // 10MB
+        this.maxSourceFileSize = 50 * 1024 * 1024; // Before preprocessing shrinks it
         
         this.init();
     }
@@ -281,7 +282,7 @@ class CameraManager {
        File Handling
        ======================================== */
     
-    validateFile(file) {
+    validateFile(file, maxFileSize = this.maxFileSize) {
         const errors = [];
         
         // Check if file exists
@@ -291,13 +292,15 @@ class CameraManager {
         }
         
         // Check file type
-        if (!this.supportedFormats.includes(file.type)) {
+        if (window.FoodNinjaUtils?.ImageProcessor.isHEIC(file)) {
+            errors.push('Ảnh HEIC/HEIF chưa được hỗ trợ. Hãy chuyển ảnh sang JPEG rồi thử lại.');
+        } else if (!this.supportedFormats.includes(file.type)) {
             errors.push(`Định dạng file không được hỗ trợ. Chỉ chấp nhận: ${this.supportedFormats.join(', ')}`);
         }
         
         // Check file size
-        if (file.size > this.maxFileSize) {
-            const maxSizeMB = this.maxFileSize / (1024 * 1024);
+        if (file.size > maxFileSize) {
+            const maxSizeMB = maxFileSize / (1024 * 1024);
             errors.push(`File quá lớn. Kích thước tối đa: ${maxSizeMB}MB`);
         }
         
@@ -389,59 +392,26 @@ class CameraManager {
        Image Processing
        ======================================== */
     
+    // Thin wrapper over the shared upload preprocessing pipeline
     async resizeImage(file, maxWidth = 1920, maxHeight = 1080, quality = 0.92) {
         try {
-            const dataURL = await this.readFileAsDataURL(file);
-            if (!dataURL.success) {
-                throw new Error(dataURL.error);
-            }
-            
-            return new Promise((resolve, reject) => {
-                const img = new Image();
-                
-                img.onload = () => {
-                    // Calculate new dimensions
-                    let { width, height } = this.calculateDimensions(
-                        img.width, 
-                        img.height, 
-                        maxWidth, 
-                        maxHeight
-                    );
-                    
-                    // Set canvas size
-                    this.canvas.width = width;
-                    this.canvas.height = height;
-                    
-                    // Draw resized image
-                    this.context.clearRect(0, 0, width, height);
-                    this.context.drawImage(img, 0, 0, width, height);
-                    
-                    // Convert to blob
-                    this.canvas.toBlob((blob) => {
-                        if (blob) {
-                            const resizedFile = new File([blob], file.name, {
-                                type: 'image/jpeg',
-                                lastModified: Date.now()
-                            });
-                            
-                            resolve({
-                                success: true,
-                                file: resizedFile,
-                                originalSize: file.size,
-                                newSize: blob.size,
-                                originalDimensions: { width: img.width, height: img.height },
-                                newDimensions: { width, height }
-                            });
-                        } else {
-                            reject(new Error('Failed to resize image'));
-                        }
-                    }, 'image/jpeg', quality);
-                };
-                
-                img.onerror = () => reject(new Error('Failed to load image'));
-                img.src = dataURL.dataURL;
+            const result = await window.FoodNinjaUtils.ImageProcessor.preprocessImage(file, {
+                maxDimension: Math.max(maxWidth, maxHeight),
+                crop: false,
+                format: 'image/jpeg',
+                maxBytes: Infinity,
+                quality
             });
             
+            return {
+                success: true,
+                file: result.file,
+                originalSize: result.originalSize,
+                newSize: result.size,
+                originalDimensions: result.originalDimensions,
+                newDimensions: result.dimensions
+            };
+            
         } catch (error) {
             return {
                 success: false,
@@ -450,24 +420,6 @@ class CameraManager {
         }
     }
     
-    calculateDimensions(originalWidth, originalHeight, maxWidth, maxHeight) {
-        let width = originalWidth;
-        let height = originalHeight;
-        
-        // Scale down if necessary
-        if (width > maxWidth) {
-            height = (height * maxWidth) / width;
-            width = maxWidth;
-        }
-        
-        if (height > maxHeight) {
-            width = (width * maxHeight) / height;
-            height = maxHeight;
-        }
-        
-        return { width: Math.round(width), height: Math.round(height) };
-    }
-    
     /* ========================================
        Utility Functions
        ======================================== */
@@ -613,7 +565,7 @@ window.CameraManager = {
     stopCamera: () => cameraManager.stopCamera(),
     captureImage: (quality) => cameraManager.captureImage(quality),
     switchCamera: () => cameraManager.switchCamera(),
-    validateFile: (file) => cameraManager.validateFile(file),
+    validateFile: (file, maxFileSize) => cameraManager.validateFile(file, maxFileSize),
     readFileAsDataURL: (file) => cameraManager.readFileAsDataURL(file),
     resizeImage: (file, maxWidth, maxHeight, quality) => cameraManager.resizeImage(file, maxWidth, maxHeight, quality),
     setupDropZone: (element, onDrop, onDragOver) => cameraManager.setupDropZone(element, onDrop, onDragOver)
@@ -0,0 +1,527 @@
+/* ========================================
+   Food Ninja - Chat Threads
+   ======================================== */
+
+// Saved chat conversations, one IndexedDB record per thread holding all of its
+// messages. The chat manager saves the open thread after every change; this
+// module owns titles, pinning, deletion, search and the thread list.
+class ChatThreadManager {
+    constructor() {
+        this.store = new window.FoodNinjaUtils.IndexedDBStore('food_ninja_chat', 'threads', {
+            keyPath: 'id',
+            indexes: [
+                { name: 'updatedAt', keyPath: 'updatedAt' }
+            ]
+        });
+        
+        this.currentThreadKey = 'foodNinja_currentThread';
+        
+        // Single-conversation storage used before threads existed
+        this.legacyHistoryKey = 'foodNinja_chatHistory';
+        this.legacyArchiveKey = 'foodNinja_chatArchive';
+        this.migration = null;
+        
+        this.defaultTitle = 'Cuộc trò chuyện mới';
+        this.maxTitleLength = 48;
+        this.maxSearchMatches = 3;
+        
+        // Thread list state
+        this.container = null;
+        this.activeThreadId = null;
+        this.query = '';
+        this.generation = 0;
+        this.deletedThreads = new Map();
+        
+        // A deleted thread keeps its undo row until the list is next reloaded
+        window.addEventListener('chatThreadsUpdated', (e) => {
+            if (e.detail.action === 'deleted') return;
+            
+            if (this.isListVisible() && !this.container.querySelector('.chat-thread-rename')) {
+                this.reloadList();
+            }
+        });
+    }
+    
+    /* ========================================
+       Thread Storage
+       ======================================== */
+    
+    // A new thread is only stored once it has a message
+    createThread() {
+        const now = Date.now();
+        
+        return {
+            id: window.FoodNinjaUtils.Utils.generateId(),
+            title: this.defaultTitle,
+            customTitle: null,
+            pinned: false,
+            createdAt: now,
+            updatedAt: now,
+            messages: []
+        };
+    }
+    
+    getThread(id) {
+        return this.store.get(id);
+    }
+    
+    // Pinned first, then the most recently active
+    async listThreads() {
+        const threads = await this.store.getAll();
+        return threads.sort((a, b) => (b.pinned - a.pinned) || (b.updatedAt - a.updatedAt));
+    }
+    
+    // Read and write in one transaction so a rename and a new message cannot overwrite each other
+    async updateThread(id, update) {
+        let updated = null;
+        
+        await this.store.run('readwrite', store => {
+            const request = store.get(id);
+            
+            request.onsuccess = () => {
+                updated = update(request.result || null);
+                
+                if (updated) {
+                    store.put(updated);
+                }
+            };
+            
+            return request;
+        });
+        
+        if (updated) {
+            this.notifyUpdate('updated', updated);
+        }
+        
+        return updated;
+    }
+    
+    saveMessages(id, messages) {
+        const kept = messages.filter(msg => msg.type !== 'welcome');
+        
+        return this.updateThread(id, (thread) => {
+            // Nothing worth keeping yet
+            if (!thread && kept.length === 0) return null;
+            
+            const base = thread || { ...this.createThread(), id };
+            
+            return {
+                ...base,
+                messages: kept,
+                title: base.customTitle || this.generateTitle(kept),
+                updatedAt: Date.now()
+            };
+        });
+    }
+    
+    // An empty title goes back to the generated one
+    renameThread(id, title) {
+        const customTitle = String(title ?? '').replace(/\s+/g, ' ').trim() || null;
+        
+        return this.updateThread(id, thread => thread && {
+            ...thread,
+            customTitle,
+            title: customTitle || this.generateTitle(thread.messages)
+        });
+    }
+    
+    setPinned(id, pinned) {
+        return this.updateThread(id, thread => thread && { ...thread, pinned: !!pinned });
+    }
+    
+    async deleteThread(id) {
+        const thread = await this.store.get(id);
+        if (!thread) return null;
+        
+        await this.store.delete(id);
+        this.deletedThreads.set(id, thread);
+        this.notifyUpdate('deleted', thread);
+        
+        return thread;
+    }
+    
+    // Undo for a thread deleted from the list during this page load
+    async restoreThread(id) {
+        const thread = this.deletedThreads.get(id);
+        if (!thread) return null;
+        
+        await this.store.put(thread);
+        this.deletedThreads.delete(id);
+        this.notifyUpdate('restored', thread);
+        
+        return thread;
+    }
+    
+    getCurrentThreadId() {
+        return localStorage.getItem(this.currentThreadKey);
+    }
+    
+    setCurrentThreadId(id) {
+        try {
+            localStorage.setItem(this.currentThreadKey, id);
+        } catch (error) {
+            console.warn('⚠️ Could not remember the open chat thread:', error);
+        }
+    }
+    
+    notifyUpdate(action, thread) {
+        window.dispatchEvent(new CustomEvent('chatThreadsUpdated', {
+            detail: { action, thread }
+        }));
+    }
+    
+    /* ========================================
+       Titles
+       ======================================== */
+    
+    // The first question, cut at a word boundary
+    generateTitle(messages = []) {
+        const first = messages.find(msg => msg.sender === 'user') ||
+            messages.find(msg => msg.type !== 'welcome' && msg.content);
+        const text = String(first?.content ?? '')
+            .replace(/[*_`#>[\]]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        
+        if (!text) return this.defaultTitle;
+        if (text.length <= this.maxTitleLength) return text;
+        
+        const cut = text.slice(0, this.maxTitleLength);
+        const lastSpace = cut.lastIndexOf(' ');
+        
+        return `${(lastSpace > this.maxTitleLength / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+    }
+    
+    /* ========================================
+       Search
+       ======================================== */
+    
+    // Threads whose title or messages contain the query, ignoring case and diacritics
+    async search(query) {
+        const { Utils } = window.FoodNinjaUtils;
+        const needle = Utils.normalizeText(query);
+        if (!needle) return [];
+        
+        const results = [];
+        
+        for (const thread of await this.listThreads()) {
+            const messages = thread.messages.filter(msg => Utils.normalizeText(msg.content).includes(needle));
+            const titleMatches = Utils.normalizeText(thread.title).includes(needle);
+            
+            if (messages.length > 0 || titleMatches) {
+                results.push({
+                    thread,
+                    total: messages.length,
+                    matches: messages.slice(0, this.maxSearchMatches).map(msg => ({
+                        messageId: msg.id,
+                        sender: msg.sender,
+                        ...this.createSnippet(msg.content, needle)
+                    }))
+                });
+            }
+        }
+        
+        return results;
+    }
+    
+    // Text around the first match, split so the match itself can be highlighted
+    createSnippet(content, needle) {
+        const text = String(content ?? '').replace(/\s+/g, ' ').trim();
+        const normalized = window.FoodNinjaUtils.Utils.normalizeText(text);
+        
+        // Positions only line up when normalizing kept one character per character
+        const index = normalized.length === text.length ? normalized.indexOf(needle) : -1;
+        
+        if (index === -1) {
+            return { before: '', match: '', after: text.slice(0, 80), clipped: text.length > 80 };
+        }
+        
+        const start = Math.max(0, index - 30);
+        const end = Math.min(text.length, index + needle.length + 50);
+        
+        return {
+            before: `${start > 0 ? '…' : ''}${text.slice(start, index)}`,
+            match: text.slice(index, index + needle.length),
+            after: text.slice(index + needle.length, end),
+            clipped: end < text.length
+        };
+    }
+    
+    /* ========================================
+       Migration
+       ======================================== */
+    
+    // Turn the old saved conversation and its archive into threads, once
+    migrateLegacyHistory() {
+        if (this.migration) return this.migration;
+        
+        this.migration = (async () => {
+            const current = localStorage.getItem(this.legacyHistoryKey);
+            const archive = localStorage.getItem(this.legacyArchiveKey);
+            if (current === null && archive === null) return;
+            
+            const parse = (json) => {
+                try {
+                    return JSON.parse(json) || [];
+                } catch (error) {
+                    return [];
+                }
+            };
+            
+            try {
+                // Oldest first so the list keeps their order
+                for (const conversation of [...parse(archive)].reverse()) {
+                    await this.importThread(conversation.messages, conversation.archivedAt);
+                }
+                
+                const thread = await this.importThread(parse(current));
+                if (thread) {
+                    this.setCurrentThreadId(thread.id);
+                }
+                
+                localStorage.removeItem(this.legacyHistoryKey);
+                localStorage.removeItem(this.legacyArchiveKey);
+                console.log('💬 Chat history moved to threads');
+            } catch (error) {
+                console.warn('⚠️ Could not migrate chat history:', error);
+            }
+        })();
+        
+        return this.migration;
+    }
+    
+    async importThread(messages, updatedAt = null) {
+        const { Utils } = window.FoodNinjaUtils;
+        const kept = (Array.isArray(messages) ? messages : [])
+            .filter(msg => msg?.content && msg.type !== 'welcome')
+            .map(msg => msg.id ? msg : { ...msg, id: Utils.generateId() });
+        
+        if (kept.length === 0) return null;
+        
+        const lastActive = updatedAt || kept[kept.length - 1].timestamp;
+        const thread = {
+            ...this.createThread(),
+            messages: kept,
+            title: this.generateTitle(kept),
+            createdAt: Date.parse(kept[0].timestamp) || Date.now(),
+            updatedAt: Date.parse(lastActive) || Date.now()
+        };
+        
+        await this.store.put(thread);
+        return thread;
+    }
+    
+    /* ========================================
+       Thread List
+       ======================================== */
+    
+    renderList(container) {
+        if (!container) return false;
+        
+        if (this.container !== container) {
+            this.container = container;
+            container.innerHTML = `
+                <input type="search" class="form-control form-control-sm chat-thread-search" placeholder="Tìm trong các cuộc trò chuyện...">
+                <div class="chat-thread-list"></div>
+            `;
+            
+            const search = container.querySelector('.chat-thread-search');
+            search.value = this.query;
+            search.addEventListener('input', window.FoodNinjaUtils.Utils.debounce(() => {
+                this.query = search.value;
+                this.reloadList();
+            }, 250));
+            
+            container.addEventListener('click', (e) => this.handleListClick(e));
+        }
+        
+        this.reloadList();
+        return true;
+    }
+    
+    isListVisible() {
+        return Boolean(this.container?.isConnected && !this.container.hidden);
+    }
+    
+    setActiveThread(id) {
+        this.activeThreadId = id;
+        
+        this.container?.querySelectorAll('.chat-thread-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.threadId === id);
+        });
+    }
+    
+    async reloadList() {
+        if (!this.container) return;
+        
+        // A slower search for an earlier query must not replace a newer one
+        const generation = ++this.generation;
+        const list = this.container.querySelector('.chat-thread-list');
+        
+        try {
+            const threads = this.query.trim() ?
+                await this.search(this.query) :
+                (await this.listThreads()).map(thread => ({ thread, total: 0, matches: [] }));
+            
+            if (generation !== this.generation) return;
+            
+            list.innerHTML = threads.length > 0 ? '' : `
+                <p class="text-muted small mb-0">
+                    ${this.query.trim() ? 'Không tìm thấy tin nhắn nào.' : 'Chưa có cuộc trò chuyện nào được lưu.'}
+                </p>
+            `;
+            threads.forEach(result => list.appendChild(this.createThreadElement(result)));
+        
+        } catch (error) {
+            console.error('❌ Failed to load chat threads:', error);
+            list.innerHTML = '<p class="text-muted small mb-0">Không thể tải danh sách trò chuyện.</p>';
+        }
+    }
+    
+    createThreadElement({ thread, total, matches }) {
+        const { DateUtils, Utils } = window.FoodNinjaUtils;
+        const item = document.createElement('div');
+        item.className = 'chat-thread-item';
+        item.classList.toggle('active', thread.id === this.activeThreadId);
+        item.classList.toggle('pinned', thread.pinned);
+        item.dataset.threadId = thread.id;
+        
+        const hits = matches.map(match => `
+            <button type="button" class="chat-search-hit" data-action="open-thread" data-message-id="${Utils.escapeHTML(match.messageId)}">
+                <i class="fas ${match.sender === 'user' ? 'fa-user' : 'fa-robot'} me-1"></i>
+                ${Utils.escapeHTML(match.before)}<mark>${Utils.escapeHTML(match.match)}</mark>${Utils.escapeHTML(match.after)}${match.clipped ? '…' : ''}
+            </button>
+        `).join('');
+        
+        item.innerHTML = `
+            <div class="chat-thread-header">
+                <button type="button" class="chat-thread-open" data-action="open-thread">
+                    <span class="chat-thread-title">
+                        ${thread.pinned ? '<i class="fas fa-thumbtack me-1"></i>' : ''}
+                        ${Utils.escapeHTML(thread.title)}
+                    </span>
+                    <small class="text-muted">
+                        ${DateUtils.formatDate(thread.updatedAt, 'dd/mm/yyyy hh:mm')} · ${thread.messages.length} tin nhắn
+                    </small>
+                </button>
+                <div class="chat-thread-actions">
+                    <button type="button" class="btn btn-sm" data-action="pin-thread" title="${thread.pinned ? 'Bỏ ghim' : 'Ghim'}" aria-pressed="${thread.pinned}">
+                        <i class="fas fa-thumbtack"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm" data-action="rename-thread" title="Đổi tên">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm" data-action="delete-thread" title="Xóa">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            ${hits}
+            ${total > matches.length ? `<small class="text-muted">và ${total - matches.length} tin nhắn khác</small>` : ''}
+        `;
+        
+        return item;
+    }
+    
+    async handleListClick(e) {
+        const target = e.target.closest('[data-action]');
+        const item = target?.closest('.chat-thread-item');
+        if (!item) return;
+        
+        const id = item.dataset.threadId;
+        
+        try {
+            switch (target.dataset.action) {
+                case 'open-thread':
+                    window.dispatchEvent(new CustomEvent('chatThreadSelected', {
+                        detail: { threadId: id, messageId: target.dataset.messageId || null }
+                    }));
+                    break;
+                case 'pin-thread':
+                    await this.setPinned(id, !item.classList.contains('pinned'));
+                    break;
+                case 'rename-thread':
+                    this.startRename(item);
+                    break;
+                case 'delete-thread':
+                    await this.deleteThread(id);
+                    this.showUndo(item);
+                    break;
+                case 'restore-thread':
+                    await this.restoreThread(id);
+                    break;
+            }
+        } catch (error) {
+            console.error('❌ Chat thread action failed:', error);
+        }
+    }
+    
+    startRename(item) {
+        const title = item.querySelector('.chat-thread-title');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'form-control form-control-sm chat-thread-rename';
+        const originalTitle = title.textContent.trim();
+        input.value = originalTitle;
+        input.setAttribute('aria-label', 'Tên cuộc trò chuyện');
+        
+        let done = false;
+        const finish = async (save) => {
+            if (done) return;
+            done = true;
+            
+            input.remove();
+            
+            // Keeping the shown title unchanged leaves it generated
+            if (save && input.value.trim() !== originalTitle) {
+                await this.renameThread(item.dataset.threadId, input.value);
+            } else {
+                this.reloadList();
+            }
+        };
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+        
+        item.querySelector('.chat-thread-header').replaceWith(input);
+        input.focus();
+        input.select();
+    }
+    
+    showUndo(item) {
+        item.classList.add('chat-thread-deleted');
+        item.innerHTML = `
+            <span class="text-muted">Đã xóa cuộc trò chuyện.</span>
+            <button type="button" class="btn btn-sm btn-link" data-action="restore-thread">Hoàn tác</button>
+        `;
+    }
+}
+
+/* ========================================
+   Export Chat Threads
+   ======================================== */
+
+const chatThreadManager = new ChatThreadManager();
+
+// Global functions for easy access
+window.ChatThreads = {
+    instance: chatThreadManager,
+    createThread: () => chatThreadManager.createThread(),
+    getThread: (id) => chatThreadManager.getThread(id),
+    listThreads: () => chatThreadManager.listThreads(),
+    saveMessages: (id, messages) => chatThreadManager.saveMessages(id, messages),
+    renameThread: (id, title) => chatThreadManager.renameThread(id, title),
+    setPinned: (id, pinned) => chatThreadManager.setPinned(id, pinned),
+    deleteThread: (id) => chatThreadManager.deleteThread(id),
+    search: (query) => chatThreadManager.search(query),
+    getCurrentThreadId: () => chatThreadManager.getCurrentThreadId(),
+    setCurrentThreadId: (id) => chatThreadManager.setCurrentThreadId(id),
+    migrateLegacyHistory: () => chatThreadManager.migrateLegacyHistory(),
+    renderList: (container) => chatThreadManager.renderList(container),
+    setActiveThread: (id) => chatThreadManager.setActiveThread(id)
+};
+
+console.log('🧵 Chat Threads module loaded successfully!');
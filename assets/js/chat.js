@@ -8,9 +8,40 @@ class ChatManager {
         this.chatMessages = null;
         this.chatInput = null;
         this.sendButton = null;
+        this.stopButton = null;
         this.isTyping = false;
+        this.activeRequest = null;
+        this.streamingEnabled = true;
+        this.latestAnalysis = null;
+        this.conversationVersion = 0;
+        
+        // Earlier turns sent with each message, newest first until a budget runs out
+        this.maxContextTurns = 12;
+        this.contextCharBudget = 4000;
+        this.contextMessageTypes = ['normal', 'stopped', 'nutrition'];
+        
+        // AI messages that can be regenerated or rated
+        this.regenerableTypes = ['normal', 'stopped'];
+        this.ratableTypes = ['normal', 'stopped', 'nutrition'];
+        
+        // The open thread; the others are kept by ChatThreads
+        this.threadId = null;
+        this.historyLoaded = null;
+        this.pendingResponse = null;
+        this.threadStates = new Map();
+        this.threadsPanel = null;
+        
+        this.stoppedNote = '<span class="message-note">(đã dừng)</span>';
+        
+        // Dictation through the Web Speech API
+        this.voiceLanguages = { 'vi-VN': 'Tiếng Việt', 'en-US': 'English' };
+        this.voiceLanguageKey = 'foodNinja_voiceLanguage';
+        this.voiceButton = null;
+        this.voiceLanguageButton = null;
+        this.recognition = null;
+        this.isRecording = false;
         this.chatHistory = [];
-        this.maxMessages = 100;
+        this.maxMessages = 100; // on screen; threads keep every message
         this.typingDelay = 1000;
         this.autoScroll = true;
         
@@ -18,7 +49,6 @@ class ChatManager {
     }
     
     init() {
-        this.loadChatHistory();
         this.setupEventListeners();
     }
     
@@ -42,9 +72,11 @@ class ChatManager {
             return false;
         }
         
+        this.createStopButton();
+        this.createVoiceControls();
+        this.createToolbar();
         this.setupChatEvents();
-        this.displayWelcomeMessage();
-        this.restoreChatHistory();
+        this.historyLoaded = this.loadChatHistory().then(thread => this.openThread(thread));
         
         console.log('💬 Chat initialized successfully');
         return true;
@@ -73,6 +105,11 @@ class ChatManager {
         this.chatInput.addEventListener('input', () => {
             this.autoResizeTextarea();
         });
+        
+        // Copy, edit, regenerate and rating buttons on the messages
+        this.chatMessages.addEventListener('click', (e) => {
+            this.handleMessageAction(e);
+        });
     }
     
     setupEventListeners() {
@@ -85,6 +122,17 @@ class ChatManager {
         window.addEventListener('chatRequest', (e) => {
             this.handleChatRequest(e.detail);
         });
+        
+        // Threads picked or deleted in the thread list
+        window.addEventListener('chatThreadSelected', (e) => {
+            this.switchThread(e.detail.threadId, { messageId: e.detail.messageId });
+        });
+        
+        window.addEventListener('chatThreadsUpdated', (e) => {
+            if (e.detail.action === 'deleted' && e.detail.thread.id === this.threadId) {
+                this.handleCurrentThreadDeleted();
+            }
+        });
     }
     
     /* ========================================
@@ -93,25 +141,69 @@ class ChatManager {
     
     async handleSendMessage() {
         const message = this.chatInput.value.trim();
-        if (!message || this.isTyping) return;
+        if (!message || this.isBusy()) return;
         
-        // Add user message
-        this.addMessage(message, 'user');
         this.chatInput.value = '';
         this.autoResizeTextarea();
         
-        // Show typing indicator
+        await this.sendUserMessage(message);
+    }
+    
+    // Add the user's turn and get the answer, streamed when the API supports it
+    async sendUserMessage(message) {
+        await this.historyLoaded;
+        
+        const conversation = {
+            history: this.getConversationWindow(),
+            context: this.getAnalysisContext()
+        };
+        
+        // Add user message
+        this.clearQuickReplies();
+        this.addMessage(message, 'user');
+        
+        this.pendingResponse = this.streamingEnabled && window.FoodNinjaAPI.streamChatMessage ?
+            this.streamResponse(message, conversation) :
+            this.requestResponse(message, conversation);
+        
+        await this.pendingResponse;
+    }
+    
+    // Typing indicator and stop button for as long as an answer is pending
+    beginResponse() {
+        const controller = new AbortController();
+        
+        this.activeRequest = controller;
         this.showTypingIndicator();
+        this.toggleStopButton(true);
+        
+        return controller;
+    }
+    
+    endResponse() {
+        this.hideTypingIndicator();
+        this.activeRequest = null;
+        this.toggleStopButton(false);
+        this.handleInputChange();
+    }
+    
+    // The whole answer in one response
+    async requestResponse(message, conversation) {
+        const controller = this.beginResponse();
         
         try {
             // Send to AI
-            const response = await window.FoodNinjaAPI.sendChatMessage(message);
+            const response = await window.FoodNinjaAPI.sendChatMessage(message, {
+                ...conversation,
+                signal: controller.signal
+            });
             
             this.hideTypingIndicator();
             
             if (response.success) {
-                this.addMessage(response.response, 'ai');
-            } else {
+                this.autoReadMessage(this.addMessage(response.response, 'ai'));
+                this.suggestFollowUps(response.response);
+            } else if (response.code !== 'cancelled') {
                 this.addMessage(
                     `Xin lỗi, tôi gặp lỗi khi xử lý tin nhắn của bạn: ${response.error}`,
                     'ai',
@@ -127,52 +219,242 @@ class ChatManager {
                 'error'
             );
             console.error('❌ Chat error:', error);
+        } finally {
+            this.endResponse();
+        }
+    }
+    
+    // Render the reply into one AI bubble as it streams in
+    async streamResponse(message, conversation = {}) {
+        const controller = this.beginResponse();
+        const conversationVersion = this.conversationVersion;
+        let messageElement = null;
+        
+        const render = (text) => {
+            if (conversationVersion !== this.conversationVersion) return;
+            
+            if (!messageElement) {
+                this.hideTypingIndicator();
+                messageElement = this.createMessageElement('', 'ai');
+                messageElement.classList.add('streaming-message');
+                this.chatMessages.appendChild(messageElement);
+            }
+            
+            messageElement.querySelector('.message-text').replaceChildren(this.formatMessage(text));
+            
+            if (this.autoScroll) {
+                this.scrollToBottom();
+            }
+        };
+        
+        try {
+            const response = await window.FoodNinjaAPI.streamChatMessage(message, {
+                ...conversation,
+                signal: controller.signal,
+                onToken: (chunk, text) => render(text)
+            });
+            
+            // The chat was cleared while waiting; the answer belongs to the old one
+            if (conversationVersion !== this.conversationVersion) return;
+            
+            // Non-streaming fallback and errors deliver everything at the end
+            const text = response.response || '';
+            if (text) {
+                render(text);
+            }
+            
+            if (response.success && response.aborted) {
+                this.finishStreamingMessage(messageElement, text, 'stopped');
+            } else if (response.success) {
+                this.finishStreamingMessage(messageElement, text, 'normal');
+            } else if (text) {
+                this.finishStreamingMessage(messageElement, text, 'stopped');
+                this.addMessage(`Xin lỗi, câu trả lời bị gián đoạn: ${response.error}`, 'ai', 'error');
+            } else {
+                this.addMessage(
+                    `Xin lỗi, tôi gặp lỗi khi xử lý tin nhắn của bạn: ${response.error}`,
+                    'ai',
+                    'error'
+                );
+            }
+            
+        } catch (error) {
+            messageElement?.remove();
+            this.addMessage(
+                'Xin lỗi, tôi không thể phản hồi ngay bây giờ. Vui lòng thử lại sau.',
+                'ai',
+                'error'
+            );
+            console.error('❌ Chat error:', error);
+        } finally {
+            this.endResponse();
         }
     }
     
+    // Store a streamed bubble in history; a stopped answer keeps its partial text
+    finishStreamingMessage(messageElement, text, type) {
+        if (!messageElement) {
+            if (type === 'stopped' && !text) return;
+            
+            const added = this.addMessage(text, 'ai', type);
+            
+            if (type === 'normal') {
+                this.autoReadMessage(added);
+                this.suggestFollowUps(text);
+            }
+            return;
+        }
+        
+        messageElement.classList.remove('streaming-message', 'normal-message');
+        messageElement.classList.add(`${type}-message`);
+        
+        if (type === 'stopped') {
+            this.appendStoppedNote(messageElement.querySelector('.message-text'));
+        }
+        
+        // The streamed bubble was created empty, so its actions are added once the text is known
+        if (text) {
+            messageElement.querySelector('.message-text').after(this.createMessageActions(text, 'ai', type));
+        }
+        
+        messageElement.dataset.messageId = this.recordMessage(text, 'ai', type).id;
+        
+        if (type === 'normal') {
+            this.autoReadMessage(messageElement);
+            this.suggestFollowUps(text);
+        }
+    }
+    
+    stopResponse() {
+        if (!this.activeRequest) return;
+        
+        this.activeRequest.abort();
+        console.log('⏹️ Chat response stopped');
+    }
+    
+    isBusy() {
+        return this.isTyping || Boolean(this.activeRequest);
+    }
+    
+    // Stop an answer still coming in and wait until what arrived is saved to its thread
+    async settleActiveResponse() {
+        if (!this.isBusy()) return;
+        
+        this.stopResponse();
+        await this.pendingResponse;
+    }
+    
     async handleChatRequest(data) {
         const { message, type = 'general' } = data;
         
         if (type === 'nutrition') {
+            await this.historyLoaded;
+            
+            this.clearQuickReplies();
             this.addMessage(message, 'user');
-            this.showTypingIndicator();
             
-            try {
-                const response = await window.FoodNinjaAPI.askAI(message);
-                
-                this.hideTypingIndicator();
-                
-                if (response.success) {
-                    this.addMessage(response.result, 'ai');
-                } else {
-                    this.addMessage(
-                        `Không thể trả lời câu hỏi về dinh dưỡng: ${response.error}`,
-                        'ai',
-                        'error'
-                    );
-                }
-                
-            } catch (error) {
-                this.hideTypingIndicator();
+            this.pendingResponse = this.requestNutritionAnswer(message);
+            await this.pendingResponse;
+        }
+    }
+    
+    async requestNutritionAnswer(message) {
+        const controller = this.beginResponse();
+        
+        try {
+            const response = await window.FoodNinjaAPI.askAI(message, {
+                signal: controller.signal
+            });
+            
+            this.hideTypingIndicator();
+            
+            if (response.success) {
+                this.autoReadMessage(this.addMessage(response.result, 'ai'));
+                this.suggestFollowUps(response.result);
+            } else if (response.code !== 'cancelled') {
                 this.addMessage(
-                    'Lỗi khi xử lý câu hỏi dinh dưỡng.',
+                    `Không thể trả lời câu hỏi về dinh dưỡng: ${response.error}`,
                     'ai',
                     'error'
                 );
             }
+            
+        } catch (error) {
+            this.hideTypingIndicator();
+            this.addMessage(
+                'Lỗi khi xử lý câu hỏi dinh dưỡng.',
+                'ai',
+                'error'
+            );
+        } finally {
+            this.endResponse();
         }
     }
     
-    handleNutritionResult(data) {
+    async handleNutritionResult(data) {
         const { foodName, nutrition, aiAdvice } = data;
         
+        await this.historyLoaded;
+        
+        this.latestAnalysis = data;
+        
         if (aiAdvice) {
+            this.clearQuickReplies();
             this.addMessage(
                 `Tôi đã phân tích món ${foodName} cho bạn. ${aiAdvice}`,
                 'ai',
                 'nutrition'
             );
         }
+        
+        this.showQuickReplies(window.QuickReplies?.forAnalysis(data));
+    }
+    
+    /* ========================================
+       Conversation Context
+       ======================================== */
+    
+    // Role-tagged earlier turns, newest kept first, within the turn and character budget
+    getConversationWindow() {
+        const turns = [];
+        let characters = 0;
+        
+        const messages = this.chatHistory.filter(msg =>
+            this.contextMessageTypes.includes(msg.type) && msg.content?.trim()
+        );
+        
+        for (let i = messages.length - 1; i >= 0 && turns.length < this.maxContextTurns; i--) {
+            const content = messages[i].content.trim();
+            if (characters + content.length > this.contextCharBudget) break;
+            
+            characters += content.length;
+            turns.unshift({
+                role: messages[i].sender === 'user' ? 'user' : 'assistant',
+                content
+            });
+        }
+        
+        return turns;
+    }
+    
+    // Summary of the analysis on screen (including portion edits), else the last one seen
+    getAnalysisContext() {
+        const result = window.app?.analysisResults || this.latestAnalysis;
+        if (!result?.foodName) return null;
+        
+        const { NutritionUtils } = window.FoodNinjaUtils;
+        const totals = NutritionUtils.sumItems(NutritionUtils.getItems(result.nutrition));
+        const nutrition = {};
+        
+        for (const [key, { label, unit }] of Object.entries(NutritionUtils.NUTRIENTS)) {
+            nutrition[label] = `${Math.round(totals[key] * 10) / 10} ${unit}`;
+        }
+        
+        return {
+            foodName: result.foodName,
+            portion: window.PortionManager?.describePortion(result.portion, result.foodName) || null,
+            nutrition
+        };
     }
     
     /* ========================================
@@ -185,8 +467,22 @@ class ChatManager {
         const messageElement = this.createMessageElement(content, sender, type);
         this.chatMessages.appendChild(messageElement);
         
-        // Add to history
+        messageElement.dataset.messageId = this.recordMessage(content, sender, type).id;
+        
+        // Auto scroll
+        if (this.autoScroll) {
+            this.scrollToBottom();
+        }
+        
+        // Animate message
+        this.animateMessage(messageElement);
+        
+        return messageElement;
+    }
+    
+    recordMessage(content, sender, type = 'normal') {
         const messageData = {
+            id: window.FoodNinjaUtils.Utils.generateId(),
             content,
             sender,
             type,
@@ -196,22 +492,14 @@ class ChatManager {
         this.chatHistory.push(messageData);
         this.saveChatHistory();
         
-        // Limit message count
-        if (this.chatHistory.length > this.maxMessages) {
-            this.chatHistory = this.chatHistory.slice(-this.maxMessages);
-            this.removeOldMessages();
-        }
-        
-        // Auto scroll
-        if (this.autoScroll) {
-            this.scrollToBottom();
-        }
+        // The thread keeps every message; only the screen is limited
+        this.removeOldMessages();
         
-        // Animate message
-        this.animateMessage(messageElement);
+        return messageData;
     }
     
-    createMessageElement(content, sender, type = 'normal') {
+    // message is the stored history entry when a saved conversation is redrawn
+    createMessageElement(content, sender, type = 'normal', message = null) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `chat-message ${sender}-message ${type}-message`;
         
@@ -226,6 +514,7 @@ class ChatManager {
         
         let messageClass = '';
         if (type === 'error') messageClass = 'text-danger';
+        if (type === 'stopped') messageClass = 'text-muted';
         if (type === 'nutrition') messageClass = 'text-success';
         
         messageDiv.innerHTML = `
@@ -233,43 +522,277 @@ class ChatManager {
                 ${avatar}
             </div>
             <div class="message-content">
-                <div class="message-text ${messageClass}">
-                    ${this.formatMessage(content)}
-                </div>
+                <div class="message-text ${messageClass}"></div>
                 <div class="message-time">
                     ${time}
                 </div>
             </div>
         `;
         
+        const textElement = messageDiv.querySelector('.message-text');
+        textElement.appendChild(this.formatMessage(content));
+        
+        if (type === 'stopped') {
+            this.appendStoppedNote(textElement);
+        }
+        
+        if (message?.id) {
+            messageDiv.dataset.messageId = message.id;
+        }
+        
+        if (content && type !== 'error') {
+            textElement.after(this.createMessageActions(content, sender, type, message?.rating));
+        }
+        
         return messageDiv;
     }
     
-    formatMessage(content) {
-        // Convert URLs to links
-        const urlRegex = /(https?:\/\/[^\s]+)/g;
-        content = content.replace(urlRegex, '<a href="$1" target="_blank" rel="noopener">$1</a>');
+    // Copy and edit under the user's messages; read aloud, copy, regenerate and rating under answers
+    createMessageActions(content, sender = 'ai', type = 'normal', rating = null) {
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+        
+        if (sender === 'ai' && window.ReadAloud) {
+            actions.appendChild(window.ReadAloud.createControls(content));
+        }
         
-        // Convert line breaks
-        content = content.replace(/\n/g, '<br>');
+        const buttons = [];
         
+        // The welcome message is not saved, so there is nothing to look up
+        if (type !== 'welcome') {
+            buttons.push({ action: 'copy-message', icon: 'fa-copy', label: 'Sao chép' });
+        }
+        
+        if (sender === 'user') {
+            buttons.push({ action: 'edit-message', icon: 'fa-pen', label: 'Sửa và gửi lại' });
+        }
+        
+        // Only answers to a question can be asked again
+        if (sender === 'ai' && this.regenerableTypes.includes(type)) {
+            buttons.push({ action: 'regenerate-message', icon: 'fa-redo', label: 'Tạo lại câu trả lời' });
+        }
+        
+        if (sender === 'ai' && this.ratableTypes.includes(type)) {
+            buttons.push(
+                { action: 'rate-message', icon: 'fa-thumbs-up', label: 'Câu trả lời hữu ích', rating: 'up' },
+                { action: 'rate-message', icon: 'fa-thumbs-down', label: 'Câu trả lời chưa tốt', rating: 'down' }
+            );
+        }
+        
+        buttons.forEach(({ action, icon, label, rating: value }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-sm message-action-btn';
+            button.dataset.action = action;
+            button.title = label;
+            button.setAttribute('aria-label', label);
+            button.innerHTML = `<i class="fas ${icon}"></i>`;
+            
+            if (value) {
+                button.dataset.rating = value;
+                button.setAttribute('aria-pressed', String(rating === value));
+            }
+            
+            actions.appendChild(button);
+        });
+        
+        return actions;
+    }
+    
+    // Reads a new answer aloud when the auto-read setting is on
+    autoReadMessage(messageElement) {
+        const controls = messageElement?.querySelector('.read-aloud-controls');
+        
+        if (controls) {
+            window.ReadAloud.autoRead(controls);
+        }
+    }
+    
+    // Inline after the last paragraph rather than on a line of its own
+    appendStoppedNote(textElement) {
+        const last = textElement.lastElementChild;
+        const target = last && last.tagName === 'P' ? last : textElement;
+        target.insertAdjacentHTML('beforeend', this.stoppedNote);
+    }
+    
+    // Messages may come from the AI or the user, so they are rendered, never injected as HTML
+    formatMessage(content) {
         // Format nutrition data if present
         if (content.includes('Calories:')) {
             content = this.formatNutritionData(content);
         }
         
-        return content;
+        if (!window.RichText) {
+            return document.createTextNode(content);
+        }
+        
+        return window.RichText.render(content);
     }
     
     formatNutritionData(content) {
-        // Enhanced formatting for nutrition data
-        content = content.replace(/(\d+\.?\d*)\s*(calories|kcal)/gi, '<strong>$1 $2</strong>');
-        content = content.replace(/(\d+\.?\d*)\s*g\s*(protein|fat|carbs|fiber)/gi, '<strong>$1g $2</strong>');
-        content = content.replace(/(\d+\.?\d*)\s*mg\s*(sodium|cholesterol)/gi, '<strong>$1mg $2</strong>');
+        // Enhanced formatting for nutrition data, as Markdown bold
+        content = content.replace(/(\d+\.?\d*)\s*(calories|kcal)/gi, '**$1 $2**');
+        content = content.replace(/(\d+\.?\d*)\s*g\s*(protein|fat|carbs|fiber)/gi, '**$1g $2**');
+        content = content.replace(/(\d+\.?\d*)\s*mg\s*(sodium|cholesterol)/gi, '**$1mg $2**');
         
         return content;
     }
     
+    /* ========================================
+       Message Actions
+       ======================================== */
+    
+    handleMessageAction(e) {
+        const button = e.target.closest('[data-action]');
+        const messageElement = button?.closest('.chat-message');
+        const messageId = messageElement?.dataset.messageId;
+        if (!messageId) return;
+        
+        const actions = {
+            'copy-message': () => this.copyMessage(messageId),
+            'edit-message': () => this.startEditingMessage(messageElement),
+            'save-edit': () => this.saveEditedMessage(messageElement),
+            'cancel-edit': () => this.cancelEditingMessage(messageElement),
+            'regenerate-message': () => this.regenerateMessage(messageId),
+            'rate-message': () => this.rateMessage(messageElement, button.dataset.rating)
+        };
+        
+        // Read aloud buttons are handled by their own controls
+        actions[button.dataset.action]?.();
+    }
+    
+    getMessage(messageId) {
+        return this.chatHistory.find(msg => msg.id === messageId) || null;
+    }
+    
+    async copyMessage(messageId) {
+        const message = this.getMessage(messageId);
+        if (!message) return;
+        
+        const { notifications } = window.FoodNinjaUtils;
+        
+        try {
+            await navigator.clipboard.writeText(message.content.trim());
+            notifications.show('Đã sao chép tin nhắn', 'success');
+        } catch (error) {
+            console.warn('⚠️ Could not copy message:', error);
+            notifications.show('Không thể sao chép tin nhắn', 'error');
+        }
+    }
+    
+    // Swap the bubble text for a textarea holding the original message
+    startEditingMessage(messageElement) {
+        const message = this.getMessage(messageElement.dataset.messageId);
+        if (!message || this.isBusy() || messageElement.classList.contains('editing-message')) return;
+        
+        const textElement = messageElement.querySelector('.message-text');
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+        editor.innerHTML = `
+            <textarea class="form-control message-edit-input" rows="2" aria-label="Sửa tin nhắn"></textarea>
+            <div class="message-editor-buttons">
+                <button type="button" class="btn btn-sm btn-light" data-action="save-edit">
+                    <i class="fas fa-paper-plane me-1"></i>
+                    Gửi lại
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-light" data-action="cancel-edit">
+                    Hủy
+                </button>
+            </div>
+        `;
+        
+        const input = editor.querySelector('.message-edit-input');
+        input.value = message.content;
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.saveEditedMessage(messageElement);
+            } else if (e.key === 'Escape') {
+                this.cancelEditingMessage(messageElement);
+            }
+        });
+        
+        messageElement.classList.add('editing-message');
+        textElement.hidden = true;
+        textElement.after(editor);
+        input.focus();
+    }
+    
+    cancelEditingMessage(messageElement) {
+        messageElement.querySelector('.message-editor')?.remove();
+        messageElement.querySelector('.message-text').hidden = false;
+        messageElement.classList.remove('editing-message');
+    }
+    
+    async saveEditedMessage(messageElement) {
+        const message = messageElement.querySelector('.message-edit-input')?.value.trim();
+        if (!message || this.isBusy()) return;
+        
+        await this.resendFrom(messageElement.dataset.messageId, message);
+    }
+    
+    // Ask the question behind an answer again
+    async regenerateMessage(messageId) {
+        const index = this.chatHistory.findIndex(msg => msg.id === messageId);
+        const question = this.chatHistory.slice(0, index).reverse().find(msg => msg.sender === 'user');
+        
+        if (index === -1 || !question) {
+            window.FoodNinjaUtils.notifications.show('Không tìm thấy câu hỏi của câu trả lời này', 'error');
+            return;
+        }
+        
+        await this.resendFrom(question.id, question.content);
+    }
+    
+    // Drop a user turn and everything after it, then send message in its place
+    async resendFrom(messageId, message) {
+        const index = this.chatHistory.findIndex(msg => msg.id === messageId);
+        if (index === -1 || this.isBusy()) return;
+        
+        window.ReadAloud?.stop();
+        this.truncateHistory(index);
+        
+        await this.sendUserMessage(message);
+    }
+    
+    truncateHistory(index) {
+        const removedIds = new Set(this.chatHistory.slice(index).map(msg => msg.id));
+        
+        this.chatHistory = this.chatHistory.slice(0, index);
+        this.saveChatHistory();
+        
+        this.chatMessages.querySelectorAll('.chat-message[data-message-id]').forEach(element => {
+            if (removedIds.has(element.dataset.messageId)) {
+                element.remove();
+            }
+        });
+        this.clearQuickReplies();
+    }
+    
+    // Thumbs up or down, stored with the message; the same thumb again clears it
+    rateMessage(messageElement, rating) {
+        const message = this.getMessage(messageElement.dataset.messageId);
+        if (!message || !['up', 'down'].includes(rating)) return;
+        
+        if (message.rating === rating) {
+            delete message.rating;
+            delete message.ratedAt;
+        } else {
+            message.rating = rating;
+            message.ratedAt = new Date().toISOString();
+        }
+        
+        this.saveChatHistory();
+        
+        messageElement.querySelectorAll('[data-action="rate-message"]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.rating === message.rating));
+        });
+        
+        if (message.rating) {
+            window.FoodNinjaUtils.notifications.show('Cảm ơn bạn đã đánh giá câu trả lời!', 'success');
+        }
+    }
+    
     /* ========================================
        Typing Indicator
        ======================================== */
@@ -311,16 +834,65 @@ class ChatManager {
     
     handleInputChange() {
         const hasText = this.chatInput.value.trim().length > 0;
-        this.sendButton.disabled = !hasText || this.isTyping;
+        this.sendButton.disabled = !hasText || this.isBusy();
         
         // Update button style
-        if (hasText && !this.isTyping) {
+        if (hasText && !this.isBusy()) {
             this.sendButton.classList.add('active');
         } else {
             this.sendButton.classList.remove('active');
         }
     }
     
+    createToolbar() {
+        if (this.chatContainer.querySelector('.chat-toolbar')) return;
+        
+        const toolbar = document.createElement('div');
+        toolbar.className = 'chat-toolbar';
+        toolbar.innerHTML = `
+            <button type="button" class="btn btn-sm btn-outline-secondary chat-threads-btn" aria-expanded="false">
+                <i class="fas fa-comments me-1"></i>
+                Các cuộc trò chuyện
+            </button>
+            <button type="button" class="btn btn-sm btn-outline-secondary new-conversation-btn">
+                <i class="fas fa-plus me-1"></i>
+                Cuộc trò chuyện mới
+            </button>
+        `;
+        
+        toolbar.querySelector('.chat-threads-btn').addEventListener('click', () => {
+            this.toggleThreadList();
+        });
+        
+        toolbar.querySelector('.new-conversation-btn').addEventListener('click', () => {
+            this.startNewConversation();
+        });
+        
+        this.chatContainer.prepend(toolbar);
+    }
+    
+    createStopButton() {
+        if (this.stopButton?.isConnected) return;
+        
+        this.stopButton = document.createElement('button');
+        this.stopButton.type = 'button';
+        this.stopButton.className = 'btn btn-outline-danger stop-button';
+        this.stopButton.title = 'Dừng trả lời';
+        this.stopButton.setAttribute('aria-label', 'Dừng trả lời');
+        this.stopButton.innerHTML = '<i class="fas fa-stop"></i>';
+        this.stopButton.hidden = true;
+        this.stopButton.addEventListener('click', () => this.stopResponse());
+        
+        this.sendButton.after(this.stopButton);
+    }
+    
+    toggleStopButton(visible) {
+        if (!this.stopButton) return;
+        
+        this.stopButton.hidden = !visible;
+        this.sendButton.hidden = visible;
+    }
+    
     autoResizeTextarea() {
         this.chatInput.style.height = 'auto';
         this.chatInput.style.height = Math.min(this.chatInput.scrollHeight, 120) + 'px';
@@ -370,7 +942,12 @@ class ChatManager {
             Hãy chụp ảnh món ăn hoặc đặt câu hỏi cho tôi nhé! 😊
         `;
         
-        this.addMessage(welcomeMessage, 'ai', 'welcome');
+        if (!this.chatMessages) return;
+        
+        // Shown at the top of every thread but never saved with it
+        const messageElement = this.createMessageElement(welcomeMessage, 'ai', 'welcome');
+        this.chatMessages.appendChild(messageElement);
+        this.animateMessage(messageElement);
     }
     
     addQuickReplies(replies) {
@@ -381,12 +958,15 @@ class ChatManager {
         
         replies.forEach(reply => {
             const button = document.createElement('button');
+            button.type = 'button';
             button.className = 'quick-reply-btn';
             button.textContent = reply;
             button.addEventListener('click', () => {
+                // Keep the suggestions while an answer is still coming in
+                if (this.isBusy()) return;
+                
                 this.chatInput.value = reply;
                 this.handleSendMessage();
-                quickRepliesDiv.remove();
             });
             quickRepliesDiv.appendChild(button);
         });
@@ -395,39 +975,80 @@ class ChatManager {
         this.scrollToBottom();
     }
     
+    // Only the latest suggestions are shown
+    showQuickReplies(replies) {
+        this.clearQuickReplies();
+        
+        if (replies?.length > 0) {
+            this.addQuickReplies(replies);
+        }
+    }
+    
+    clearQuickReplies() {
+        this.chatMessages?.querySelectorAll('.quick-replies').forEach(element => element.remove());
+    }
+    
+    // Starters for a conversation with nothing but the welcome message
+    showStarterReplies() {
+        if (!window.QuickReplies || this.chatHistory.some(msg => msg.type !== 'welcome')) return;
+        
+        this.showQuickReplies(window.QuickReplies.forEmptyChat(window.app?.analysisResults || this.latestAnalysis));
+    }
+    
+    // Follow-ups for an AI answer, based on what it talked about and the food being discussed
+    suggestFollowUps(answer) {
+        if (!window.QuickReplies) return;
+        
+        const question = [...this.chatHistory].reverse().find(msg => msg.sender === 'user')?.content;
+        
+        this.showQuickReplies(window.QuickReplies.forAnswer(answer, {
+            question,
+            analysis: window.app?.analysisResults || this.latestAnalysis
+        }));
+    }
+    
     /* ========================================
        Chat History Management
        ======================================== */
     
+    // The open thread is rewritten as a whole; ChatThreads only stores it once it has a message
     saveChatHistory() {
-        try {
-            const historyToSave = this.chatHistory.slice(-50); // Keep last 50 messages
-            localStorage.setItem('foodNinja_chatHistory', JSON.stringify(historyToSave));
-        } catch (error) {
+        if (!window.ChatThreads || !this.threadId) return;
+        
+        window.ChatThreads.saveMessages(this.threadId, this.chatHistory).catch(error => {
             console.warn('⚠️ Could not save chat history:', error);
-        }
+        });
     }
     
-    loadChatHistory() {
+    // The thread open last time, or null for a new one
+    async loadChatHistory() {
+        if (!window.ChatThreads) return null;
+        
         try {
-            const saved = localStorage.getItem('foodNinja_chatHistory');
-            if (saved) {
-                this.chatHistory = JSON.parse(saved);
-            }
+            await window.ChatThreads.migrateLegacyHistory();
+            
+            const threadId = window.ChatThreads.getCurrentThreadId();
+            return (threadId && await window.ChatThreads.getThread(threadId)) || null;
         } catch (error) {
             console.warn('⚠️ Could not load chat history:', error);
-            this.chatHistory = [];
+            return null;
         }
     }
     
-    restoreChatHistory() {
+    // The newest messages, reaching back far enough to include messageId
+    restoreChatHistory(messageId = null) {
         if (this.chatHistory.length === 0) return;
         
-        // Restore last few messages
-        const recentMessages = this.chatHistory.slice(-10);
-        recentMessages.forEach(msg => {
-            if (msg.sender !== 'ai' || msg.type !== 'welcome') {
-                const messageElement = this.createMessageElement(msg.content, msg.sender, msg.type);
+        const target = messageId ? this.chatHistory.findIndex(msg => msg.id === messageId) : -1;
+        let start = Math.max(0, this.chatHistory.length - this.maxMessages);
+        
+        if (target !== -1) {
+            start = Math.min(start, target);
+        }
+        
+        this.chatHistory.slice(start).forEach(msg => {
+            if (msg.type !== 'welcome') {
+                const messageElement = this.createMessageElement(msg.content, msg.sender, msg.type, msg);
                 this.chatMessages.appendChild(messageElement);
             }
         });
@@ -435,24 +1056,151 @@ class ChatManager {
         this.scrollToBottom();
     }
     
+    /* ========================================
+       Threads
+       ======================================== */
+    
+    // Show a saved thread, or a new empty one when thread is null
+    openThread(thread, { messageId = null } = {}) {
+        const next = thread || window.ChatThreads?.createThread() ||
+            { id: window.FoodNinjaUtils.Utils.generateId(), messages: [] };
+        
+        this.conversationVersion++;
+        this.hideTypingIndicator();
+        this.threadId = next.id;
+        this.chatHistory = [...next.messages];
+        
+        window.ChatThreads?.setCurrentThreadId(next.id);
+        window.ChatThreads?.setActiveThread(next.id);
+        
+        if (this.chatMessages) {
+            this.chatMessages.innerHTML = '';
+            this.displayWelcomeMessage();
+            this.restoreChatHistory(messageId);
+            this.showStarterReplies();
+        }
+    }
+    
+    // The unsent draft and scroll position of each thread survive switching away and back
+    async switchThread(threadId, { messageId = null } = {}) {
+        if (threadId && threadId === this.threadId && !messageId) return;
+        
+        this.cancelVoiceInput();
+        window.ReadAloud?.stop();
+        
+        await this.historyLoaded;
+        await this.settleActiveResponse();
+        
+        let thread = null;
+        
+        try {
+            thread = threadId ? await window.ChatThreads.getThread(threadId) : null;
+        } catch (error) {
+            console.error('❌ Could not open chat thread:', error);
+        }
+        
+        if (threadId && !thread) {
+            window.FoodNinjaUtils.notifications.show('Không thể mở cuộc trò chuyện này', 'error');
+            return;
+        }
+        
+        if (this.chatMessages) {
+            this.threadStates.set(this.threadId, {
+                draft: this.chatInput.value,
+                scrollTop: this.chatMessages.scrollTop
+            });
+        }
+        
+        this.openThread(thread, { messageId });
+        
+        if (!this.chatMessages) return;
+        
+        const state = this.threadStates.get(this.threadId);
+        this.chatInput.value = state?.draft || '';
+        this.autoResizeTextarea();
+        this.handleInputChange();
+        
+        if (messageId) {
+            this.highlightMessage(messageId);
+        } else if (state) {
+            this.chatMessages.scrollTop = state.scrollTop;
+        }
+    }
+    
+    // A search result opened from the thread list
+    highlightMessage(messageId) {
+        const messageElement = Array.from(this.chatMessages.querySelectorAll('.chat-message'))
+            .find(element => element.dataset.messageId === messageId);
+        if (!messageElement) return;
+        
+        messageElement.scrollIntoView({ block: 'center' });
+        messageElement.classList.add('highlighted-message');
+        setTimeout(() => messageElement.classList.remove('highlighted-message'), 2000);
+    }
+    
+    // Deleted from the thread list while open; an answer still coming in goes with it
+    handleCurrentThreadDeleted() {
+        this.stopResponse();
+        this.cancelVoiceInput();
+        window.ReadAloud?.stop();
+        this.threadStates.delete(this.threadId);
+        this.openThread(null);
+    }
+    
+    // The current thread stays in the list
+    async startNewConversation() {
+        await this.switchThread(null);
+        console.log('🆕 New conversation started');
+    }
+    
+    toggleThreadList() {
+        if (!window.ChatThreads) return;
+        
+        if (!this.threadsPanel?.isConnected) {
+            this.threadsPanel = document.createElement('div');
+            this.threadsPanel.className = 'chat-threads';
+            this.threadsPanel.hidden = true;
+            this.chatContainer.querySelector('.chat-toolbar').after(this.threadsPanel);
+        }
+        
+        const visible = this.threadsPanel.hidden;
+        this.threadsPanel.hidden = !visible;
+        this.chatContainer.querySelector('.chat-threads-btn')?.setAttribute('aria-expanded', String(visible));
+        
+        if (visible) {
+            window.ChatThreads.renderList(this.threadsPanel);
+        }
+    }
+    
     clearChat() {
+        this.conversationVersion++;
+        
         if (this.chatMessages) {
             this.chatMessages.innerHTML = '';
         }
         this.chatHistory = [];
         this.saveChatHistory();
         this.displayWelcomeMessage();
+        this.showStarterReplies();
     }
     
     /* ========================================
        Export Chat
        ======================================== */
     
+    // Ratings are included so poorly rated answers can be reviewed
     exportChatHistory() {
+        const rated = this.chatHistory.filter(msg => msg.rating);
+        
         const exportData = {
             timestamp: new Date().toISOString(),
-            messages: this.chatHistory,
-            version: '1.0'
+            threadId: this.threadId,
+            messages: this.chatHistory.map(msg => ({ ...msg, rating: msg.rating || null })),
+            ratings: {
+                up: rated.filter(msg => msg.rating === 'up').length,
+                down: rated.filter(msg => msg.rating === 'down').length
+            },
+            version: '1.1'
         };
         
         const blob = new Blob([JSON.stringify(exportData, null, 2)], {
@@ -469,17 +1217,185 @@ class ChatManager {
     }
     
     /* ========================================
-       Voice Integration (Future)
+       Voice Input
        ======================================== */
     
+    getSpeechRecognition() {
+        return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+    }
+    
+    getVoiceLanguage() {
+        const saved = localStorage.getItem(this.voiceLanguageKey);
+        return this.voiceLanguages[saved] ? saved : 'vi-VN';
+    }
+    
+    setVoiceLanguage(language) {
+        if (!this.voiceLanguages[language]) return;
+        
+        localStorage.setItem(this.voiceLanguageKey, language);
+        this.updateVoiceControls();
+    }
+    
+    toggleVoiceLanguage() {
+        const languages = Object.keys(this.voiceLanguages);
+        const next = languages[(languages.indexOf(this.getVoiceLanguage()) + 1) % languages.length];
+        
+        this.setVoiceLanguage(next);
+        window.FoodNinjaUtils.notifications.show(`Nhận dạng giọng nói: ${this.voiceLanguages[next]}`, 'info');
+    }
+    
+    // Mic and language buttons sit in front of the send button
+    createVoiceControls() {
+        if (this.voiceButton?.isConnected) return;
+        
+        this.voiceLanguageButton = document.createElement('button');
+        this.voiceLanguageButton.type = 'button';
+        this.voiceLanguageButton.className = 'btn btn-outline-secondary voice-language-button';
+        this.voiceLanguageButton.addEventListener('click', () => this.toggleVoiceLanguage());
+        
+        this.voiceButton = document.createElement('button');
+        this.voiceButton.type = 'button';
+        this.voiceButton.className = 'btn btn-outline-primary voice-button';
+        this.voiceButton.innerHTML = '<i class="fas fa-microphone"></i>';
+        this.voiceButton.addEventListener('click', () => this.toggleVoiceInput());
+        
+        this.sendButton.before(this.voiceLanguageButton, this.voiceButton);
+        this.updateVoiceControls();
+    }
+    
+    updateVoiceControls() {
+        if (!this.voiceButton) return;
+        
+        const language = this.getVoiceLanguage();
+        const label = !this.getSpeechRecognition() ? 'Trình duyệt không hỗ trợ nhập bằng giọng nói' :
+            this.isRecording ? 'Dừng ghi âm' : `Nói để nhập (${this.voiceLanguages[language]})`;
+        
+        this.voiceButton.title = label;
+        this.voiceButton.setAttribute('aria-label', label);
+        this.voiceButton.setAttribute('aria-pressed', String(this.isRecording));
+        this.voiceButton.classList.toggle('recording', this.isRecording);
+        this.voiceButton.classList.toggle('unsupported', !this.getSpeechRecognition());
+        this.voiceButton.querySelector('i').className = this.isRecording ? 'fas fa-stop' : 'fas fa-microphone';
+        
+        this.voiceLanguageButton.textContent = language.slice(0, 2).toUpperCase();
+        this.voiceLanguageButton.title = `Ngôn ngữ nhận dạng: ${this.voiceLanguages[language]}`;
+        this.voiceLanguageButton.disabled = this.isRecording;
+        this.voiceLanguageButton.hidden = !this.getSpeechRecognition();
+        
+        this.chatContainer?.classList.toggle('voice-recording', this.isRecording);
+    }
+    
+    toggleVoiceInput() {
+        if (this.isRecording) {
+            this.stopVoiceInput();
+        } else {
+            this.startVoiceInput();
+        }
+    }
+    
+    // Interim transcripts are written into the input; the final one is sent
     async startVoiceInput() {
-        if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-            this.addMessage('Trình duyệt không hỗ trợ nhận dạng giọng nói.', 'ai', 'error');
+        const SpeechRecognition = this.getSpeechRecognition();
+        
+        if (!SpeechRecognition) {
+            window.FoodNinjaUtils.notifications.show(
+                'Trình duyệt không hỗ trợ nhận dạng giọng nói. Hãy dùng Chrome, Edge hoặc Safari, hoặc bàn phím giọng nói của điện thoại.',
+                'warning'
+            );
             return;
         }
         
-        // Voice recognition implementation
-        console.log('🎤 Voice input feature - coming soon!');
+        if (this.isRecording || !this.chatInput) return;
+        
+        // Dictation is appended to whatever was already typed
+        const typed = this.chatInput.value.trim();
+        const recognition = new SpeechRecognition();
+        let transcript = '';
+        let isFinal = false;
+        
+        recognition.lang = this.getVoiceLanguage();
+        recognition.interimResults = true;
+        recognition.continuous = false;
+        recognition.maxAlternatives = 1;
+        
+        recognition.onresult = (e) => {
+            const results = Array.from(e.results);
+            
+            transcript = results.map(result => result[0].transcript).join('').trim();
+            isFinal = results.length > 0 && results.every(result => result.isFinal);
+            
+            this.chatInput.value = [typed, transcript].filter(Boolean).join(' ');
+            this.autoResizeTextarea();
+            this.handleInputChange();
+        };
+        
+        recognition.onerror = (e) => {
+            isFinal = false;
+            this.handleVoiceError(e.error);
+        };
+        
+        recognition.onend = () => {
+            if (this.recognition !== recognition) return;
+            
+            this.recognition = null;
+            this.isRecording = false;
+            this.updateVoiceControls();
+            
+            if (isFinal && transcript) {
+                this.handleSendMessage();
+            }
+        };
+        
+        this.recognition = recognition;
+        this.isRecording = true;
+        this.updateVoiceControls();
+        
+        try {
+            recognition.start();
+            console.log(`🎤 Voice input started (${recognition.lang})`);
+        } catch (error) {
+            console.error('❌ Voice input failed to start:', error);
+            this.recognition = null;
+            this.isRecording = false;
+            this.updateVoiceControls();
+            this.handleVoiceError('start-failed');
+        }
+    }
+    
+    // Stops listening; what was heard so far still arrives as the final result
+    stopVoiceInput() {
+        this.recognition?.stop();
+    }
+    
+    // Stops listening and drops the result
+    cancelVoiceInput() {
+        const recognition = this.recognition;
+        if (!recognition) return;
+        
+        this.recognition = null;
+        this.isRecording = false;
+        recognition.abort();
+        this.updateVoiceControls();
+    }
+    
+    handleVoiceError(error) {
+        const messages = {
+            'not-allowed': 'Bạn đã chặn quyền dùng micro. Hãy cho phép micro cho trang này trong cài đặt trình duyệt để nhập bằng giọng nói.',
+            'service-not-allowed': 'Trình duyệt không cho phép nhận dạng giọng nói trên trang này.',
+            'audio-capture': 'Không tìm thấy micro. Hãy kiểm tra thiết bị ghi âm.',
+            'no-speech': 'Không nghe thấy giọng nói, hãy thử lại.',
+            'network': 'Nhận dạng giọng nói cần kết nối mạng.',
+            'language-not-supported': `Trình duyệt không hỗ trợ nhận dạng ${this.voiceLanguages[this.getVoiceLanguage()]}.`
+        };
+        
+        // Stopped by the user or replaced by a new recording
+        if (error === 'aborted') return;
+        
+        console.warn('⚠️ Voice input error:', error);
+        window.FoodNinjaUtils.notifications.show(
+            messages[error] || 'Không thể nhận dạng giọng nói. Vui lòng thử lại hoặc nhập bằng bàn phím.',
+            error === 'no-speech' ? 'warning' : 'error'
+        );
     }
     
     /* ========================================
@@ -497,7 +1413,9 @@ class ChatManager {
             this.chatInput.removeEventListener('input', this.handleInputChange);
         }
         
-        // Clear typing indicator
+        // Stop a streaming answer, dictation and the typing indicator
+        this.stopResponse();
+        this.cancelVoiceInput();
         this.hideTypingIndicator();
         
         console.log('🧹 Chat manager cleaned up');
@@ -516,7 +1434,12 @@ window.ChatManager = {
     initialize: (containerId) => chatManager.initializeChat(containerId),
     addMessage: (content, sender, type) => chatManager.addMessage(content, sender, type),
     clearChat: () => chatManager.clearChat(),
+    newConversation: () => chatManager.startNewConversation(),
+    switchThread: (threadId) => chatManager.switchThread(threadId),
+    stopResponse: () => chatManager.stopResponse(),
     exportHistory: () => chatManager.exportChatHistory(),
+    startVoiceInput: () => chatManager.startVoiceInput(),
+    stopVoiceInput: () => chatManager.stopVoiceInput(),
     sendMessage: (message) => chatManager.handleChatRequest({ message, type: 'general' }),
     askNutrition: (question) => chatManager.handleChatRequest({ message: question, type: 'nutrition' })
 };
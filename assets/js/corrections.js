@@ -0,0 +1,217 @@
+/* ========================================
+   Food Ninja - Food Name Corrections
+   ======================================== */
+
+class CorrectionManager {
+    constructor() {
+        this.storageKey = 'foodCorrections';
+        this.maxCorrections = 100;
+        this.maxAlternatives = 3;
+    }
+    
+    /* ========================================
+       Remembered Corrections
+       ======================================== */
+    
+    getCorrections() {
+        return window.FoodNinjaUtils.storage.get(this.storageKey, {});
+    }
+    
+    // Correction previously made for a predicted food name, keyed without diacritics
+    getCorrection(foodName) {
+        const key = window.FoodNinjaUtils.Utils.normalizeText(foodName);
+        if (!key) return null;
+        
+        return this.getCorrections()[key] || null;
+    }
+    
+    remember(predictedName, correctedName) {
+        const { Utils, storage } = window.FoodNinjaUtils;
+        const key = Utils.normalizeText(predictedName);
+        
+        if (!key || key === Utils.normalizeText(correctedName)) return;
+        
+        const corrections = this.getCorrections();
+        const previous = corrections[key];
+        
+        corrections[key] = {
+            predicted: predictedName,
+            corrected: correctedName,
+            count: previous?.corrected === correctedName ? previous.count + 1 : 1,
+            updatedAt: Date.now()
+        };
+        
+        // Keep only the most recently used corrections
+        const recent = Object.entries(corrections)
+            .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+            .slice(0, this.maxCorrections);
+        
+        storage.set(this.storageKey, Object.fromEntries(recent));
+        console.log(`✏️ Correction remembered: ${predictedName} → ${correctedName}`);
+    }
+    
+    forget(predictedName) {
+        const corrections = this.getCorrections();
+        delete corrections[window.FoodNinjaUtils.Utils.normalizeText(predictedName)];
+        window.FoodNinjaUtils.storage.set(this.storageKey, corrections);
+    }
+    
+    /* ========================================
+       Suggestions
+       ======================================== */
+    
+    getPredictedName(result) {
+        return result.originalFoodName || result.foodName;
+    }
+    
+    // Low-confidence results, and results the user corrected before, get the picker
+    shouldOffer(result) {
+        if (!result || result.corrected) return false;
+        return Boolean(result.lowConfidence || this.getCorrection(this.getPredictedName(result)));
+    }
+    
+    // Remembered correction first, then the model's alternatives
+    getSuggestions(result) {
+        const { Utils } = window.FoodNinjaUtils;
+        const suggestions = [];
+        const correction = this.getCorrection(this.getPredictedName(result));
+        
+        if (correction) {
+            suggestions.push({ name: correction.corrected, remembered: true });
+        }
+        
+        for (const alternative of (result.alternatives || []).slice(0, this.maxAlternatives)) {
+            const name = typeof alternative === 'string' ? alternative : alternative?.name;
+            if (!name) continue;
+            
+            const key = Utils.normalizeText(name);
+            if (suggestions.some(suggestion => Utils.normalizeText(suggestion.name) === key)) continue;
+            
+            suggestions.push({ name, probability: alternative.probability ?? null });
+        }
+        
+        return suggestions;
+    }
+    
+    createPicker(result, onSelect) {
+        const { Utils, notifications } = window.FoodNinjaUtils;
+        const suggestions = this.getSuggestions(result);
+        const correction = this.getCorrection(this.getPredictedName(result));
+        
+        const picker = document.createElement('div');
+        picker.className = 'alternative-picker';
+        picker.innerHTML = `
+            ${correction ? `
+                <p class="alternative-hint">
+                    <i class="fas fa-history me-1"></i>
+                    Lần trước bạn đã sửa "${Utils.escapeHTML(correction.predicted)}" thành "${Utils.escapeHTML(correction.corrected)}"
+                </p>
+            ` : ''}
+            ${suggestions.length > 0 ? `
+                <p class="alternative-title">Có phải là:</p>
+                <div class="alternative-chips">
+                    ${suggestions.map(({ name, probability, remembered }) => `
+                        <button type="button" class="btn btn-sm ${remembered ? 'btn-primary' : 'btn-outline-primary'} alternative-chip" data-name="${Utils.escapeHTML(name)}">
+                            ${Utils.escapeHTML(name)}
+                            ${probability !== null && probability !== undefined ? `<small>${Math.round(probability * 100)}%</small>` : ''}
+                        </button>
+                    `).join('')}
+                </div>
+            ` : ''}
+            <form class="input-group input-group-sm alternative-form">
+                <input type="text" class="form-control" name="foodName" placeholder="Thực ra đây là..." required>
+                <button type="submit" class="btn btn-outline-primary">
+                    <i class="fas fa-check me-1"></i>
+                    Cập nhật
+                </button>
+            </form>
+        `;
+        
+        const select = async (name) => {
+            const controls = picker.querySelectorAll('button, input');
+            controls.forEach(control => { control.disabled = true; });
+            
+            try {
+                await onSelect(name);
+            } catch (error) {
+                console.error('❌ Food correction failed:', error);
+                notifications.show(error.message, 'error');
+            } finally {
+                controls.forEach(control => { control.disabled = false; });
+            }
+        };
+        
+        picker.addEventListener('click', (e) => {
+            const chip = e.target.closest('.alternative-chip');
+            if (chip) {
+                select(chip.dataset.name);
+            }
+        });
+        
+        picker.querySelector('.alternative-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            select(e.target.elements.foodName.value.trim());
+        });
+        
+        return picker;
+    }
+    
+    /* ========================================
+       Correcting a Result
+       ======================================== */
+    
+    // Look up nutrition and AI advice for the corrected name and return a new result
+    async correctResult(result, foodName) {
+        const name = foodName?.trim();
+        
+        if (!name) {
+            throw new Error('Vui lòng nhập tên món ăn');
+        }
+        
+        const lookup = await window.FoodNinjaAPI.lookupNutrition(name);
+        
+        if (!lookup.success) {
+            throw new Error(lookup.error || 'Không thể tra cứu dinh dưỡng');
+        }
+        
+        const predictedName = this.getPredictedName(result);
+        
+        this.remember(predictedName, name);
+        
+        return {
+            ...result,
+            foodName: name,
+            originalFoodName: predictedName,
+            corrected: true,
+            lowConfidence: false,
+            message: null,
+            nutrition: lookup.nutrition,
+            baseNutrition: null,
+            portion: null,
+            aiAdvice: lookup.aiAdvice,
+            aiAdviceCachedAt: lookup.aiAdviceCachedAt,
+            // Fetched just now, even when the photo's analysis came from AnalysisCache
+            cached: false,
+            cachedAt: null
+        };
+    }
+}
+
+/* ========================================
+   Export Correction Manager
+   ======================================== */
+
+const correctionManager = new CorrectionManager();
+
+// Global functions for easy access
+window.CorrectionManager = {
+    instance: correctionManager,
+    getCorrection: (foodName) => correctionManager.getCorrection(foodName),
+    remember: (predictedName, correctedName) => correctionManager.remember(predictedName, correctedName),
+    forget: (predictedName) => correctionManager.forget(predictedName),
+    shouldOffer: (result) => correctionManager.shouldOffer(result),
+    createPicker: (result, onSelect) => correctionManager.createPicker(result, onSelect),
+    correctResult: (result, foodName) => correctionManager.correctResult(result, foodName)
+};
+
+console.log('✏️ Correction Manager module loaded successfully!');
@@ -0,0 +1,186 @@
+/* ========================================
+   Food Ninja - Diagnostics Log
+   ======================================== */
+
+// A small log kept in localStorage for problems users cannot see in the
+// console, currently Content-Security-Policy violations. Shown in settings so
+// it can be read back or cleared when reporting a bug.
+//
+// index.html and app.html load this file without utils.js, so it reads and
+// writes localStorage itself, under the key storage.get('diagnosticsLog') uses.
+class DiagnosticsLogManager {
+    constructor() {
+        this.storageKey = 'food_ninja_diagnosticsLog';
+        this.maxEntries = 100;
+        this.visibleEntries = 20;
+        this.container = null;
+        
+        // The same violation fires on every render; log each one once per page load
+        this.reportedViolations = new Set();
+        
+        document.addEventListener('securitypolicyviolation', (e) => this.reportCSPViolation(e));
+    }
+    
+    /* ========================================
+       Log
+       ======================================== */
+    
+    record(type, message, details = {}) {
+        const entries = this.getEntries();
+        
+        entries.push({
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2),
+            type,
+            message,
+            details,
+            url: window.location.pathname,
+            timestamp: Date.now()
+        });
+        
+        this.saveEntries(entries.slice(-this.maxEntries));
+        console.warn(`🩺 [${type}] ${message}`, details);
+        
+        if (this.container?.isConnected) {
+            this.renderLog();
+        }
+    }
+    
+    getEntries() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    saveEntries(entries) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(entries));
+        } catch (error) {
+            console.warn('⚠️ Could not save diagnostics log:', error);
+        }
+    }
+    
+    clear() {
+        localStorage.removeItem(this.storageKey);
+        
+        if (this.container?.isConnected) {
+            this.renderLog();
+        }
+    }
+    
+    reportCSPViolation(e) {
+        const directive = e.effectiveDirective || e.violatedDirective;
+        const blocked = e.blockedURI || 'inline';
+        const key = `${directive}|${blocked}|${e.sourceFile}:${e.lineNumber}`;
+        
+        if (this.reportedViolations.has(key)) return;
+        this.reportedViolations.add(key);
+        
+        this.record('csp', `${directive} đã chặn ${blocked}`, {
+            directive,
+            blockedURI: e.blockedURI,
+            sourceFile: e.sourceFile,
+            lineNumber: e.lineNumber,
+            sample: e.sample,
+            disposition: e.disposition
+        });
+    }
+    
+    /* ========================================
+       Settings UI
+       ======================================== */
+    
+    renderSettings(container) {
+        if (!container) return false;
+        
+        if (!this.container?.isConnected || !container.contains(this.container)) {
+            this.container = document.createElement('div');
+            this.container.className = 'settings-group diagnostics-settings';
+            this.container.addEventListener('click', (e) => this.handleClick(e));
+            container.appendChild(this.container);
+        }
+        
+        this.renderLog();
+        return true;
+    }
+    
+    // Built with textContent: entries hold URLs and samples taken from the page
+    renderLog() {
+        const entries = this.getEntries();
+        const recent = entries.slice(-this.visibleEntries).reverse();
+        
+        this.container.innerHTML = `
+            <h6>
+                <i class="fas fa-stethoscope me-2"></i>
+                Nhật ký chẩn đoán
+            </h6>
+            <ul class="diagnostics-log"></ul>
+            <small class="text-muted d-block mb-2 diagnostics-count"></small>
+            <p class="text-muted diagnostics-empty">Chưa ghi nhận sự cố nào.</p>
+            <button type="button" class="btn btn-sm btn-outline-danger" data-action="clear-diagnostics">
+                <i class="fas fa-trash me-1"></i>
+                Xóa nhật ký
+            </button>
+        `;
+        
+        const list = this.container.querySelector('.diagnostics-log');
+        recent.forEach(entry => list.appendChild(this.createEntryElement(entry)));
+        
+        list.hidden = recent.length === 0;
+        this.container.querySelector('.diagnostics-empty').hidden = recent.length > 0;
+        this.container.querySelector('[data-action="clear-diagnostics"]').disabled = entries.length === 0;
+        
+        const count = this.container.querySelector('.diagnostics-count');
+        count.hidden = entries.length <= recent.length;
+        count.textContent = `Hiển thị ${recent.length} / ${entries.length} mục gần nhất.`;
+    }
+    
+    createEntryElement(entry) {
+        const item = document.createElement('li');
+        const line = (tag, className, text) => {
+            const element = document.createElement(tag);
+            element.className = className;
+            element.textContent = text;
+            item.appendChild(element);
+        };
+        
+        // dd/mm/yyyy hh:mm, as DateUtils.formatDate writes it
+        const date = new Date(entry.timestamp);
+        const pad = (value) => String(value).padStart(2, '0');
+        const time = `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        
+        line('small', 'text-muted', `${time} · ${entry.type}`);
+        line('div', '', entry.message);
+        
+        if (entry.details?.sourceFile) {
+            line('small', 'text-muted', `${entry.details.sourceFile}:${Number(entry.details.lineNumber) || 0}`);
+        }
+        
+        return item;
+    }
+    
+    handleClick(e) {
+        if (!e.target.closest('[data-action="clear-diagnostics"]')) return;
+        
+        this.clear();
+        window.FoodNinjaUtils?.notifications.show('Đã xóa nhật ký chẩn đoán', 'success');
+    }
+}
+
+/* ========================================
+   Export Diagnostics Log
+   ======================================== */
+
+const diagnosticsLog = new DiagnosticsLogManager();
+
+// Global functions for easy access
+window.DiagnosticsLog = {
+    instance: diagnosticsLog,
+    record: (type, message, details) => diagnosticsLog.record(type, message, details),
+    getEntries: () => diagnosticsLog.getEntries(),
+    clear: () => diagnosticsLog.clear(),
+    renderSettings: (container) => diagnosticsLog.renderSettings(container)
+};
+
+console.log('🩺 Diagnostics Log module loaded successfully!');
@@ -0,0 +1,359 @@
+/* ========================================
+   Food Ninja - Nutrition Diary
+   ======================================== */
+
+class DiaryManager {
+    constructor() {
+        this.store = new window.FoodNinjaUtils.IndexedDBStore('food_ninja_diary', 'meals', {
+            keyPath: 'id',
+            indexes: [
+                { name: 'date', keyPath: 'date' }
+            ]
+        });
+        
+        this.slots = {
+            breakfast: 'Bữa sáng',
+            lunch: 'Bữa trưa',
+            dinner: 'Bữa tối',
+            snack: 'Bữa phụ'
+        };
+        
+        // Reference daily values for an average adult
+        this.defaultGoals = {
+            calories: 2000,
+            protein: 50,
+            carbohydrates: 275,
+            fat: 70,
+            fiber: 28,
+            sugar: 50,
+            sodium: 2300
+        };
+        
+        this.container = null;
+        this.currentDate = new Date();
+    }
+    
+    /* ========================================
+       Meal Logging
+       ======================================== */
+    
+    async logMeal(result, slot = this.getDefaultSlot(), date = new Date()) {
+        const { DateUtils, NutritionUtils, Utils } = window.FoodNinjaUtils;
+        const items = NutritionUtils.getItems(result.nutrition);
+        
+        if (items.length === 0) {
+            throw new Error('Không có thông tin dinh dưỡng để ghi vào nhật ký');
+        }
+        
+        if (!this.slots[slot]) {
+            throw new Error(`Unknown meal slot: ${slot}`);
+        }
+        
+        const meal = {
+            id: Utils.generateId(),
+            date: DateUtils.formatDate(date, 'yyyy-mm-dd'),
+            slot,
+            timestamp: new Date(date).getTime(),
+            foodName: result.foodName || items.map(item => item.name).join(', '),
+            nutrition: result.nutrition,
+            totals: NutritionUtils.sumItems(items),
+            portion: result.portion || null,
+            historyId: result.historyId || null
+        };
+        
+        await this.store.put(meal);
+        this.notifyUpdate();
+        
+        console.log(`📒 Meal logged to ${slot}:`, meal.foodName);
+        return meal;
+    }
+    
+    async removeMeal(id) {
+        await this.store.delete(id);
+        this.notifyUpdate();
+    }
+    
+    async getMealsForDate(date) {
+        const { DateUtils } = window.FoodNinjaUtils;
+        const meals = [];
+        
+        await this.store.iterate('date', {
+            range: IDBKeyRange.only(DateUtils.formatDate(date, 'yyyy-mm-dd'))
+        }, (meal) => {
+            meals.push(meal);
+        });
+        
+        return meals.sort((a, b) => a.timestamp - b.timestamp);
+    }
+    
+    async getDaySummary(date) {
+        const { NutritionUtils } = window.FoodNinjaUtils;
+        const meals = await this.getMealsForDate(date);
+        
+        const slots = {};
+        Object.keys(this.slots).forEach(slot => {
+            slots[slot] = { meals: [], totals: NutritionUtils.emptyTotals() };
+        });
+        
+        let totals = NutritionUtils.emptyTotals();
+        
+        meals.forEach(meal => {
+            const group = slots[meal.slot] || slots.snack;
+            group.meals.push(meal);
+            group.totals = NutritionUtils.addTotals(group.totals, meal.totals);
+            totals = NutritionUtils.addTotals(totals, meal.totals);
+        });
+        
+        return { date, meals, slots, totals, goals: this.getGoals() };
+    }
+    
+    getDefaultSlot(date = new Date()) {
+        const hour = new Date(date).getHours();
+        
+        if (hour >= 5 && hour < 10) return 'breakfast';
+        if (hour >= 10 && hour < 14) return 'lunch';
+        if (hour >= 17 && hour < 21) return 'dinner';
+        return 'snack';
+    }
+    
+    notifyUpdate() {
+        window.dispatchEvent(new CustomEvent('diaryUpdated'));
+        
+        if (this.container?.isConnected) {
+            this.renderDay();
+        }
+    }
+    
+    /* ========================================
+       Daily Goals
+       ======================================== */
+    
+    getGoals() {
+        const saved = window.FoodNinjaUtils.storage.get('dailyGoals', {});
+        return { ...this.defaultGoals, ...saved };
+    }
+    
+    saveGoals(goals) {
+        const cleaned = {};
+        
+        for (const key of Object.keys(this.defaultGoals)) {
+            const value = Number(goals[key]);
+            if (Number.isFinite(value) && value > 0) {
+                cleaned[key] = value;
+            }
+        }
+        
+        window.FoodNinjaUtils.storage.set('dailyGoals', cleaned);
+        this.notifyUpdate();
+        return this.getGoals();
+    }
+    
+    renderGoalsSettings(container) {
+        if (!container) return;
+        
+        const { NutritionUtils } = window.FoodNinjaUtils;
+        const goals = this.getGoals();
+        
+        const group = document.createElement('div');
+        group.className = 'settings-group';
+        group.innerHTML = `
+            <h6>
+                <i class="fas fa-bullseye me-2"></i>
+                Mục tiêu dinh dưỡng hằng ngày
+            </h6>
+            <form class="diary-goals-form">
+                ${Object.entries(NutritionUtils.NUTRIENTS).map(([key, { label, unit }]) => `
+                    <div class="setting-item">
+                        <label class="form-label" for="goal-${key}">${label} (${unit})</label>
+                        <input type="number" class="form-control" id="goal-${key}" name="${key}" min="0" step="any" value="${goals[key]}">
+                    </div>
+                `).join('')}
+                <div class="d-flex gap-2">
+                    <button type="submit" class="btn btn-primary btn-sm">Lưu mục tiêu</button>
+                    <button type="button" class="btn btn-outline-secondary btn-sm" data-action="reset-goals">Mặc định</button>
+                </div>
+            </form>
+        `;
+        
+        const form = group.querySelector('form');
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveGoals(Object.fromEntries(new FormData(form)));
+            window.FoodNinjaUtils.notifications.show('Đã lưu mục tiêu dinh dưỡng', 'success');
+        });
+        
+        form.querySelector('[data-action="reset-goals"]').addEventListener('click', () => {
+            window.FoodNinjaUtils.storage.remove('dailyGoals');
+            Object.entries(this.defaultGoals).forEach(([key, value]) => {
+                form.elements[key].value = value;
+            });
+            this.notifyUpdate();
+        });
+        
+        container.appendChild(group);
+    }
+    
+    /* ========================================
+       Diary View
+       ======================================== */
+    
+    renderView(container) {
+        if (!container) return false;
+        
+        if (this.container !== container) {
+            this.container = container;
+            container.innerHTML = `
+                <div class="diary-header">
+                    <button class="btn btn-outline-secondary btn-sm" data-action="prev-day" title="Ngày trước">
+                        <i class="fas fa-chevron-left"></i>
+                    </button>
+                    <div class="text-center">
+                        <h5 class="diary-day-label mb-0"></h5>
+                        <small class="diary-day-date text-muted"></small>
+                    </div>
+                    <button class="btn btn-outline-secondary btn-sm" data-action="next-day" title="Ngày sau">
+                        <i class="fas fa-chevron-right"></i>
+                    </button>
+                </div>
+                <div class="diary-totals settings-group"></div>
+                <div class="diary-slots"></div>
+            `;
+            
+            container.addEventListener('click', (e) => this.handleViewClick(e));
+        }
+        
+        this.renderDay();
+        return true;
+    }
+    
+    async renderDay() {
+        if (!this.container) return;
+        
+        const { DateUtils } = window.FoodNinjaUtils;
+        const summary = await this.getDaySummary(this.currentDate);
+        
+        this.container.querySelector('.diary-day-label').textContent =
+            DateUtils.isToday(this.currentDate) ? 'Hôm nay' : DateUtils.formatDate(this.currentDate, 'dd/mm/yyyy');
+        this.container.querySelector('.diary-day-date').textContent =
+            DateUtils.isToday(this.currentDate) ? DateUtils.formatDate(this.currentDate, 'dd/mm/yyyy') : '';
+        this.container.querySelector('[data-action="next-day"]').disabled = DateUtils.isToday(this.currentDate);
+        
+        this.renderTotals(summary);
+        this.renderSlots(summary);
+    }
+    
+    renderTotals({ totals, goals }) {
+        const { NutritionUtils } = window.FoodNinjaUtils;
+        const totalsElement = this.container.querySelector('.diary-totals');
+        totalsElement.innerHTML = '<h6><i class="fas fa-chart-bar me-2"></i>Tổng trong ngày</h6>';
+        
+        for (const [key, { label, unit }] of Object.entries(NutritionUtils.NUTRIENTS)) {
+            const value = totals[key];
+            const goal = goals[key];
+            const percent = goal > 0 ? (value / goal) * 100 : 0;
+            
+            const row = document.createElement('div');
+            row.className = 'diary-progress-item';
+            row.innerHTML = `
+                <div class="diary-progress-label">
+                    <span>${label}</span>
+                    <span>${Math.round(value)} / ${goal} ${unit}</span>
+                </div>
+                <div class="progress">
+                    <div class="progress-bar" role="progressbar"></div>
+                </div>
+            `;
+            
+            const bar = row.querySelector('.progress-bar');
+            bar.style.width = `${Math.min(percent, 100)}%`;
+            bar.classList.add(percent > 100 ? 'bg-danger' : percent >= 90 ? 'bg-warning' : 'bg-success');
+            bar.setAttribute('aria-valuenow', Math.round(percent));
+            
+            totalsElement.appendChild(row);
+        }
+    }
+    
+    renderSlots({ slots }) {
+        const { Utils } = window.FoodNinjaUtils;
+        const slotsElement = this.container.querySelector('.diary-slots');
+        slotsElement.innerHTML = '';
+        
+        for (const [slot, label] of Object.entries(this.slots)) {
+            const group = slots[slot];
+            const section = document.createElement('div');
+            section.className = 'diary-slot';
+            section.innerHTML = `
+                <div class="diary-slot-header">
+                    <h6 class="mb-0">${label}</h6>
+                    <span class="text-muted">${Math.round(group.totals.calories)} kcal</span>
+                </div>
+                ${group.meals.length === 0 ? '<p class="text-muted small mb-0">Chưa ghi món nào</p>' : `
+                    <ul class="diary-meal-list">
+                        ${group.meals.map(meal => `
+                            <li class="diary-meal" data-id="${meal.id}">
+                                <span class="diary-meal-name">${Utils.escapeHTML(meal.foodName)}</span>
+                                <span class="text-muted">${Math.round(meal.totals.calories)} kcal</span>
+                                <button class="btn btn-sm btn-link text-danger" data-action="remove-meal" title="Xóa">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+            `;
+            
+            slotsElement.appendChild(section);
+        }
+    }
+    
+    async handleViewClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        
+        switch (target.dataset.action) {
+            case 'prev-day':
+                this.shiftDay(-1);
+                break;
+            case 'next-day':
+                this.shiftDay(1);
+                break;
+            case 'remove-meal':
+                await this.removeMeal(target.closest('.diary-meal').dataset.id);
+                break;
+        }
+    }
+    
+    shiftDay(offset) {
+        const next = new Date(this.currentDate);
+        next.setDate(next.getDate() + offset);
+        
+        // No logging into the future
+        if (next > new Date()) return;
+        
+        this.currentDate = next;
+        this.renderDay();
+    }
+}
+
+/* ========================================
+   Export Diary Manager
+   ======================================== */
+
+const diaryManager = new DiaryManager();
+
+// Global functions for easy access
+window.DiaryManager = {
+    instance: diaryManager,
+    slots: diaryManager.slots,
+    logMeal: (result, slot, date) => diaryManager.logMeal(result, slot, date),
+    removeMeal: (id) => diaryManager.removeMeal(id),
+    getDaySummary: (date) => diaryManager.getDaySummary(date),
+    getDefaultSlot: (date) => diaryManager.getDefaultSlot(date),
+    getGoals: () => diaryManager.getGoals(),
+    saveGoals: (goals) => diaryManager.saveGoals(goals),
+    renderView: (container) => diaryManager.renderView(container),
+    renderGoalsSettings: (container) => diaryManager.renderGoalsSettings(container)
+};
+
+console.log('📒 Diary Manager module loaded successfully!');
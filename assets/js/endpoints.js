@@ -0,0 +1,356 @@
+/* ========================================
+   Food Ninja - API Endpoint Configuration
+   ======================================== */
+
+// Chooses the backend FoodNinjaAPI talks to. The first of these wins:
+// ?api= in the page URL, the choice saved in settings, config.json, auto-detection.
+class EndpointConfigManager {
+    constructor() {
+        this.profiles = {
+            local: { label: 'Máy cục bộ', baseURL: 'http://127.0.0.1:5000' },
+            staging: { label: 'Staging', baseURL: 'https://foodninja-backend-latest.onrender.com' },
+            production: { label: 'Production', baseURL: 'https://nckh-nutrition-food.onrender.com' }
+        };
+        
+        this.sourceLabels = {
+            query: 'tham số ?api=',
+            settings: 'cài đặt',
+            config: 'config.json',
+            auto: 'tự động'
+        };
+        
+        this.storageKey = 'apiEndpoint';
+        this.queryParam = 'api';
+        this.configURL = '/config.json';
+        
+        // ?api= and config.json come from outside the app, so their backend must answer a
+        // health check before it is used; settings are checked when saved
+        this.checkedSources = ['query', 'config'];
+        this.healthResults = new Map();
+        
+        // { profile, baseURL, source }; profile is null for a custom URL
+        this.active = null;
+        this.remoteConfig = null;
+        this.container = null;
+        
+        this.ready = this.init();
+    }
+    
+    async init() {
+        // Apply what is known synchronously so early requests already go to the right place
+        this.apply(this.resolve());
+        
+        await this.checkCandidates();
+        this.apply(this.resolve());
+        
+        this.remoteConfig = await this.loadRemoteConfig();
+        
+        if (this.remoteConfig) {
+            this.mergeProfiles(this.remoteConfig.profiles);
+            await this.checkCandidates();
+            this.apply(this.resolve());
+        }
+        
+        return this.active;
+    }
+    
+    /* ========================================
+       Resolution
+       ======================================== */
+    
+    getCandidates() {
+        return [
+            { source: 'query', value: new URLSearchParams(window.location.search).get(this.queryParam) },
+            { source: 'settings', value: window.FoodNinjaUtils.storage.get(this.storageKey) },
+            { source: 'config', value: this.remoteConfig?.api }
+        ];
+    }
+    
+    // Endpoints from ?api= and config.json are skipped until they pass checkCandidates()
+    resolve() {
+        for (const { source, value } of this.getCandidates()) {
+            if (!value || value === 'auto') continue;
+            
+            const endpoint = this.parse(value);
+            if (!endpoint) {
+                console.warn(`⚠️ Ignoring invalid API endpoint from ${this.sourceLabels[source]}:`, value);
+                continue;
+            }
+            
+            if (this.checkedSources.includes(source) && this.healthResults.get(endpoint.baseURL) !== true) {
+                continue;
+            }
+            
+            return { ...endpoint, source };
+        }
+        
+        return this.getAutoEndpoint();
+    }
+    
+    // Health-checks candidates in priority order until one answers or a saved setting outranks the rest
+    async checkCandidates() {
+        for (const { source, value } of this.getCandidates()) {
+            const endpoint = value && value !== 'auto' ? this.parse(value) : null;
+            if (!endpoint) continue;
+            if (!this.checkedSources.includes(source)) return;
+            
+            if (!this.healthResults.has(endpoint.baseURL)) {
+                const health = await window.FoodNinjaAPI.healthCheck({ baseURL: endpoint.baseURL });
+                this.healthResults.set(endpoint.baseURL, health.success);
+                
+                if (!health.success) {
+                    console.warn(`⚠️ API endpoint from ${this.sourceLabels[source]} is not responding, falling back:`, endpoint.baseURL, health.error);
+                }
+            }
+            
+            if (this.healthResults.get(endpoint.baseURL)) return;
+        }
+    }
+    
+    getAutoEndpoint() {
+        const baseURL = window.FoodNinjaAPI.api.getBaseURL();
+        return { profile: this.findProfile(baseURL), baseURL, source: 'auto' };
+    }
+    
+    // A profile name or an absolute http(s) URL
+    parse(value) {
+        if (typeof value !== 'string' || !value.trim()) return null;
+        
+        const name = value.trim().toLowerCase();
+        if (this.profiles[name]) {
+            return { profile: name, baseURL: this.profiles[name].baseURL };
+        }
+        
+        const baseURL = this.normalizeURL(value.trim());
+        return baseURL ? { profile: this.findProfile(baseURL), baseURL } : null;
+    }
+    
+    normalizeURL(value) {
+        try {
+            const url = new URL(value);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+            
+            return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    findProfile(baseURL) {
+        const match = Object.entries(this.profiles).find(([, profile]) => profile.baseURL === baseURL);
+        return match ? match[0] : null;
+    }
+    
+    apply(endpoint) {
+        const changed = endpoint.baseURL !== this.active?.baseURL || endpoint.source !== this.active?.source;
+        
+        this.active = endpoint;
+        window.FoodNinjaAPI.api.setBaseURL(endpoint.baseURL);
+        
+        if (changed) {
+            console.log(`🖥️ API endpoint (${this.sourceLabels[endpoint.source]}): ${endpoint.baseURL}`);
+            window.dispatchEvent(new CustomEvent('apiEndpointChange', {
+                detail: { ...endpoint }
+            }));
+        }
+        
+        if (this.container?.isConnected) {
+            this.renderForm();
+        }
+    }
+    
+    /* ========================================
+       Deploy Configuration
+       ======================================== */
+    
+    // config.json is optional; a missing or broken file means no configuration
+    async loadRemoteConfig() {
+        try {
+            const response = await fetch(this.configURL, { cache: 'no-store' });
+            if (!response.ok) return null;
+            
+            const config = await response.json();
+            return config && typeof config === 'object' ? config : null;
+        } catch (error) {
+            console.warn('⚠️ Could not load config.json:', error);
+            return null;
+        }
+    }
+    
+    // { name: url } pairs add profiles or replace the URL of a built-in one
+    mergeProfiles(profiles) {
+        for (const [name, value] of Object.entries(profiles || {})) {
+            const baseURL = this.normalizeURL(value);
+            const key = name.toLowerCase();
+            
+            if (!baseURL) {
+                console.warn(`⚠️ Ignoring invalid URL for API profile "${name}":`, value);
+                continue;
+            }
+            
+            this.profiles[key] = { label: this.profiles[key]?.label || name, baseURL };
+        }
+    }
+    
+    /* ========================================
+       Switching
+       ======================================== */
+    
+    // Saves the choice only once the backend answers a health check
+    async switchTo(value, { signal } = {}) {
+        const endpoint = this.parse(value);
+        
+        if (!endpoint) {
+            return { success: false, error: 'Địa chỉ không hợp lệ, hãy nhập URL bắt đầu bằng http:// hoặc https://' };
+        }
+        
+        const health = await window.FoodNinjaAPI.healthCheck({ baseURL: endpoint.baseURL, signal });
+        
+        if (!health.success) {
+            return { success: false, error: `Không kết nối được ${endpoint.baseURL}: ${health.error}` };
+        }
+        
+        window.FoodNinjaUtils.storage.set(this.storageKey, endpoint.profile || endpoint.baseURL);
+        this.apply(this.resolve());
+        
+        return { success: true, endpoint: this.active };
+    }
+    
+    // Forget the saved choice and fall back to config.json or auto-detection
+    reset() {
+        window.FoodNinjaUtils.storage.remove(this.storageKey);
+        this.apply(this.resolve());
+        return this.active;
+    }
+    
+    getActive() {
+        return { ...this.active };
+    }
+    
+    describe(endpoint = this.active) {
+        return endpoint.profile ? this.profiles[endpoint.profile].label : 'Tùy chỉnh';
+    }
+    
+    /* ========================================
+       Settings UI
+       ======================================== */
+    
+    renderSettings(container) {
+        if (!container) return false;
+        
+        if (!this.container?.isConnected || !container.contains(this.container)) {
+            this.container = document.createElement('div');
+            this.container.className = 'settings-group endpoint-settings';
+            container.appendChild(this.container);
+        }
+        
+        this.renderForm();
+        return true;
+    }
+    
+    renderForm() {
+        const { Utils } = window.FoodNinjaUtils;
+        const active = this.active;
+        const saved = window.FoodNinjaUtils.storage.get(this.storageKey);
+        const savedEndpoint = this.parse(saved);
+        const selected = !savedEndpoint ? 'auto' : savedEndpoint.profile || 'custom';
+        const autoURL = this.getAutoEndpoint().baseURL;
+        
+        this.container.innerHTML = `
+            <h6>
+                <i class="fas fa-server me-2"></i>
+                Máy chủ API
+            </h6>
+            <p class="endpoint-active">
+                Đang dùng: <strong>${Utils.escapeHTML(this.describe())}</strong>
+                <code>${Utils.escapeHTML(active.baseURL)}</code>
+                <small class="text-muted">(theo ${this.sourceLabels[active.source]})</small>
+            </p>
+            ${active.source === 'query' ? `
+                <p class="endpoint-hint text-warning">
+                    <i class="fas fa-exclamation-triangle me-1"></i>
+                    Tham số ?api= trên địa chỉ trang đang được ưu tiên hơn lựa chọn bên dưới.
+                </p>
+            ` : ''}
+            <form class="endpoint-form">
+                <div class="setting-item">
+                    <label class="form-label" for="apiProfile">Môi trường</label>
+                    <select class="form-select" id="apiProfile" name="profile">
+                        <option value="auto" ${selected === 'auto' ? 'selected' : ''}>Tự động (${Utils.escapeHTML(autoURL)})</option>
+                        ${Object.entries(this.profiles).map(([name, profile]) => `
+                            <option value="${Utils.escapeHTML(name)}" ${selected === name ? 'selected' : ''}>${Utils.escapeHTML(profile.label)} (${Utils.escapeHTML(profile.baseURL)})</option>
+                        `).join('')}
+                        <option value="custom" ${selected === 'custom' ? 'selected' : ''}>Địa chỉ khác...</option>
+                    </select>
+                </div>
+                <div class="setting-item" ${selected === 'custom' ? '' : 'hidden'}>
+                    <label class="form-label" for="apiCustomURL">Địa chỉ máy chủ</label>
+                    <input type="url" class="form-control" id="apiCustomURL" name="url"
+                        placeholder="https://your-backend.onrender.com" value="${selected === 'custom' ? Utils.escapeHTML(savedEndpoint.baseURL) : ''}">
+                </div>
+                <button type="submit" class="btn btn-primary btn-sm">
+                    <i class="fas fa-plug me-1"></i>
+                    Kiểm tra và áp dụng
+                </button>
+                <small class="endpoint-status text-muted ms-2" role="status"></small>
+            </form>
+        `;
+        
+        const form = this.container.querySelector('.endpoint-form');
+        
+        form.elements.profile.addEventListener('change', () => {
+            form.elements.url.closest('.setting-item').hidden = form.elements.profile.value !== 'custom';
+        });
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit(form);
+        });
+    }
+    
+    async handleSubmit(form) {
+        const { notifications } = window.FoodNinjaUtils;
+        const profile = form.elements.profile.value;
+        const status = form.querySelector('.endpoint-status');
+        
+        if (profile === 'auto') {
+            this.reset();
+            notifications.show(`Đã chuyển về máy chủ mặc định: ${this.active.baseURL}`, 'success');
+            return;
+        }
+        
+        const controls = form.querySelectorAll('select, input, button');
+        controls.forEach(control => { control.disabled = true; });
+        status.textContent = 'Đang kiểm tra kết nối...';
+        
+        const result = await this.switchTo(profile === 'custom' ? form.elements.url.value : profile);
+        
+        // A successful switch has already re-rendered the form
+        if (result.success) {
+            notifications.show(`Đã chuyển sang máy chủ ${result.endpoint.baseURL}`, 'success');
+            return;
+        }
+        
+        controls.forEach(control => { control.disabled = false; });
+        status.textContent = '';
+        notifications.show(result.error, 'error');
+    }
+}
+
+/* ========================================
+   Export Endpoint Configuration
+   ======================================== */
+
+const endpointConfig = new EndpointConfigManager();
+
+// Global functions for easy access
+window.EndpointConfig = {
+    instance: endpointConfig,
+    ready: endpointConfig.ready,
+    getActive: () => endpointConfig.getActive(),
+    switchTo: (value, options) => endpointConfig.switchTo(value, options),
+    reset: () => endpointConfig.reset(),
+    renderSettings: (container) => endpointConfig.renderSettings(container)
+};
+
+console.log('🖥️ Endpoint Config module loaded successfully!');
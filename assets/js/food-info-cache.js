@@ -0,0 +1,97 @@
+/* ========================================
+   Food Ninja - Nutrition and Advice Cache
+   ======================================== */
+
+// Nutrition lookups and AI advice keyed by normalized food name. Fresh entries
+// are served instead of calling the API again; stale ones only stand in when
+// the API is unreachable or the AI call failed.
+class FoodInfoCacheManager {
+    constructor() {
+        this.store = new window.FoodNinjaUtils.IndexedDBStore('food_ninja_food_info', 'entries', {
+            keyPath: 'key',
+            indexes: [
+                { name: 'lastUsedAt', keyPath: 'lastUsedAt' }
+            ]
+        });
+        
+        this.ttl = {
+            nutrition: 30 * 24 * 60 * 60 * 1000,
+            advice: 14 * 24 * 60 * 60 * 1000
+        };
+        this.maxEntries = 300;
+    }
+    
+    // version separates entries made by different prompt templates
+    getKey(kind, name, version = 0) {
+        const text = window.FoodNinjaUtils.Utils.normalizeText(name);
+        return text ? `${kind}:v${version}:${text}` : null;
+    }
+    
+    // { value, createdAt, stale } or null; stale entries only with allowStale. Never throws.
+    async get(kind, name, { allowStale = false, version } = {}) {
+        const key = this.getKey(kind, name, version);
+        if (!key || !window.FoodNinjaUtils.IndexedDBStore.isSupported()) return null;
+        
+        try {
+            const record = await this.store.get(key);
+            if (!record) return null;
+            
+            const stale = Date.now() - record.createdAt > this.ttl[kind];
+            if (stale && !allowStale) return null;
+            
+            await this.store.put({ ...record, lastUsedAt: Date.now() });
+            console.log(`📦 ${kind} cache hit${stale ? ' (stale)' : ''}: ${name}`);
+            
+            return { value: record.value, createdAt: record.createdAt, stale };
+        } catch (error) {
+            console.warn(`⚠️ ${kind} cache lookup failed:`, error);
+            return null;
+        }
+    }
+    
+    async set(kind, name, value, { version } = {}) {
+        const key = this.getKey(kind, name, version);
+        if (!key || !window.FoodNinjaUtils.IndexedDBStore.isSupported()) return;
+        
+        const now = Date.now();
+        
+        try {
+            await this.store.put({ key, kind, name, value, createdAt: now, lastUsedAt: now });
+            await this.prune();
+        } catch (error) {
+            console.warn(`⚠️ Could not cache ${kind}:`, error);
+        }
+    }
+    
+    // Stale entries are kept as fallbacks; only the least recently used go
+    async prune() {
+        const count = await this.store.count();
+        if (count <= this.maxEntries) return;
+        
+        const records = (await this.store.getAll()).sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+        
+        for (const record of records.slice(0, count - this.maxEntries)) {
+            await this.store.delete(record.key);
+        }
+    }
+    
+    clear() {
+        return this.store.clear();
+    }
+}
+
+/* ========================================
+   Export Food Info Cache
+   ======================================== */
+
+const foodInfoCache = new FoodInfoCacheManager();
+
+// Global functions for easy access
+window.FoodInfoCache = {
+    instance: foodInfoCache,
+    get: (kind, name, options) => foodInfoCache.get(kind, name, options),
+    set: (kind, name, value, options) => foodInfoCache.set(kind, name, value, options),
+    clear: () => foodInfoCache.clear()
+};
+
+console.log('🥗 Food Info Cache module loaded successfully!');
@@ -0,0 +1,244 @@
+/* ========================================
+   Food Ninja - Food Name Search
+   ======================================== */
+
+class FoodSearchManager {
+    constructor() {
+        // Vietnamese names with the English query CalorieNinjas understands
+        this.dictionary = [
+            { vi: 'Phở bò', en: 'beef pho' },
+            { vi: 'Phở gà', en: 'chicken pho' },
+            { vi: 'Bún bò Huế', en: 'beef noodle soup' },
+            { vi: 'Bún chả', en: 'grilled pork with rice noodles' },
+            { vi: 'Bún riêu', en: 'crab noodle soup' },
+            { vi: 'Hủ tiếu', en: 'pork noodle soup' },
+            { vi: 'Mì Quảng', en: 'turmeric noodles with pork and shrimp' },
+            { vi: 'Mì xào', en: 'stir fried noodles' },
+            { vi: 'Cơm trắng', en: 'white rice' },
+            { vi: 'Cơm tấm sườn', en: 'broken rice with grilled pork chop' },
+            { vi: 'Cơm chiên', en: 'fried rice' },
+            { vi: 'Cơm gà', en: 'chicken rice' },
+            { vi: 'Xôi', en: 'sticky rice' },
+            { vi: 'Cháo gà', en: 'chicken congee' },
+            { vi: 'Bánh mì thịt', en: 'pork banh mi sandwich' },
+            { vi: 'Bánh mì trứng', en: 'egg sandwich' },
+            { vi: 'Bánh cuốn', en: 'steamed rice rolls' },
+            { vi: 'Bánh xèo', en: 'vietnamese crepe' },
+            { vi: 'Gỏi cuốn', en: 'shrimp spring roll' },
+            { vi: 'Chả giò', en: 'fried spring roll' },
+            { vi: 'Thịt kho trứng', en: 'braised pork with egg' },
+            { vi: 'Cá kho', en: 'braised fish' },
+            { vi: 'Gà rán', en: 'fried chicken' },
+            { vi: 'Gà luộc', en: 'boiled chicken' },
+            { vi: 'Thịt bò xào', en: 'stir fried beef' },
+            { vi: 'Đậu phụ', en: 'tofu' },
+            { vi: 'Trứng luộc', en: 'boiled egg' },
+            { vi: 'Trứng chiên', en: 'fried egg' },
+            { vi: 'Rau muống xào', en: 'stir fried water spinach' },
+            { vi: 'Canh chua', en: 'sour fish soup' },
+            { vi: 'Salad', en: 'salad' },
+            { vi: 'Chuối', en: 'banana' },
+            { vi: 'Táo', en: 'apple' },
+            { vi: 'Cam', en: 'orange' },
+            { vi: 'Xoài', en: 'mango' },
+            { vi: 'Dưa hấu', en: 'watermelon' },
+            { vi: 'Sữa tươi', en: 'milk' },
+            { vi: 'Sữa chua', en: 'yogurt' },
+            { vi: 'Cà phê sữa', en: 'coffee with condensed milk' },
+            { vi: 'Trà sữa', en: 'bubble tea' },
+            { vi: 'Nước cam', en: 'orange juice' },
+            { vi: 'Pizza', en: 'pizza' },
+            { vi: 'Hamburger', en: 'hamburger' },
+            { vi: 'Khoai tây chiên', en: 'french fries' },
+            { vi: 'Mì ăn liền', en: 'instant noodles' },
+            { vi: 'Bánh bao', en: 'steamed pork bun' },
+            { vi: 'Yến mạch', en: 'oatmeal' },
+            { vi: 'Khoai lang', en: 'sweet potato' }
+        ].map(entry => ({
+            ...entry,
+            keys: [entry.vi, entry.en].map(name => window.FoodNinjaUtils.Utils.normalizeText(name))
+        }));
+        
+        this.maxSuggestions = 8;
+    }
+    
+    /* ========================================
+       Suggestions
+       ======================================== */
+    
+    // Prefix matches first, then word-start matches, then anywhere in the name
+    getSuggestions(query, limit = this.maxSuggestions) {
+        const text = window.FoodNinjaUtils.Utils.normalizeText(query);
+        if (!text) return [];
+        
+        const scored = [];
+        
+        for (const entry of this.dictionary) {
+            let best = Infinity;
+            
+            for (const key of entry.keys) {
+                if (key.startsWith(text)) {
+                    best = Math.min(best, 0);
+                } else if (key.includes(` ${text}`)) {
+                    best = Math.min(best, 1);
+                } else if (key.includes(text)) {
+                    best = Math.min(best, 2);
+                }
+            }
+            
+            if (best !== Infinity) {
+                scored.push({ entry, score: best });
+            }
+        }
+        
+        return scored
+            .sort((a, b) => a.score - b.score || a.entry.vi.localeCompare(b.entry.vi, 'vi'))
+            .slice(0, limit)
+            .map(({ entry }) => ({ vi: entry.vi, en: entry.en }));
+    }
+    
+    findExact(query) {
+        const text = window.FoodNinjaUtils.Utils.normalizeText(query);
+        const entry = this.dictionary.find(item => item.keys.includes(text));
+        return entry ? { vi: entry.vi, en: entry.en } : null;
+    }
+    
+    /* ========================================
+       Search UI
+       ======================================== */
+    
+    // onSearch(query, foodName) is called with the API query and the display name
+    renderSearch(container, onSearch) {
+        if (!container || container.querySelector('.food-search')) return false;
+        
+        const { Utils } = window.FoodNinjaUtils;
+        
+        const form = document.createElement('form');
+        form.className = 'food-search';
+        form.setAttribute('role', 'search');
+        form.innerHTML = `
+            <div class="food-search-field input-group">
+                <span class="input-group-text"><i class="fas fa-search"></i></span>
+                <input type="search" class="form-control" name="query" placeholder="Tra cứu theo tên món, ví dụ: phở bò, banana..."
+                    autocomplete="off" role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="foodSearchSuggestions" required>
+                <button type="submit" class="btn btn-primary">Tra cứu</button>
+            </div>
+            <ul class="food-search-suggestions" id="foodSearchSuggestions" role="listbox" hidden></ul>
+        `;
+        
+        const input = form.elements.query;
+        const list = form.querySelector('.food-search-suggestions');
+        let suggestions = [];
+        let activeIndex = -1;
+        
+        const hideSuggestions = () => {
+            list.hidden = true;
+            activeIndex = -1;
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+        };
+        
+        const showSuggestions = () => {
+            suggestions = this.getSuggestions(input.value);
+            activeIndex = -1;
+            
+            list.innerHTML = suggestions.map(({ vi, en }, index) => `
+                <li class="food-search-suggestion" id="foodSearchSuggestion-${index}" role="option" data-index="${index}">
+                    <span>${Utils.escapeHTML(vi)}</span>
+                    <small class="text-muted">${Utils.escapeHTML(en)}</small>
+                </li>
+            `).join('');
+            
+            list.hidden = suggestions.length === 0;
+            input.setAttribute('aria-expanded', String(suggestions.length > 0));
+        };
+        
+        const highlight = (index) => {
+            activeIndex = (index + suggestions.length) % suggestions.length;
+            
+            list.querySelectorAll('.food-search-suggestion').forEach((item, i) => {
+                item.classList.toggle('active', i === activeIndex);
+                item.setAttribute('aria-selected', String(i === activeIndex));
+            });
+            input.setAttribute('aria-activedescendant', `foodSearchSuggestion-${activeIndex}`);
+        };
+        
+        const search = async (query, foodName) => {
+            hideSuggestions();
+            input.value = foodName;
+            
+            const controls = form.querySelectorAll('input, button');
+            controls.forEach(control => { control.disabled = true; });
+            
+            try {
+                await onSearch(query, foodName);
+            } finally {
+                controls.forEach(control => { control.disabled = false; });
+            }
+        };
+        
+        input.addEventListener('input', showSuggestions);
+        input.addEventListener('blur', hideSuggestions);
+        
+        input.addEventListener('keydown', (e) => {
+            if (list.hidden) return;
+            
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    highlight(activeIndex + 1);
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    highlight(activeIndex - 1);
+                    break;
+                case 'Escape':
+                    hideSuggestions();
+                    break;
+            }
+        });
+        
+        // mousedown fires before the input loses focus and hides the list
+        list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.food-search-suggestion');
+            if (!item) return;
+            
+            e.preventDefault();
+            const { vi, en } = suggestions[Number(item.dataset.index)];
+            search(en, vi);
+        });
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            const match = suggestions[activeIndex] && !list.hidden
+                ? suggestions[activeIndex]
+                : this.findExact(input.value);
+            
+            if (match) {
+                search(match.en, match.vi);
+            } else if (input.value.trim()) {
+                search(input.value.trim(), input.value.trim());
+            }
+        });
+        
+        container.prepend(form);
+        return true;
+    }
+}
+
+/* ========================================
+   Export Food Search Manager
+   ======================================== */
+
+const foodSearchManager = new FoodSearchManager();
+
+// Global functions for easy access
+window.FoodSearch = {
+    instance: foodSearchManager,
+    getSuggestions: (query, limit) => foodSearchManager.getSuggestions(query, limit),
+    findExact: (query) => foodSearchManager.findExact(query),
+    renderSearch: (container, onSearch) => foodSearchManager.renderSearch(container, onSearch)
+};
+
+console.log('🔍 Food Search module loaded successfully!');
@@ -0,0 +1,430 @@
+/* ========================================
+   Food Ninja - Meal History
+   ======================================== */
+
+class HistoryManager {
+    constructor() {
+        this.store = new window.FoodNinjaUtils.IndexedDBStore('food_ninja_history', 'entries', {
+            keyPath: 'id',
+            indexes: [
+                { name: 'timestamp', keyPath: 'timestamp' }
+            ]
+        });
+        
+        this.pageSize = 20;
+        this.container = null;
+        this.observer = null;
+        
+        // Current listing state
+        this.filters = { query: '', from: null, to: null, deleted: false };
+        this.cursor = null;
+        this.hasMore = true;
+        this.isLoading = false;
+        this.generation = 0;
+    }
+    
+    /* ========================================
+       Entry Storage
+       ======================================== */
+    
+    async addEntry(result, imageFile = null) {
+        const { ImageProcessor, Utils } = window.FoodNinjaUtils;
+        
+        const entry = {
+            id: Utils.generateId(),
+            timestamp: Date.now(),
+            foodName: result.foodName || '',
+            searchName: Utils.normalizeText(result.foodName),
+            confidence: result.confidence ?? null,
+            lowConfidence: !!result.lowConfidence,
+            nutrition: result.nutrition || null,
+            baseNutrition: result.baseNutrition || null,
+            portion: result.portion || null,
+            aiAdvice: result.aiAdvice || '',
+            thumbnail: await ImageProcessor.createThumbnail(imageFile),
+            deleted: false,
+            deletedAt: null
+        };
+        
+        await this.store.put(entry);
+        this.notifyUpdate('added', entry);
+        
+        console.log('📋 History entry saved:', entry.id);
+        return entry;
+    }
+    
+    async updateEntry(id, changes) {
+        const entry = await this.store.get(id);
+        if (!entry) {
+            throw new Error(`History entry not found: ${id}`);
+        }
+        
+        const updated = { ...entry, ...changes, id };
+        if ('foodName' in changes) {
+            updated.searchName = window.FoodNinjaUtils.Utils.normalizeText(changes.foodName);
+        }
+        
+        await this.store.put(updated);
+        this.notifyUpdate('updated', updated);
+        return updated;
+    }
+    
+    getEntry(id) {
+        return this.store.get(id);
+    }
+    
+    deleteEntry(id) {
+        return this.updateEntry(id, { deleted: true, deletedAt: Date.now() });
+    }
+    
+    restoreEntry(id) {
+        return this.updateEntry(id, { deleted: false, deletedAt: null });
+    }
+    
+    async purgeEntry(id) {
+        await this.store.delete(id);
+        this.notifyUpdate('purged', { id });
+    }
+    
+    // Newest first; pass the last entry of a page as `before` to get the next one
+    async getEntries(options = {}) {
+        const {
+            query = '',
+            from = null,
+            to = null,
+            deleted = false,
+            before = null,
+            limit = this.pageSize
+        } = options;
+        
+        // Entries sharing the cursor's timestamp are told apart by id
+        const upper = before !== null && (to === null || before.timestamp <= to) ? before.timestamp : to;
+        const after = before !== null ? { key: before.timestamp, primaryKey: before.id } : null;
+        
+        let range = null;
+        if (from !== null && upper !== null) {
+            range = IDBKeyRange.bound(from, upper);
+        } else if (from !== null) {
+            range = IDBKeyRange.lowerBound(from);
+        } else if (upper !== null) {
+            range = IDBKeyRange.upperBound(upper);
+        }
+        
+        const needle = window.FoodNinjaUtils.Utils.normalizeText(query);
+        const entries = [];
+        let hasMore = false;
+        
+        await this.store.iterate('timestamp', { range, direction: 'prev', after }, (entry) => {
+            if (!!entry.deleted !== deleted) return true;
+            if (needle && !(entry.searchName || '').includes(needle)) return true;
+            
+            if (entries.length >= limit) {
+                hasMore = true;
+                return false;
+            }
+            
+            entries.push(entry);
+            return true;
+        });
+        
+        return { entries, hasMore };
+    }
+    
+    notifyUpdate(action, entry) {
+        window.dispatchEvent(new CustomEvent('historyUpdated', {
+            detail: { action, entry }
+        }));
+    }
+    
+    /* ========================================
+       History View
+       ======================================== */
+    
+    renderView(container) {
+        if (!container) return false;
+        
+        if (this.container !== container) {
+            this.container = container;
+            container.innerHTML = this.createViewMarkup();
+            this.bindViewEvents();
+        }
+        
+        this.reload();
+        return true;
+    }
+    
+    createViewMarkup() {
+        return `
+            <div class="history-header">
+                <h5>
+                    <i class="fas fa-history me-2"></i>
+                    Lịch sử phân tích
+                </h5>
+            </div>
+            <div class="history-toolbar">
+                <input type="search" class="form-control" data-filter="query" placeholder="Tìm theo tên món...">
+                <input type="date" class="form-control" data-filter="from" title="Từ ngày">
+                <input type="date" class="form-control" data-filter="to" title="Đến ngày">
+                <div class="form-check">
+                    <input type="checkbox" class="form-check-input" id="historyShowDeleted" data-filter="deleted">
+                    <label class="form-check-label" for="historyShowDeleted">Đã xóa</label>
+                </div>
+                <button class="btn btn-outline-secondary btn-sm" data-action="export">
+                    <i class="fas fa-file-export me-1"></i>
+                    Xuất JSON
+                </button>
+            </div>
+            <div class="history-list"></div>
+            <p class="history-empty text-muted hidden">Không có kết quả nào.</p>
+            <div class="history-sentinel">
+                <button class="btn btn-link hidden" data-action="load-more">Tải thêm</button>
+            </div>
+        `;
+    }
+    
+    bindViewEvents() {
+        const { Utils } = window.FoodNinjaUtils;
+        const applyFilters = Utils.debounce(() => this.readFilters(), 250);
+        
+        this.container.querySelectorAll('[data-filter]').forEach(input => {
+            input.addEventListener(input.type === 'search' ? 'input' : 'change', applyFilters);
+        });
+        
+        this.container.addEventListener('click', (e) => this.handleViewClick(e));
+        
+        // Infinite scroll
+        const sentinel = this.container.querySelector('.history-sentinel');
+        if ('IntersectionObserver' in window && sentinel) {
+            this.observer = new IntersectionObserver((observed) => {
+                if (observed.some(item => item.isIntersecting)) {
+                    this.loadNextPage();
+                }
+            }, { rootMargin: '200px' });
+            this.observer.observe(sentinel);
+        }
+        
+        window.addEventListener('historyUpdated', (e) => {
+            if (e.detail.action === 'added' && this.container?.isConnected) {
+                this.reload();
+            }
+        });
+    }
+    
+    readFilters() {
+        const value = (name) => this.container.querySelector(`[data-filter="${name}"]`);
+        const from = value('from').value;
+        const to = value('to').value;
+        
+        this.filters = {
+            query: value('query').value,
+            from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+            to: to ? new Date(`${to}T23:59:59.999`).getTime() : null,
+            deleted: value('deleted').checked
+        };
+        
+        this.reload();
+    }
+    
+    reload() {
+        if (!this.container) return;
+        
+        // Pages still in flight for the previous filters are discarded
+        this.generation++;
+        this.container.querySelector('.history-list').innerHTML = '';
+        this.cursor = null;
+        this.hasMore = true;
+        this.isLoading = false;
+        this.loadNextPage();
+    }
+    
+    async loadNextPage() {
+        if (!this.container || this.isLoading || !this.hasMore) return;
+        
+        this.isLoading = true;
+        const generation = this.generation;
+        
+        try {
+            const { entries, hasMore } = await this.getEntries({
+                ...this.filters,
+                before: this.cursor
+            });
+            
+            if (generation !== this.generation) return;
+            
+            const list = this.container.querySelector('.history-list');
+            entries.forEach(entry => list.appendChild(this.createEntryElement(entry)));
+            
+            this.hasMore = hasMore;
+            if (entries.length > 0) {
+                const last = entries[entries.length - 1];
+                this.cursor = { timestamp: last.timestamp, id: last.id };
+            }
+            
+            this.container.querySelector('.history-empty')
+                .classList.toggle('hidden', list.children.length > 0);
+            this.container.querySelector('[data-action="load-more"]')
+                .classList.toggle('hidden', !hasMore);
+        
+        } catch (error) {
+            console.error('❌ Failed to load history:', error);
+            this.hasMore = false;
+        } finally {
+            if (generation === this.generation) {
+                this.isLoading = false;
+            }
+        }
+    }
+    
+    createEntryElement(entry) {
+        const { DateUtils, Utils } = window.FoodNinjaUtils;
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        item.dataset.id = entry.id;
+        item.dataset.action = entry.deleted ? '' : 'open';
+        
+        const calories = this.getTotalCalories(entry.nutrition);
+        const confidence = entry.confidence !== null ? `${Math.round(entry.confidence * 100)}%` : '—';
+        
+        const actions = entry.deleted ? `
+            <button class="btn btn-sm btn-outline-success" data-action="restore" title="Khôi phục">
+                <i class="fas fa-undo"></i>
+            </button>
+            <button class="btn btn-sm btn-outline-danger" data-action="purge" title="Xóa vĩnh viễn">
+                <i class="fas fa-trash"></i>
+            </button>
+        ` : `
+            <button class="btn btn-sm btn-outline-danger" data-action="delete" title="Xóa">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+        
+        item.innerHTML = `
+            <div class="history-item-header">
+                ${entry.thumbnail ? `<img class="history-thumbnail" src="${entry.thumbnail}" alt="">` : ''}
+                <div class="flex-grow-1">
+                    <div class="history-food-name">${Utils.escapeHTML(entry.foodName || 'Không xác định')}</div>
+                    <div class="history-date">${DateUtils.formatDate(entry.timestamp, 'dd/mm/yyyy hh:mm')}</div>
+                </div>
+                <div class="history-item-actions">${actions}</div>
+            </div>
+            <div class="history-summary">
+                <div class="history-stat">
+                    <span class="history-stat-value">${calories !== null ? Math.round(calories) : '—'}</span>
+                    <div class="history-stat-label">Calo</div>
+                </div>
+                <div class="history-stat">
+                    <span class="history-stat-value">${confidence}</span>
+                    <div class="history-stat-label">Tin cậy</div>
+                </div>
+            </div>
+        `;
+        
+        return item;
+    }
+    
+    getTotalCalories(nutrition) {
+        const { NutritionUtils } = window.FoodNinjaUtils;
+        const items = NutritionUtils.getItems(nutrition);
+        
+        return items.length > 0 ? NutritionUtils.sumItems(items).calories : null;
+    }
+    
+    async handleViewClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target || !target.dataset.action) return;
+        
+        const item = target.closest('.history-item');
+        const id = item?.dataset.id;
+        
+        try {
+            switch (target.dataset.action) {
+                case 'open':
+                    this.openEntry(id);
+                    break;
+                case 'delete':
+                    e.stopPropagation();
+                    await this.deleteEntry(id);
+                    this.showUndo(item);
+                    break;
+                case 'restore':
+                    e.stopPropagation();
+                    await this.restoreEntry(id);
+                    item.remove();
+                    if (!this.filters.deleted) this.reload();
+                    break;
+                case 'purge':
+                    e.stopPropagation();
+                    await this.purgeEntry(id);
+                    item.remove();
+                    break;
+                case 'load-more':
+                    this.loadNextPage();
+                    break;
+                case 'export':
+                    this.exportEntries();
+                    break;
+            }
+        } catch (error) {
+            console.error('❌ History action failed:', error);
+        }
+    }
+    
+    showUndo(item) {
+        item.dataset.action = '';
+        item.classList.add('history-item-deleted');
+        item.innerHTML = `
+            <span class="text-muted">Đã xóa mục này.</span>
+            <button class="btn btn-sm btn-link" data-action="restore">Hoàn tác</button>
+        `;
+    }
+    
+    async openEntry(id) {
+        const entry = await this.getEntry(id);
+        if (!entry) return;
+        
+        window.dispatchEvent(new CustomEvent('historyEntrySelected', {
+            detail: entry
+        }));
+    }
+    
+    async exportEntries() {
+        const entries = await this.store.getAll();
+        const exportData = {
+            timestamp: new Date().toISOString(),
+            entries: entries.filter(entry => !entry.deleted),
+            version: '1.0'
+        };
+        
+        const blob = new Blob([JSON.stringify(exportData, null, 2)], {
+            type: 'application/json'
+        });
+        
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `food-ninja-history-${new Date().toISOString().split('T')[0]}.json`;
+        a.click();
+        
+        URL.revokeObjectURL(url);
+    }
+}
+
+/* ========================================
+   Export History Manager
+   ======================================== */
+
+const historyManager = new HistoryManager();
+
+// Global functions for easy access
+window.HistoryManager = {
+    instance: historyManager,
+    addEntry: (result, imageFile) => historyManager.addEntry(result, imageFile),
+    updateEntry: (id, changes) => historyManager.updateEntry(id, changes),
+    getEntry: (id) => historyManager.getEntry(id),
+    getEntries: (options) => historyManager.getEntries(options),
+    deleteEntry: (id) => historyManager.deleteEntry(id),
+    restoreEntry: (id) => historyManager.restoreEntry(id),
+    renderView: (container) => historyManager.renderView(container)
+};
+
+console.log('📋 History Manager module loaded successfully!');
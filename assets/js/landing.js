@@ -5,6 +5,15 @@
 document.addEventListener('DOMContentLoaded', function() {
     console.log('🍃 Food Ninja Landing Page loaded');
     
+    // Scroll-in animations
+    if (window.AOS) {
+        AOS.init({
+            duration: 1000,
+            once: true,
+            offset: 100
+        });
+    }
+    
     // Initialize all components
     initNavbar();
     initSmoothScrolling();
@@ -88,6 +97,10 @@ function initSmoothScrolling() {
             });
         }
     };
+    
+    document.querySelectorAll('[data-action="scroll-to-demo"]').forEach(button => {
+        button.addEventListener('click', window.scrollToDemo);
+    });
 }
 
 /* ========================================
@@ -284,21 +297,6 @@ function initCTAButtons() {
             }, 600);
         });
     });
-    
-    // Add ripple animation CSS
-    if (!document.querySelector('#ripple-styles')) {
-        const style = document.createElement('style');
-        style.id = 'ripple-styles';
-        style.textContent = `
-            @keyframes ripple {
-                to {
-                    transform: scale(2);
-                    opacity: 0;
-                }
-            }
-        `;
-        document.head.appendChild(style);
-    }
 }
 
 /* ========================================
@@ -471,6 +469,13 @@ document.addEventListener('DOMContentLoaded', function() {
     initFormInteractions();
     initScrollIndicator();
     initLazyLoading();
+    
+    // Development helpers from js/pwa-debugger.js
+    if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+        console.log('🎨 Development mode - PWA Debugger loaded');
+        console.log('💡 Run: pwaDebugger.generateAllIcons() to create all icons');
+        console.log('🔍 Run: pwaDebugger.checkPWAStatus() to check PWA status');
+    }
 });
 
 // Handle page visibility for performance
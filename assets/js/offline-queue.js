@@ -0,0 +1,321 @@
+/* ========================================
+   Food Ninja - Offline Analysis Queue
+   ======================================== */
+
+// Photos analysed while offline wait here until they can be sent. The service
+// worker opens the same database to replay them on background sync.
+class OfflineQueueManager {
+    constructor() {
+        this.store = new window.FoodNinjaUtils.IndexedDBStore('food_ninja_offline', 'analyses', {
+            keyPath: 'id',
+            indexes: [
+                { name: 'createdAt', keyPath: 'createdAt' }
+            ]
+        });
+        
+        this.syncTag = 'background-sync';
+        
+        // A replay that has not finished by then is considered abandoned
+        this.processingTimeout = 2 * 60 * 1000;
+        
+        this.statusLabels = {
+            pending: 'Đang chờ mạng',
+            processing: 'Đang phân tích...',
+            failed: 'Phân tích thất bại',
+            done: 'Đã phân tích'
+        };
+        
+        this.container = null;
+        this.isReplaying = false;
+        
+        this.init();
+    }
+    
+    init() {
+        if (!window.FoodNinjaUtils.IndexedDBStore.isSupported()) return;
+        
+        window.FoodNinjaUtils.network.onStatusChange((status) => {
+            if (status === 'online') {
+                this.handleOnline();
+            }
+        });
+        
+        navigator.serviceWorker?.addEventListener('message', (event) => {
+            if (event.data?.type === 'OFFLINE_ANALYSIS_COMPLETE' || event.data?.type === 'OFFLINE_ANALYSIS_FAILED') {
+                this.collectCompleted();
+            }
+        });
+        
+        // Results replayed by the service worker while no page was open
+        this.collectCompleted();
+    }
+    
+    static supportsBackgroundSync() {
+        return 'serviceWorker' in navigator && 'SyncManager' in window;
+    }
+    
+    /* ========================================
+       Queue Operations
+       ======================================== */
+    
+    async enqueue(imageFile) {
+        const { Utils } = window.FoodNinjaUtils;
+        
+        if (!imageFile) {
+            throw new Error('No image file provided');
+        }
+        
+        const entry = {
+            id: Utils.generateId(),
+            createdAt: Date.now(),
+            status: 'pending',
+            image: imageFile,
+            fileName: imageFile.name || 'photo.jpg',
+            type: imageFile.type,
+            // The service worker cannot read the API configuration
+            url: `${window.FoodNinjaAPI.api.baseURL}/predict`,
+            attempts: 0,
+            lastError: null,
+            claimedAt: null
+        };
+        
+        await this.store.put(entry);
+        this.notifyUpdate();
+        await this.requestSync();
+        
+        console.log('📥 Analysis queued for later:', entry.id);
+        return entry;
+    }
+    
+    async getEntries() {
+        const entries = await this.store.getAll();
+        return entries.sort((a, b) => a.createdAt - b.createdAt);
+    }
+    
+    async remove(id) {
+        await this.store.delete(id);
+        this.notifyUpdate();
+    }
+    
+    async retry(id) {
+        const entry = await this.store.get(id);
+        if (!entry) return;
+        
+        await this.store.put({ ...entry, status: 'pending', lastError: null, claimedAt: null });
+        this.notifyUpdate();
+        
+        if (navigator.onLine) {
+            await this.replay();
+        }
+    }
+    
+    isReplayable(entry) {
+        if (entry.status === 'pending') return true;
+        return entry.status === 'processing' && Date.now() - entry.claimedAt > this.processingTimeout;
+    }
+    
+    /* ========================================
+       Replay
+       ======================================== */
+    
+    async requestSync() {
+        if (!OfflineQueueManager.supportsBackgroundSync()) return false;
+        
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            await registration.sync.register(this.syncTag);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Background sync registration failed:', error);
+            return false;
+        }
+    }
+    
+    async handleOnline() {
+        // Background sync replays in the service worker; otherwise do it here
+        if (!(await this.requestSync())) {
+            await this.replay();
+        }
+    }
+    
+    async replay() {
+        if (this.isReplaying || !navigator.onLine) return;
+        
+        this.isReplaying = true;
+        
+        try {
+            const entries = (await this.getEntries()).filter(entry => this.isReplayable(entry));
+            
+            for (const entry of entries) {
+                const claimed = { ...entry, status: 'processing', claimedAt: Date.now(), attempts: entry.attempts + 1 };
+                await this.store.put(claimed);
+                this.notifyUpdate();
+                
+                const file = new File([entry.image], entry.fileName, { type: entry.type });
+                const result = await window.FoodNinjaAPI.analyzeFood(file);
+                
+                if (result.success) {
+                    await this.complete(claimed, result);
+                } else if (result.code === 'offline' || result.apiError?.retryable) {
+                    // Lost the connection or the server is down, like 5xx replays in the service worker
+                    await this.store.put({ ...claimed, status: 'pending', claimedAt: null });
+                    break;
+                } else {
+                    await this.store.put({ ...claimed, status: 'failed', lastError: result.error });
+                }
+            }
+        } catch (error) {
+            console.error('❌ Offline queue replay failed:', error);
+        } finally {
+            this.isReplaying = false;
+            this.notifyUpdate();
+        }
+    }
+    
+    // Pick up responses the service worker stored, mapping them like a live analysis
+    async collectCompleted() {
+        try {
+            const entries = await this.getEntries();
+            
+            for (const entry of entries.filter(item => item.status === 'done')) {
+                const { api } = window.FoodNinjaAPI;
+                const result = await api.applyCachedAdvice(api.formatPredictionResult(entry.response));
+                
+                if (result.success) {
+                    await this.complete(entry, result);
+                } else {
+                    await this.store.put({ ...entry, status: 'failed', lastError: result.error, response: null });
+                }
+            }
+            
+            this.notifyUpdate();
+        } catch (error) {
+            console.warn('⚠️ Could not collect offline results:', error);
+        }
+    }
+    
+    // Store the result like any other analysis and drop it from the queue
+    async complete(entry, result) {
+        if (window.PortionManager) {
+            window.PortionManager.applyDefaultPortion(result);
+        }
+        
+        if (window.HistoryManager) {
+            const historyEntry = await window.HistoryManager.addEntry(result, entry.image);
+            result.historyId = historyEntry.id;
+        }
+        
+        await this.store.delete(entry.id);
+        
+        window.dispatchEvent(new CustomEvent('offlineAnalysisComplete', {
+            detail: { id: entry.id, result }
+        }));
+        
+        console.log('📤 Offline analysis completed:', result.foodName);
+    }
+    
+    notifyUpdate() {
+        window.dispatchEvent(new CustomEvent('offlineQueueUpdated'));
+        
+        if (this.container?.isConnected) {
+            this.renderList();
+        }
+    }
+    
+    /* ========================================
+       Pending List
+       ======================================== */
+    
+    renderPendingList(container) {
+        if (!container) return false;
+        
+        if (!this.container?.isConnected || !container.contains(this.container)) {
+            this.container = document.createElement('div');
+            this.container.className = 'pending-analyses settings-group';
+            this.container.hidden = true;
+            this.container.addEventListener('click', (e) => this.handleListClick(e));
+            container.appendChild(this.container);
+        }
+        
+        this.renderList();
+        return true;
+    }
+    
+    async renderList() {
+        const { ImageProcessor, DateUtils, Utils } = window.FoodNinjaUtils;
+        const container = this.container;
+        const entries = await this.getEntries();
+        
+        container.hidden = entries.length === 0;
+        if (entries.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const thumbnails = await Promise.all(entries.map(entry => ImageProcessor.createThumbnail(entry.image, 96)));
+        
+        container.innerHTML = `
+            <h6>
+                <i class="fas fa-cloud-upload-alt me-2"></i>
+                Ảnh chờ phân tích (${entries.length})
+            </h6>
+            <ul class="pending-list">
+                ${entries.map((entry, index) => `
+                    <li class="pending-item pending-${entry.status}" data-id="${entry.id}">
+                        ${thumbnails[index] ? `<img src="${thumbnails[index]}" alt="" class="pending-thumbnail">` : ''}
+                        <div class="pending-info">
+                            <span>${this.statusLabels[entry.status] || entry.status}</span>
+                            <small class="text-muted">
+                                ${DateUtils.formatDate(entry.createdAt, 'dd/mm/yyyy hh:mm')}
+                                ${entry.lastError ? ` · ${Utils.escapeHTML(entry.lastError)}` : ''}
+                            </small>
+                        </div>
+                        ${entry.status === 'failed' ? `
+                            <button class="btn btn-sm btn-link" data-action="retry-pending" title="Thử lại">
+                                <i class="fas fa-redo"></i>
+                            </button>
+                        ` : ''}
+                        <button class="btn btn-sm btn-link text-danger" data-action="remove-pending" title="Xóa">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    async handleListClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        
+        const id = target.closest('.pending-item').dataset.id;
+        
+        switch (target.dataset.action) {
+            case 'retry-pending':
+                await this.retry(id);
+                break;
+            case 'remove-pending':
+                await this.remove(id);
+                break;
+        }
+    }
+}
+
+/* ========================================
+   Export Offline Queue
+   ======================================== */
+
+const offlineQueue = new OfflineQueueManager();
+
+// Global functions for easy access
+window.OfflineQueue = {
+    instance: offlineQueue,
+    enqueue: (imageFile) => offlineQueue.enqueue(imageFile),
+    getEntries: () => offlineQueue.getEntries(),
+    remove: (id) => offlineQueue.remove(id),
+    retry: (id) => offlineQueue.retry(id),
+    replay: () => offlineQueue.replay(),
+    renderPendingList: (container) => offlineQueue.renderPendingList(container)
+};
+
+console.log('📥 Offline Queue module loaded successfully!');
@@ -0,0 +1,161 @@
+/* ========================================
+   Food Ninja - Portion Sizes
+   ======================================== */
+
+class PortionManager {
+    constructor() {
+        // Household units with a generic weight in grams
+        this.units = {
+            gram: { label: 'gam', grams: 1 },
+            bowl: { label: 'tô/bát', grams: 350 },
+            plate: { label: 'đĩa', grams: 300 },
+            piece: { label: 'cái/miếng', grams: 100 },
+            cup: { label: 'cốc/ly', grams: 250 }
+        };
+        
+        // Typical servings; more specific names must come first
+        this.dishPresets = [
+            { match: ['pho', 'noodle soup'], unit: 'bowl', grams: { bowl: 500 } },
+            { match: ['bun bo', 'bun rieu', 'hu tieu'], unit: 'bowl', grams: { bowl: 550 } },
+            { match: ['bun cha', 'bun thit nuong'], unit: 'plate', grams: { plate: 450 } },
+            { match: ['mi quang', 'mien', 'bun'], unit: 'bowl', grams: { bowl: 450 } },
+            { match: ['com tam', 'com chien', 'fried rice'], unit: 'plate', grams: { plate: 400 } },
+            { match: ['com', 'rice'], unit: 'bowl', grams: { bowl: 150 } },
+            { match: ['chao', 'porridge', 'congee'], unit: 'bowl', grams: { bowl: 350 } },
+            { match: ['banh mi', 'sandwich', 'burger'], unit: 'piece', grams: { piece: 180 } },
+            { match: ['banh cuon'], unit: 'plate', grams: { plate: 300 } },
+            { match: ['banh xeo'], unit: 'piece', grams: { piece: 200 } },
+            { match: ['goi cuon', 'spring roll'], unit: 'piece', grams: { piece: 60 } },
+            { match: ['cha gio', 'nem ran', 'egg roll'], unit: 'piece', grams: { piece: 40 } },
+            { match: ['xoi', 'sticky rice'], unit: 'piece', grams: { piece: 200 } },
+            { match: ['pizza'], unit: 'piece', grams: { piece: 110 } },
+            { match: ['egg', 'trung'], unit: 'piece', grams: { piece: 50 } },
+            { match: ['banana', 'chuoi'], unit: 'piece', grams: { piece: 120 } },
+            { match: ['apple', 'tao'], unit: 'piece', grams: { piece: 180 } },
+            { match: ['salad', 'goi'], unit: 'plate', grams: { plate: 200 } },
+            { match: ['soup', 'canh'], unit: 'bowl', grams: { bowl: 300 } },
+            { match: ['milk', 'sua', 'juice', 'coffee', 'ca phe', 'tra sua'], unit: 'cup', grams: { cup: 250 } }
+        ];
+    }
+    
+    /* ========================================
+       Presets
+       ======================================== */
+    
+    findPreset(foodName) {
+        const name = window.FoodNinjaUtils.Utils.normalizeText(foodName);
+        if (!name) return null;
+        
+        return this.dishPresets.find(preset =>
+            preset.match.some(key => new RegExp(`\\b${key}\\b`).test(name))
+        ) || null;
+    }
+    
+    // Grams per unit for a dish, with dish-specific weights taking precedence
+    getUnits(foodName) {
+        const preset = this.findPreset(foodName);
+        const units = {};
+        
+        for (const [unit, { label, grams }] of Object.entries(this.units)) {
+            units[unit] = {
+                label,
+                grams: preset?.grams[unit] ?? grams
+            };
+        }
+        
+        return units;
+    }
+    
+    // Weight of the serving CalorieNinjas reported the values for
+    getBaseGrams(nutrition) {
+        const items = window.FoodNinjaUtils.NutritionUtils.getItems(nutrition);
+        const grams = items.reduce((sum, item) => sum + (Number(item.serving_size_g) || 100), 0);
+        return grams || 100;
+    }
+    
+    /* ========================================
+       Portion Application
+       ======================================== */
+    
+    applyPortion(result, { unit, quantity }) {
+        if (!result.baseNutrition) {
+            result.baseNutrition = result.nutrition;
+        }
+        
+        if (!result.baseNutrition) return result;
+        
+        const units = this.getUnits(result.foodName);
+        const unitInfo = units[unit] || units.gram;
+        const amount = Number(quantity) > 0 ? Number(quantity) : 1;
+        const grams = Math.round(amount * unitInfo.grams);
+        const factor = grams / this.getBaseGrams(result.baseNutrition);
+        
+        result.nutrition = window.FoodNinjaUtils.NutritionUtils.scaleNutrition(result.baseNutrition, factor);
+        result.portion = {
+            unit: units[unit] ? unit : 'gram',
+            quantity: amount,
+            grams
+        };
+        
+        return result;
+    }
+    
+    applyDefaultPortion(result) {
+        if (!result.nutrition) return result;
+        
+        const preset = this.findPreset(result.foodName);
+        
+        if (preset) {
+            return this.applyPortion(result, { unit: preset.unit, quantity: 1 });
+        }
+        
+        // Unknown dish: keep the reported serving, expressed in grams
+        return this.applyPortion(result, {
+            unit: 'gram',
+            quantity: this.getBaseGrams(result.nutrition)
+        });
+    }
+    
+    // Treat the current values as the new serving, e.g. after meal items change
+    resetBase(result) {
+        result.baseNutrition = result.nutrition;
+        
+        if (!result.nutrition) {
+            result.portion = null;
+            return result;
+        }
+        
+        const grams = Math.round(this.getBaseGrams(result.nutrition));
+        result.portion = { unit: 'gram', quantity: grams, grams };
+        return result;
+    }
+    
+    describePortion(portion, foodName) {
+        if (!portion) return '';
+        
+        if (portion.unit === 'gram') {
+            return `${portion.grams} g`;
+        }
+        
+        const label = this.getUnits(foodName)[portion.unit].label;
+        return `${portion.quantity} ${label} ≈ ${portion.grams} g`;
+    }
+}
+
+/* ========================================
+   Export Portion Manager
+   ======================================== */
+
+const portionManager = new PortionManager();
+
+// Global functions for easy access
+window.PortionManager = {
+    instance: portionManager,
+    getUnits: (foodName) => portionManager.getUnits(foodName),
+    applyPortion: (result, portion) => portionManager.applyPortion(result, portion),
+    applyDefaultPortion: (result) => portionManager.applyDefaultPortion(result),
+    resetBase: (result) => portionManager.resetBase(result),
+    describePortion: (portion, foodName) => portionManager.describePortion(portion, foodName)
+};
+
+console.log('⚖️ Portion Manager module loaded successfully!');
@@ -210,10 +210,10 @@ class PWAInstaller {
                     <p>Trải nghiệm tốt hơn với ứng dụng</p>
                 </div>
                 <div class="install-banner-actions">
-                    <button class="btn btn-sm btn-primary" onclick="pwaInstaller.promptInstall()">
+                    <button class="btn btn-sm btn-primary" data-action="install">
                         Cài đặt
                     </button>
-                    <button class="btn btn-sm btn-outline-secondary" onclick="pwaInstaller.dismissInstallBanner()">
+                    <button class="btn btn-sm btn-outline-secondary" data-action="dismiss">
                         Để sau
                     </button>
                 </div>
@@ -233,6 +233,12 @@ class PWAInstaller {
             animation: slideInDown 0.3s ease;
         `;
         
+        banner.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'install') this.promptInstall();
+            if (action === 'dismiss') this.dismissInstallBanner();
+        });
+        
         document.body.appendChild(banner);
         
         // Auto-hide after 10 seconds
@@ -363,7 +369,7 @@ class PWAInstaller {
             <div class="update-content">
                 <i class="fas fa-sync-alt"></i>
                 <span>Có bản cập nhật mới</span>
-                <button class="btn btn-sm btn-light" onclick="pwaInstaller.updateApp()">
+                <button class="btn btn-sm btn-light" data-action="update">
                     Cập nhật
                 </button>
             </div>
@@ -383,6 +389,10 @@ class PWAInstaller {
             animation: slideInUp 0.3s ease;
         `;
         
+        updateBanner.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="update"]')) this.updateApp();
+        });
+        
         document.body.appendChild(updateBanner);
     }
     
@@ -478,21 +488,21 @@ class PWAInstaller {
     }
     
     navigateToCamera() {
-        if (window.FoodNinjaApp) {
-            window.FoodNinjaApp.navigateTo('camera');
-        }
+        this.navigateToView('camera');
     }
     
     navigateToChat() {
-        if (window.FoodNinjaApp) {
-            window.FoodNinjaApp.navigateTo('chat');
-        }
+        this.navigateToView('chat');
     }
     
     navigateToHistory() {
-        if (window.FoodNinjaApp) {
-            window.FoodNinjaApp.navigateTo('history');
-        }
+        this.navigateToView('history');
+    }
+    
+    navigateToView(view) {
+        // Shortcuts run before the app has initialized; FoodNinjaApp picks the
+        // view up from the hash on startup and on every later hashchange
+        window.location.hash = view;
     }
     
     /* ========================================
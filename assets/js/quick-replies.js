@@ -0,0 +1,212 @@
+/* ========================================
+   Food Ninja - Chat Quick Replies
+   ======================================== */
+
+// Suggested follow-up questions for the chat, built from templates. What is
+// suggested depends on the latest analysed food (its kind and which nutrients
+// are high or low) and on the topics of the last AI answer.
+class QuickReplyGenerator {
+    constructor() {
+        this.maxReplies = 4;
+        
+        // Per-meal amounts above (or, for fiber and protein, below) which a nutrient is worth asking about
+        this.levels = {
+            calories: { high: 700 },
+            sodium: { high: 800 },
+            sugar: { high: 20 },
+            fat: { high: 25 },
+            carbohydrates: { high: 80 },
+            protein: { high: 25, low: 5 },
+            fiber: { low: 2 }
+        };
+        
+        this.nutrientTemplates = {
+            'calories.high': 'Món {food} nhiều calo, nên ăn kèm gì cho cân bằng?',
+            'sodium.high': 'Món {food} có nhiều muối (natri) không, ảnh hưởng huyết áp thế nào?',
+            'sugar.high': 'Lượng đường trong {food} có đáng lo không?',
+            'fat.high': 'Làm sao giảm chất béo khi ăn {food}?',
+            'carbohydrates.high': 'Món {food} nhiều tinh bột, có làm tăng đường huyết không?',
+            'protein.high': 'Món {food} có phù hợp để tăng cơ không?',
+            'protein.low': 'Nên ăn thêm gì để đủ đạm cùng {food}?',
+            'fiber.low': 'Bổ sung chất xơ thế nào khi ăn {food}?'
+        };
+        
+        // Matched against the normalized food name (no diacritics)
+        this.foodKinds = [
+            {
+                keywords: ['pho', 'bun', 'mi', 'hu tieu', 'noodle', 'ramen', 'soup', 'canh', 'lau'],
+                replies: ['Nước dùng của {food} có nhiều muối không?']
+            },
+            {
+                keywords: ['com', 'rice', 'xoi', 'banh mi', 'bread', 'pizza', 'burger', 'sandwich'],
+                replies: ['Có cách nào ăn {food} mà ít tinh bột hơn?']
+            },
+            {
+                keywords: ['chien', 'ran', 'fried', 'nuong', 'grill', 'bbq', 'fries'],
+                replies: ['Cách chế biến {food} lành mạnh hơn?']
+            },
+            {
+                keywords: ['che', 'kem', 'banh ngot', 'cake', 'dessert', 'ice cream', 'cookie', 'chocolate', 'candy'],
+                replies: ['Một tuần nên ăn {food} mấy lần?']
+            },
+            {
+                keywords: ['tra sua', 'ca phe', 'coffee', 'tea', 'soda', 'juice', 'nuoc ngot', 'sinh to', 'smoothie', 'milk'],
+                replies: ['Uống {food} mỗi ngày có sao không?']
+            },
+            {
+                keywords: ['salad', 'rau', 'vegetable', 'fruit', 'trai cay', 'apple', 'banana', 'tao', 'chuoi'],
+                replies: ['{food} nên ăn vào lúc nào trong ngày là tốt nhất?']
+            }
+        ];
+        
+        // Topics of an AI answer (normalized text) and the follow-up each suggests
+        this.answerTopics = [
+            { keywords: ['tieu duong', 'duong huyet', 'diabet'], reply: 'Người tiểu đường nên ăn gì thay thế?' },
+            { keywords: ['natri', 'muoi', 'huyet ap', 'sodium'], reply: 'Làm sao giảm muối trong bữa ăn hằng ngày?' },
+            { keywords: ['calo', 'calorie', 'kcal', 'giam can'], reply: 'Làm sao đốt cháy lượng calo này?' },
+            { keywords: ['protein', 'dam'], reply: 'Những món nào giàu đạm mà ít béo?' },
+            { keywords: ['chat xo', 'fiber'], reply: 'Thực phẩm nào giàu chất xơ?' },
+            { keywords: ['chat beo', 'cholesterol', 'fat'], reply: 'Chất béo nào tốt cho tim mạch?' },
+            { keywords: ['vitamin', 'khoang chat'], reply: 'Tôi có cần uống thêm vitamin không?' }
+        ];
+        
+        this.analysisReplies = [
+            'Món này có hợp với người tiểu đường?',
+            'Gợi ý món thay thế ít calo hơn'
+        ];
+        
+        this.answerReplies = [
+            'Gợi ý thực đơn cả ngày cho tôi',
+            'Giải thích ngắn gọn hơn được không?'
+        ];
+        
+        this.starterReplies = [
+            'Bữa sáng lành mạnh nên ăn gì?',
+            'Một ngày tôi cần bao nhiêu calo?',
+            'Thực phẩm nào giàu chất xơ?',
+            'Cách giảm cân an toàn?'
+        ];
+    }
+    
+    /* ========================================
+       Suggestions
+       ======================================== */
+    
+    // Right after a photo or name analysis
+    forAnalysis(result) {
+        if (!result?.foodName) return this.forEmptyChat();
+        
+        return this.pick([
+            ...this.getNutrientReplies(result),
+            ...this.getFoodKindReplies(result.foodName),
+            ...this.analysisReplies
+        ], result.foodName);
+    }
+    
+    // After an AI answer; the question just asked is never suggested again
+    forAnswer(answer, { question = '', analysis = null } = {}) {
+        const topics = this.normalize(answer);
+        const topicReplies = this.answerTopics
+            .filter(({ keywords }) => keywords.some(keyword => this.containsWord(topics, keyword)))
+            .map(({ reply }) => reply);
+        
+        const analysisReplies = analysis?.foodName ? [
+            ...this.getNutrientReplies(analysis),
+            ...this.getFoodKindReplies(analysis.foodName)
+        ] : [];
+        
+        return this.pick(
+            [...topicReplies, ...analysisReplies, ...this.answerReplies],
+            analysis?.foodName,
+            [question]
+        );
+    }
+    
+    // When the conversation has nothing in it yet
+    forEmptyChat(analysis = null) {
+        if (analysis?.foodName) {
+            return this.pick([...this.analysisReplies, ...this.getNutrientReplies(analysis), ...this.starterReplies], analysis.foodName);
+        }
+        
+        return this.pick(this.starterReplies);
+    }
+    
+    getNutrientReplies(result) {
+        const { NutritionUtils } = window.FoodNinjaUtils;
+        const totals = NutritionUtils.sumItems(NutritionUtils.getItems(result.nutrition));
+        const replies = [];
+        
+        for (const [nutrient, { high, low }] of Object.entries(this.levels)) {
+            if (high !== undefined && totals[nutrient] > high) {
+                replies.push(this.nutrientTemplates[`${nutrient}.high`]);
+            }
+            
+            // A missing value (0) says nothing about the food, so it does not count as low
+            if (low !== undefined && totals[nutrient] > 0 && totals[nutrient] < low) {
+                replies.push(this.nutrientTemplates[`${nutrient}.low`]);
+            }
+        }
+        
+        return replies;
+    }
+    
+    getFoodKindReplies(foodName) {
+        const name = this.normalize(foodName);
+        
+        return this.foodKinds
+            .filter(({ keywords }) => keywords.some(keyword => this.containsWord(name, keyword)))
+            .flatMap(({ replies }) => replies);
+    }
+    
+    /* ========================================
+       Helpers
+       ======================================== */
+    
+    // Fill in {food}, drop duplicates and excluded questions, keep the first few
+    pick(templates, foodName = '', exclude = []) {
+        const excluded = new Set(exclude.map(text => this.normalize(text)));
+        const seen = new Set();
+        const replies = [];
+        
+        for (const template of templates) {
+            if (template.includes('{food}') && !foodName) continue;
+            
+            const reply = template.replace('{food}', foodName);
+            const key = this.normalize(reply);
+            
+            if (seen.has(key) || excluded.has(key)) continue;
+            
+            seen.add(key);
+            replies.push(reply);
+            
+            if (replies.length === this.maxReplies) break;
+        }
+        
+        return replies;
+    }
+    
+    normalize(text) {
+        return window.FoodNinjaUtils.Utils.normalizeText(text || '');
+    }
+    
+    // Whole words only, so 'mi' does not match inside 'minh'
+    containsWord(text, keyword) {
+        return ` ${text.replace(/[^a-z0-9]+/g, ' ')} `.includes(` ${keyword} `);
+    }
+}
+
+/* ========================================
+   Export Quick Replies
+   ======================================== */
+
+const quickReplyGenerator = new QuickReplyGenerator();
+
+// Global functions for easy access
+window.QuickReplies = {
+    instance: quickReplyGenerator,
+    forAnalysis: (result) => quickReplyGenerator.forAnalysis(result),
+    forAnswer: (answer, options) => quickReplyGenerator.forAnswer(answer, options),
+    forEmptyChat: (analysis) => quickReplyGenerator.forEmptyChat(analysis)
+};
+
+console.log('💡 Quick Replies module loaded successfully!');
@@ -0,0 +1,388 @@
+/* ========================================
+   Food Ninja - Read Aloud
+   ======================================== */
+
+// Reads AI answers and advice with speechSynthesis. Text is stripped of
+// Markdown and spoken in short chunks, one after another, because long
+// utterances get cut off in Chrome and a chunk boundary is where a speed
+// change can take effect. Only one text is read at a time.
+class ReadAloudManager {
+    constructor() {
+        this.language = 'vi-VN';
+        this.rates = [0.75, 1, 1.25, 1.5, 2];
+        this.maxChunkLength = 200;
+        
+        this.autoReadKey = 'readAloudAutoRead';
+        this.rateKey = 'readAloudRate';
+        
+        // { controls, chunks, index, paused }
+        this.current = null;
+        
+        // Bumped on every start/stop so callbacks of cancelled utterances are ignored
+        this.generation = 0;
+        
+        this.voice = null;
+        this.controlTexts = new WeakMap();
+        this.container = null;
+        
+        if (ReadAloudManager.isSupported()) {
+            this.loadVoice();
+            window.speechSynthesis.addEventListener?.('voiceschanged', () => this.loadVoice());
+        }
+    }
+    
+    static isSupported() {
+        return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    }
+    
+    /* ========================================
+       Settings
+       ======================================== */
+    
+    isAutoReadEnabled() {
+        return window.FoodNinjaUtils.storage.get(this.autoReadKey, false);
+    }
+    
+    setAutoRead(enabled) {
+        window.FoodNinjaUtils.storage.set(this.autoReadKey, Boolean(enabled));
+    }
+    
+    getRate() {
+        const rate = Number(window.FoodNinjaUtils.storage.get(this.rateKey, 1));
+        return this.rates.includes(rate) ? rate : 1;
+    }
+    
+    setRate(rate) {
+        if (!this.rates.includes(rate)) return;
+        
+        window.FoodNinjaUtils.storage.set(this.rateKey, rate);
+        
+        // Restart the chunk being read so the new speed is heard right away
+        if (this.current && !this.current.paused) {
+            this.speakChunk(++this.generation);
+        }
+        
+        this.updateAllControls();
+    }
+    
+    cycleRate() {
+        const index = this.rates.indexOf(this.getRate());
+        this.setRate(this.rates[(index + 1) % this.rates.length]);
+    }
+    
+    // A Vietnamese voice if the system has one; otherwise the browser picks from lang
+    loadVoice() {
+        const voices = window.speechSynthesis.getVoices();
+        const normalize = (lang) => (lang || '').replace('_', '-').toLowerCase();
+        
+        this.voice = voices.find(voice => normalize(voice.lang) === 'vi-vn') ||
+            voices.find(voice => normalize(voice.lang).startsWith('vi')) ||
+            null;
+        
+        if (this.container?.isConnected) {
+            this.renderForm();
+        }
+    }
+    
+    /* ========================================
+       Text Preparation
+       ======================================== */
+    
+    // Markdown syntax, links and emoji are not worth hearing
+    toPlainText(text) {
+        return String(text ?? '')
+            .replace(/```[\s\S]*?(```|$)/g, ' ')
+            .replace(/`([^`]+)`/g, '$1')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/https?:\/\/\S+/g, '')
+            .replace(/^\s*#{1,6}\s+/gm, '')
+            .replace(/^\s*>\s?/gm, '')
+            .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, '')
+            .replace(/^\s*(?:[-*+•]|\d+[.)])\s+/gm, '')
+            .replace(/(\*\*|__)(.+?)\1/g, '$2')
+            .replace(/\*(\S(?:.*?\S)?)\*/g, '$1')
+            .replace(/(?<!\w)_(\S(?:.*?\S)?)_(?!\w)/g, '$1')
+            .replace(/\p{Extended_Pictographic}\uFE0F?/gu, '')
+            .replace(/[ \t]+/g, ' ')
+            .replace(/\s*\n\s*/g, '\n')
+            .trim();
+    }
+    
+    // Lines and sentences, merged up to maxChunkLength; overlong sentences split at spaces
+    splitIntoChunks(text) {
+        // Headings and list items end without punctuation; a full stop keeps the pause after them
+        const sentences = text.split(/\n|(?<=[.!?…;:])\s+/)
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => /[.!?…;:,]$/.test(part) ? part : `${part}.`);
+        const chunks = [];
+        let chunk = '';
+        
+        for (let sentence of sentences) {
+            while (sentence.length > this.maxChunkLength) {
+                const cut = sentence.lastIndexOf(' ', this.maxChunkLength);
+                const end = cut > 0 ? cut : this.maxChunkLength;
+                
+                if (chunk) {
+                    chunks.push(chunk);
+                    chunk = '';
+                }
+                
+                chunks.push(sentence.slice(0, end).trim());
+                sentence = sentence.slice(end).trim();
+            }
+            
+            if (chunk && chunk.length + sentence.length + 1 > this.maxChunkLength) {
+                chunks.push(chunk);
+                chunk = '';
+            }
+            
+            chunk = chunk ? `${chunk} ${sentence}` : sentence;
+        }
+        
+        if (chunk) {
+            chunks.push(chunk);
+        }
+        
+        return chunks;
+    }
+    
+    /* ========================================
+       Playback
+       ======================================== */
+    
+    play(controls) {
+        if (!ReadAloudManager.isSupported()) {
+            window.FoodNinjaUtils.notifications.show('Trình duyệt không hỗ trợ đọc văn bản thành tiếng.', 'warning');
+            return false;
+        }
+        
+        const chunks = this.splitIntoChunks(this.toPlainText(this.controlTexts.get(controls)));
+        if (chunks.length === 0) return false;
+        
+        this.stop();
+        this.current = { controls, chunks, index: 0, paused: false };
+        this.speakChunk(++this.generation);
+        this.updateControls(controls);
+        
+        return true;
+    }
+    
+    speakChunk(generation) {
+        const current = this.current;
+        const utterance = new SpeechSynthesisUtterance(current.chunks[current.index]);
+        
+        utterance.lang = this.language;
+        utterance.voice = this.voice;
+        utterance.rate = this.getRate();
+        
+        utterance.onend = () => {
+            if (generation !== this.generation) return;
+            
+            current.index++;
+            
+            if (current.index < current.chunks.length) {
+                this.speakChunk(generation);
+            } else {
+                this.finish();
+            }
+        };
+        
+        utterance.onerror = (e) => {
+            // 'interrupted' and 'canceled' come from our own stop or restart
+            if (generation !== this.generation || e.error === 'interrupted' || e.error === 'canceled') return;
+            
+            console.warn('⚠️ Read aloud failed:', e.error);
+            this.finish();
+            window.FoodNinjaUtils.notifications.show('Không thể đọc thành tiếng. Vui lòng thử lại.', 'error');
+        };
+        
+        // cancel() first, or a restart would queue behind the chunk being read
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+    }
+    
+    pause() {
+        if (!this.current || this.current.paused) return;
+        
+        window.speechSynthesis.pause();
+        this.current.paused = true;
+        this.updateControls(this.current.controls);
+    }
+    
+    resume() {
+        if (!this.current?.paused) return;
+        
+        window.speechSynthesis.resume();
+        this.current.paused = false;
+        this.updateControls(this.current.controls);
+    }
+    
+    stop() {
+        if (!this.current) return;
+        
+        this.generation++;
+        window.speechSynthesis.cancel();
+        this.finish();
+    }
+    
+    finish() {
+        const controls = this.current?.controls;
+        this.current = null;
+        
+        if (controls) {
+            this.updateControls(controls);
+        }
+    }
+    
+    isPlaying(controls) {
+        return this.current?.controls === controls;
+    }
+    
+    // Reads the text only when the auto-read setting is on
+    autoRead(controls) {
+        if (!controls || !this.isAutoReadEnabled() || !ReadAloudManager.isSupported()) return false;
+        return this.play(controls);
+    }
+    
+    /* ========================================
+       Controls
+       ======================================== */
+    
+    // Play/pause, stop and speed buttons for one text
+    createControls(text) {
+        const controls = document.createElement('div');
+        controls.className = 'read-aloud-controls';
+        controls.innerHTML = `
+            <button type="button" class="btn btn-sm read-aloud-btn" data-action="read-aloud-toggle"></button>
+            <button type="button" class="btn btn-sm read-aloud-btn" data-action="read-aloud-stop" title="Dừng đọc" aria-label="Dừng đọc">
+                <i class="fas fa-stop"></i>
+            </button>
+            <button type="button" class="btn btn-sm read-aloud-btn read-aloud-rate" data-action="read-aloud-rate" title="Tốc độ đọc"></button>
+        `;
+        
+        controls.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            
+            if (action === 'read-aloud-toggle') this.toggle(controls);
+            if (action === 'read-aloud-stop') this.stop();
+            if (action === 'read-aloud-rate') this.cycleRate();
+        });
+        
+        this.controlTexts.set(controls, text);
+        this.updateControls(controls);
+        
+        return controls;
+    }
+    
+    setText(controls, text) {
+        this.controlTexts.set(controls, text);
+    }
+    
+    toggle(controls) {
+        if (!this.isPlaying(controls)) {
+            this.play(controls);
+        } else if (this.current.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+    
+    updateControls(controls) {
+        const active = this.isPlaying(controls);
+        const speaking = active && !this.current.paused;
+        const label = speaking ? 'Tạm dừng' : active ? 'Đọc tiếp' : 'Đọc thành tiếng';
+        const toggle = controls.querySelector('[data-action="read-aloud-toggle"]');
+        
+        toggle.innerHTML = `<i class="fas ${speaking ? 'fa-pause' : active ? 'fa-play' : 'fa-volume-up'}"></i>`;
+        toggle.title = label;
+        toggle.setAttribute('aria-label', label);
+        
+        controls.querySelector('[data-action="read-aloud-stop"]').hidden = !active;
+        controls.querySelector('[data-action="read-aloud-rate"]').textContent = `${this.getRate()}x`;
+        controls.classList.toggle('active', active);
+    }
+    
+    updateAllControls() {
+        document.querySelectorAll('.read-aloud-controls').forEach(controls => this.updateControls(controls));
+    }
+    
+    /* ========================================
+       Settings UI
+       ======================================== */
+    
+    renderSettings(container) {
+        if (!container) return false;
+        
+        if (!this.container?.isConnected || !container.contains(this.container)) {
+            this.container = document.createElement('div');
+            this.container.className = 'settings-group read-aloud-settings';
+            this.container.addEventListener('change', (e) => this.handleChange(e));
+            container.appendChild(this.container);
+        }
+        
+        this.renderForm();
+        return true;
+    }
+    
+    renderForm() {
+        const { Utils } = window.FoodNinjaUtils;
+        const supported = ReadAloudManager.isSupported();
+        
+        this.container.innerHTML = `
+            <h6>
+                <i class="fas fa-volume-up me-2"></i>
+                Đọc thành tiếng
+            </h6>
+            ${supported ? `
+                <div class="form-check mb-3">
+                    <input class="form-check-input" type="checkbox" id="readAloudAutoRead" name="autoRead" ${this.isAutoReadEnabled() ? 'checked' : ''}>
+                    <label class="form-check-label" for="readAloudAutoRead">Tự động đọc câu trả lời và lời khuyên của AI</label>
+                </div>
+                <div class="setting-item">
+                    <label class="form-label" for="readAloudRate">Tốc độ đọc</label>
+                    <select class="form-select" id="readAloudRate" name="rate">
+                        ${this.rates.map(rate => `
+                            <option value="${rate}" ${rate === this.getRate() ? 'selected' : ''}>${rate}x</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <small class="text-muted">
+                    ${this.voice ? `Giọng đọc: ${Utils.escapeHTML(this.voice.name)}` : 'Không tìm thấy giọng tiếng Việt trên thiết bị, trình duyệt sẽ dùng giọng mặc định.'}
+                </small>
+            ` : `
+                <p class="text-muted">Trình duyệt không hỗ trợ đọc văn bản thành tiếng.</p>
+            `}
+        `;
+    }
+    
+    handleChange(e) {
+        if (e.target.name === 'autoRead') {
+            this.setAutoRead(e.target.checked);
+        }
+        
+        if (e.target.name === 'rate') {
+            this.setRate(Number(e.target.value));
+        }
+    }
+}
+
+/* ========================================
+   Export Read Aloud
+   ======================================== */
+
+const readAloud = new ReadAloudManager();
+
+// Global functions for easy access
+window.ReadAloud = {
+    instance: readAloud,
+    createControls: (text) => readAloud.createControls(text),
+    setText: (controls, text) => readAloud.setText(controls, text),
+    autoRead: (controls) => readAloud.autoRead(controls),
+    stop: () => readAloud.stop(),
+    toPlainText: (text) => readAloud.toPlainText(text),
+    renderSettings: (container) => readAloud.renderSettings(container)
+};
+
+console.log('🔊 Read Aloud module loaded successfully!');
@@ -0,0 +1,305 @@
+/* ========================================
+   Food Ninja - Safe Rich Text Rendering
+   ======================================== */
+
+// Turns AI answers and other untrusted text into DOM nodes. Only a Markdown
+// subset is understood (headings, lists, quotes, code, bold, italic, links)
+// and nodes are built with createElement/textContent, never innerHTML. The
+// result still goes through an allow-list sanitizer before it is returned.
+class RichTextRenderer {
+    constructor() {
+        // Tag -> attributes it may keep
+        this.allowedTags = {
+            P: [],
+            BR: [],
+            STRONG: [],
+            EM: [],
+            CODE: [],
+            PRE: [],
+            UL: [],
+            OL: ['start'],
+            LI: [],
+            H5: [],
+            H6: [],
+            BLOCKQUOTE: [],
+            HR: [],
+            A: ['href', 'title', 'target', 'rel']
+        };
+        
+        // Removed with their content rather than unwrapped
+        this.droppedTags = ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'SVG', 'MATH', 'NOSCRIPT'];
+        
+        this.allowedProtocols = ['http:', 'https:', 'mailto:'];
+        
+        this.inlinePattern = new RegExp([
+            '(`+)([^`]+?)\\1',                                   // code
+            '(\\*\\*|__)(?=\\S)(.+?)(?<=\\S)\\3',                 // bold
+            '\\*(?=\\S)(.+?)(?<=\\S)\\*',                         // italic with *
+            '(?<![\\w])_(?=\\S)(.+?)(?<=\\S)_(?![\\w])',         // italic with _
+            '\\[([^\\]]+)\\]\\(((?:[^()\\s]|\\([^()\\s]*\\))+)\\)',  // [text](url)
+            '(https?:\\/\\/[^\\s<]+)'                             // bare URL
+        ].join('|'));
+    }
+    
+    /* ========================================
+       Public API
+       ======================================== */
+    
+    // DocumentFragment for the given Markdown text
+    render(text) {
+        const fragment = document.createDocumentFragment();
+        this.appendBlocks(fragment, String(text ?? ''));
+        return this.sanitize(fragment);
+    }
+    
+    renderInto(element, text) {
+        element.replaceChildren(this.render(text));
+        return element;
+    }
+    
+    /* ========================================
+       Block Parsing
+       ======================================== */
+    
+    appendBlocks(parent, text) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        let paragraph = null;
+        let list = null;
+        
+        const closeBlocks = () => {
+            paragraph = null;
+            list = null;
+        };
+        
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            let match;
+            
+            if (!line.trim()) {
+                closeBlocks();
+                continue;
+            }
+            
+            // Fenced code keeps its content verbatim
+            if (/^\s*```/.test(line)) {
+                closeBlocks();
+                const code = [];
+                
+                while (++i < lines.length && !/^\s*```/.test(lines[i])) {
+                    code.push(lines[i]);
+                }
+                
+                const pre = document.createElement('pre');
+                pre.appendChild(this.createElement('code', code.join('\n')));
+                parent.appendChild(pre);
+                continue;
+            }
+            
+            if ((match = line.match(/^\s*(#{1,6})\s+(.+?)\s*#*\s*$/))) {
+                closeBlocks();
+                const heading = document.createElement(match[1].length <= 2 ? 'h5' : 'h6');
+                this.appendInline(heading, match[2]);
+                parent.appendChild(heading);
+                continue;
+            }
+            
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                closeBlocks();
+                parent.appendChild(document.createElement('hr'));
+                continue;
+            }
+            
+            if ((match = line.match(/^\s*(?:([-*+•])|(\d+)[.)])\s+(.*)$/))) {
+                const tag = match[1] ? 'ul' : 'ol';
+                
+                if (!list || list.tagName.toLowerCase() !== tag) {
+                    paragraph = null;
+                    list = document.createElement(tag);
+                    
+                    if (tag === 'ol' && Number(match[2]) > 1) {
+                        list.setAttribute('start', match[2]);
+                    }
+                    
+                    parent.appendChild(list);
+                }
+                
+                const item = document.createElement('li');
+                this.appendInline(item, match[3]);
+                list.appendChild(item);
+                continue;
+            }
+            
+            if ((match = line.match(/^\s*>\s?(.*)$/))) {
+                closeBlocks();
+                const quote = document.createElement('blockquote');
+                this.appendInline(quote, match[1]);
+                parent.appendChild(quote);
+                continue;
+            }
+            
+            // An indented line right after a list item continues that item
+            if (list && /^\s+/.test(line)) {
+                const item = list.lastElementChild;
+                item.appendChild(document.createElement('br'));
+                this.appendInline(item, line.trim());
+                continue;
+            }
+            
+            list = null;
+            
+            if (paragraph) {
+                paragraph.appendChild(document.createElement('br'));
+            } else {
+                paragraph = document.createElement('p');
+                parent.appendChild(paragraph);
+            }
+            
+            this.appendInline(paragraph, line.trim());
+        }
+    }
+    
+    /* ========================================
+       Inline Parsing
+       ======================================== */
+    
+    appendInline(parent, text) {
+        let rest = text;
+        let match;
+        
+        while (rest && (match = rest.match(this.inlinePattern))) {
+            if (match.index > 0) {
+                parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+            }
+            
+            const [whole, , code, , bold, starItalic, underscoreItalic, linkText, linkURL, bareURL] = match;
+            let consumed = whole;
+            
+            if (code !== undefined) {
+                parent.appendChild(this.createElement('code', code.trim()));
+            } else if (bold !== undefined) {
+                const strong = document.createElement('strong');
+                this.appendInline(strong, bold);
+                parent.appendChild(strong);
+            } else if (starItalic !== undefined || underscoreItalic !== undefined) {
+                const em = document.createElement('em');
+                this.appendInline(em, starItalic ?? underscoreItalic);
+                parent.appendChild(em);
+            } else if (linkText !== undefined) {
+                parent.appendChild(this.createLink(linkURL, linkText));
+            } else {
+                // Sentence punctuation after a URL is not part of it
+                const url = bareURL.replace(/[.,;:!?)\]]+$/, '');
+                consumed = url;
+                parent.appendChild(this.createLink(url, null));
+            }
+            
+            rest = rest.slice(match.index + consumed.length);
+        }
+        
+        if (rest) {
+            parent.appendChild(document.createTextNode(rest));
+        }
+    }
+    
+    createElement(tag, text) {
+        const element = document.createElement(tag);
+        element.textContent = text;
+        return element;
+    }
+    
+    // Links with a disallowed protocol (javascript:, data:...) become plain text
+    createLink(url, text) {
+        const href = this.safeURL(url);
+        
+        if (!href) {
+            return document.createTextNode(text ?? url);
+        }
+        
+        const link = document.createElement('a');
+        link.href = href;
+        
+        if (text === null) {
+            link.textContent = url;
+        } else {
+            this.appendInline(link, text);
+        }
+        
+        return link;
+    }
+    
+    safeURL(url) {
+        try {
+            const parsed = new URL(url, window.location.href);
+            return this.allowedProtocols.includes(parsed.protocol) ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /* ========================================
+       Sanitizer
+       ======================================== */
+    
+    // Remove every element, attribute and URL not on the allow-lists, in place
+    sanitize(root) {
+        for (const node of Array.from(root.childNodes)) {
+            if (node.nodeType === Node.TEXT_NODE) continue;
+            
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                continue;
+            }
+            
+            const tag = node.tagName.toUpperCase();
+            
+            if (this.droppedTags.includes(tag)) {
+                node.remove();
+                continue;
+            }
+            
+            this.sanitize(node);
+            
+            if (!this.allowedTags[tag]) {
+                node.replaceWith(...node.childNodes);
+                continue;
+            }
+            
+            for (const { name } of Array.from(node.attributes)) {
+                if (!this.allowedTags[tag].includes(name.toLowerCase())) {
+                    node.removeAttribute(name);
+                }
+            }
+            
+            if (tag === 'A') {
+                const href = this.safeURL(node.getAttribute('href') || '');
+                
+                if (href) {
+                    node.setAttribute('href', href);
+                } else {
+                    node.removeAttribute('href');
+                }
+                
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+        }
+        
+        return root;
+    }
+}
+
+/* ========================================
+   Export Rich Text Renderer
+   ======================================== */
+
+const richTextRenderer = new RichTextRenderer();
+
+// Global functions for easy access
+window.RichText = {
+    instance: richTextRenderer,
+    render: (text) => richTextRenderer.render(text),
+    renderInto: (element, text) => richTextRenderer.renderInto(element, text),
+    sanitize: (root) => richTextRenderer.sanitize(root)
+};
+
+console.log('📝 Rich Text module loaded successfully!');
@@ -79,6 +79,143 @@ class LocalStorageManager {
 
 const storage = new LocalStorageManager();
 
+/* ========================================
+   IndexedDB Storage
+   ======================================== */
+
+// Thin promise wrapper around a single object store. Each subsystem owns
+// its own database so stores can evolve without coordinating versions.
+class IndexedDBStore {
+    constructor(dbName, storeName, options = {}) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.version = options.version || 1;
+        this.keyPath = options.keyPath || 'id';
+        this.indexes = options.indexes || [];
+        this.dbPromise = null;
+    }
+    
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+        
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!IndexedDBStore.isSupported()) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+            
+            const request = indexedDB.open(this.dbName, this.version);
+            
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const store = db.objectStoreNames.contains(this.storeName) ?
+                    event.target.transaction.objectStore(this.storeName) :
+                    db.createObjectStore(this.storeName, { keyPath: this.keyPath });
+                
+                this.indexes.forEach(({ name, keyPath, options }) => {
+                    if (!store.indexNames.contains(name)) {
+                        store.createIndex(name, keyPath, options || {});
+                    }
+                });
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+        
+        return this.dbPromise;
+    }
+    
+    async run(mode, operation) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+    
+    put(record) {
+        return this.run('readwrite', store => store.put(record));
+    }
+    
+    get(key) {
+        return this.run('readonly', store => store.get(key));
+    }
+    
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key));
+    }
+    
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+    
+    count() {
+        return this.run('readonly', store => store.count());
+    }
+    
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+    
+    // Walk records in key or index order; return false from the callback to stop.
+    // after: { key, primaryKey } resumes an index walk just past that record,
+    // so records sharing an index key are neither skipped nor repeated
+    async iterate(indexName, options = {}, callback) {
+        const { range = null, direction = 'next', after = null } = options;
+        const db = await this.open();
+        const sign = direction.startsWith('prev') ? -1 : 1;
+        
+        // Compares the cursor position with `after` in walking order
+        const compare = (cursor) => sign * (indexedDB.cmp(cursor.key, after.key) ||
+            indexedDB.cmp(cursor.primaryKey, after.primaryKey));
+        
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readonly');
+            const store = tx.objectStore(this.storeName);
+            const source = indexName ? store.index(indexName) : store;
+            const request = source.openCursor(range, direction);
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                
+                if (after) {
+                    const position = compare(cursor);
+                    if (position < 0) {
+                        cursor.continuePrimaryKey(after.key, after.primaryKey);
+                        return;
+                    }
+                    if (position === 0) {
+                        cursor.continue();
+                        return;
+                    }
+                }
+                
+                if (callback(cursor.value) !== false) {
+                    cursor.continue();
+                }
+            };
+            
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
+
 /* ========================================
    Theme Management
    ======================================== */
@@ -209,11 +346,12 @@ class NotificationManager {
                 <strong class="me-auto">${titles[type] || titles.info}</strong>
                 <button type="button" class="btn-close" data-bs-dismiss="toast"></button>
             </div>
-            <div class="toast-body">
-                ${message}
-            </div>
+            <div class="toast-body"></div>
         `;
         
+        // Messages often quote food names and server errors
+        toast.querySelector('.toast-body').textContent = message;
+        
         return toast;
     }
     
@@ -244,6 +382,7 @@ class LoadingManager {
     constructor() {
         this.loadingCount = 0;
         this.loadingScreen = document.getElementById('loadingScreen');
+        this.cancelHandler = null;
     }
     
     show(message = 'Đang tải...') {
@@ -262,6 +401,9 @@ class LoadingManager {
         this.loadingCount = Math.max(0, this.loadingCount - 1);
         
         if (this.loadingCount === 0 && this.loadingScreen) {
+            this.loadingScreen.querySelector('.loading-progress')?.remove();
+            this.cancelHandler = null;
+            
             // Immediate hide without delay to prevent flash
             this.loadingScreen.style.opacity = '0';
             setTimeout(() => {
@@ -271,12 +413,51 @@ class LoadingManager {
         }
     }
     
+    cleanup() {
+        this.loadingCount = 1;
+        this.hide();
+    }
+    
+    // Loading screen with a progress bar, and a cancel button when onCancel is given
+    showProgress(message = 'Đang xử lý...', { onCancel = null } = {}) {
+        this.show(message);
+        if (!this.loadingScreen) return;
+        
+        let progress = this.loadingScreen.querySelector('.loading-progress');
+        
+        if (!progress) {
+            progress = document.createElement('div');
+            progress.className = 'loading-progress';
+            progress.innerHTML = `
+                <div class="progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                    <div class="progress-bar" id="progressBar"></div>
+                </div>
+                <small class="loading-progress-text" id="progressText"></small>
+                <button type="button" class="btn btn-sm btn-outline-light loading-cancel">
+                    <i class="fas fa-times me-1"></i>
+                    Hủy
+                </button>
+            `;
+            
+            progress.querySelector('.loading-cancel').addEventListener('click', () => {
+                this.cancelHandler?.();
+            });
+            
+            (this.loadingScreen.firstElementChild || this.loadingScreen).appendChild(progress);
+        }
+        
+        this.cancelHandler = onCancel;
+        progress.querySelector('.loading-cancel').hidden = !onCancel;
+        this.setProgress(0, message);
+    }
+    
     setProgress(percent, message) {
         const progressBar = document.getElementById('progressBar');
         const progressText = document.getElementById('progressText');
         
         if (progressBar) {
             progressBar.style.width = `${percent}%`;
+            progressBar.parentElement.setAttribute('aria-valuenow', String(Math.round(percent)));
         }
         
         if (progressText && message) {
@@ -328,41 +509,231 @@ class FormValidator {
    ======================================== */
 
 class ImageProcessor {
-    static resizeImage(file, maxWidth = 800, maxHeight = 600, quality = 0.8) {
+    // Defaults for preprocessImage(); the settings view can override them
+    static PREPROCESS_DEFAULTS = {
+        maxDimension: 1280,
+        crop: false,
+        format: 'image/jpeg',
+        maxBytes: 1024 * 1024,
+        quality: 0.85,
+        minQuality: 0.5
+    };
+    
+    static async resizeImage(file, maxWidth = 800, maxHeight = 600, quality = 0.8) {
+        const result = await this.preprocessImage(file, {
+            maxDimension: Math.max(maxWidth, maxHeight),
+            crop: false,
+            format: 'image/jpeg',
+            maxBytes: Infinity,
+            quality
+        });
+        
+        return result.file;
+    }
+    
+    static createThumbnail(file, maxSize = 160, quality = 0.7) {
         return new Promise((resolve) => {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
+            if (!file) {
+                resolve(null);
+                return;
+            }
+            
             const img = new Image();
+            const url = URL.createObjectURL(file);
             
             img.onload = function() {
-                // Calculate new dimensions
-                let { width, height } = img;
+                const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.width * scale);
+                canvas.height = Math.round(img.height * scale);
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
                 
-                if (width > height) {
-                    if (width > maxWidth) {
-                        height = height * (maxWidth / width);
-                        width = maxWidth;
-                    }
-                } else {
-                    if (height > maxHeight) {
-                        width = width * (maxHeight / height);
-                        height = maxHeight;
-                    }
-                }
+                URL.revokeObjectURL(url);
+                resolve(canvas.toDataURL('image/jpeg', quality));
+            };
+            
+            img.onerror = function() {
+                URL.revokeObjectURL(url);
+                resolve(null);
+            };
+            
+            img.src = url;
+        });
+    }
+    
+    /* ========================================
+       Upload Preprocessing
+       ======================================== */
+    
+    static getPreprocessOptions() {
+        return { ...this.PREPROCESS_DEFAULTS, ...storage.get('imageSettings', {}) };
+    }
+    
+    static isHEIC(file) {
+        return /^image\/hei[cf]/i.test(file?.type || '') || /\.hei[cf]$/i.test(file?.name || '');
+    }
+    
+    // EXIF orientation (1-8) of a JPEG, or 1 when absent
+    static async readOrientation(file) {
+        if (!/jpe?g/i.test(file.type)) return 1;
+        
+        const view = new DataView(await file.slice(0, 64 * 1024).arrayBuffer());
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+        
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+            
+            // APP1 segment starting with "Exif"
+            if (marker === 0xFFE1 && offset + 8 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+                // A truncated or malformed segment points outside what was read
+                const tiff = offset + 10;
+                if (tiff + 8 > view.byteLength) return 1;
                 
-                canvas.width = width;
-                canvas.height = height;
+                const little = view.getUint16(tiff) === 0x4949;
+                const ifd = tiff + view.getUint32(tiff + 4, little);
+                if (ifd + 2 > view.byteLength) return 1;
                 
-                // Draw and compress
-                ctx.drawImage(img, 0, 0, width, height);
+                const entries = view.getUint16(ifd, little);
                 
-                canvas.toBlob(resolve, 'image/jpeg', quality);
-            };
+                for (let i = 0; i < entries; i++) {
+                    const entry = ifd + 2 + i * 12;
+                    if (entry + 10 > view.byteLength) break;
+                    if (view.getUint16(entry, little) === 0x0112) {
+                        const orientation = view.getUint16(entry + 8, little);
+                        return orientation >= 1 && orientation <= 8 ? orientation : 1;
+                    }
+                }
+                return 1;
+            }
             
-            img.src = URL.createObjectURL(file);
+            if ((marker & 0xFF00) !== 0xFF00) break;
+            offset += 2 + length;
+        }
+        
+        return 1;
+    }
+    
+    // Browsers that support image-orientation already rotate when decoding
+    static appliesOrientation() {
+        return 'imageOrientation' in document.documentElement.style;
+    }
+    
+    static loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+            
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Không thể đọc ảnh'));
+            };
+            img.src = url;
         });
     }
     
+    static canEncode(type) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 1;
+        return canvas.toDataURL(type).startsWith(`data:${type}`);
+    }
+    
+    static canvasToBlob(canvas, type, quality) {
+        return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    }
+    
+    // Orient, downscale, optionally center-crop and re-encode within a byte budget
+    static async preprocessImage(file, options = {}) {
+        const settings = { ...this.getPreprocessOptions(), ...options };
+        
+        if (this.isHEIC(file)) {
+            throw new Error('Ảnh HEIC/HEIF chưa được hỗ trợ. Hãy chuyển ảnh sang JPEG (trên iPhone: Cài đặt › Camera › Định dạng › Tương thích nhất) rồi thử lại.');
+        }
+        
+        const img = await this.loadImage(file);
+        const orientation = this.appliesOrientation() ? 1 : await this.readOrientation(file);
+        const swapped = orientation >= 5;
+        
+        // Dimensions after orientation correction
+        const width = swapped ? img.height : img.width;
+        const height = swapped ? img.width : img.height;
+        
+        const side = Math.min(width, height);
+        const crop = settings.crop ?
+            { x: (width - side) / 2, y: (height - side) / 2, width: side, height: side } :
+            { x: 0, y: 0, width, height };
+        
+        // Browsers without WebP encoding would silently produce PNG
+        const type = this.canEncode(settings.format) ? settings.format : 'image/jpeg';
+        
+        let scale = Math.min(1, settings.maxDimension / Math.max(crop.width, crop.height));
+        let blob = null;
+        let quality = settings.quality;
+        let canvas;
+        
+        // Lower quality first, then dimensions, until the budget is met
+        for (let round = 0; round < 4; round++) {
+            canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(crop.width * scale));
+            canvas.height = Math.max(1, Math.round(crop.height * scale));
+            
+            const ctx = canvas.getContext('2d');
+            ctx.setTransform(scale, 0, 0, scale, -crop.x * scale, -crop.y * scale);
+            this.applyOrientation(ctx, orientation, img.width, img.height);
+            ctx.drawImage(img, 0, 0);
+            
+            quality = settings.quality;
+            blob = await this.canvasToBlob(canvas, type, quality);
+            
+            while (blob && blob.size > settings.maxBytes && quality - 0.1 >= settings.minQuality) {
+                quality -= 0.1;
+                blob = await this.canvasToBlob(canvas, type, quality);
+            }
+            
+            if (!blob || blob.size <= settings.maxBytes) break;
+            scale *= 0.75;
+        }
+        
+        if (!blob) {
+            throw new Error('Không thể nén ảnh');
+        }
+        
+        const extension = type === 'image/webp' ? 'webp' : 'jpg';
+        const name = `${(file.name || 'photo').replace(/\.[^.]+$/, '')}.${extension}`;
+        const processed = new File([blob], name, { type, lastModified: Date.now() });
+        
+        const report = {
+            file: processed,
+            originalSize: file.size,
+            size: processed.size,
+            originalDimensions: { width, height },
+            dimensions: { width: canvas.width, height: canvas.height },
+            orientation,
+            cropped: Boolean(settings.crop),
+            quality: Math.round(quality * 100) / 100
+        };
+        
+        console.log(`🖼️ Image preprocessed: ${Utils.formatFileSize(report.originalSize)} → ${Utils.formatFileSize(report.size)}`, report);
+        return report;
+    }
+    
+    static applyOrientation(ctx, orientation, width, height) {
+        switch (orientation) {
+            case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+            case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+            case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+            case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+            case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+            case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+            case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+        }
+    }
+    
     static createImagePreview(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -408,11 +779,15 @@ class DateUtils {
         const hours = String(d.getHours()).padStart(2, '0');
         const minutes = String(d.getMinutes()).padStart(2, '0');
         
+        // getRelativeTime() falls back to formatDate(), so only call it when asked
+        if (format === 'relative') {
+            return this.getRelativeTime(date);
+        }
+        
         const formats = {
             'dd/mm/yyyy': `${day}/${month}/${year}`,
             'yyyy-mm-dd': `${year}-${month}-${day}`,
-            'dd/mm/yyyy hh:mm': `${day}/${month}/${year} ${hours}:${minutes}`,
-            'relative': this.getRelativeTime(date)
+            'dd/mm/yyyy hh:mm': `${day}/${month}/${year} ${hours}:${minutes}`
         };
         
         return formats[format] || formats['dd/mm/yyyy'];
@@ -442,6 +817,74 @@ class DateUtils {
     }
 }
 
+/* ========================================
+   Nutrition Utilities
+   ======================================== */
+
+class NutritionUtils {
+    // Nutrients tracked across the app, keyed to CalorieNinjas item fields
+    static NUTRIENTS = {
+        calories: { field: 'calories', label: 'Calo', unit: 'kcal' },
+        protein: { field: 'protein_g', label: 'Protein', unit: 'g' },
+        carbohydrates: { field: 'carbohydrates_total_g', label: 'Carbohydrate', unit: 'g' },
+        fat: { field: 'fat_total_g', label: 'Chất béo', unit: 'g' },
+        fiber: { field: 'fiber_g', label: 'Chất xơ', unit: 'g' },
+        sugar: { field: 'sugar_g', label: 'Đường', unit: 'g' },
+        sodium: { field: 'sodium_mg', label: 'Natri', unit: 'mg' }
+    };
+    
+    static getItems(nutrition) {
+        return nutrition && Array.isArray(nutrition.items) ? nutrition.items : [];
+    }
+    
+    static emptyTotals() {
+        const totals = {};
+        Object.keys(this.NUTRIENTS).forEach(key => {
+            totals[key] = 0;
+        });
+        return totals;
+    }
+    
+    static sumItems(items) {
+        const totals = this.emptyTotals();
+        
+        items.forEach(item => {
+            for (const [key, { field }] of Object.entries(this.NUTRIENTS)) {
+                totals[key] += Number(item[field]) || 0;
+            }
+        });
+        
+        return totals;
+    }
+    
+    // Multiply every numeric field, e.g. to rescale a serving to a new portion
+    static scaleNutrition(value, factor) {
+        if (typeof value === 'number') {
+            return Math.round(value * factor * 10) / 10;
+        }
+        
+        if (Array.isArray(value)) {
+            return value.map(item => this.scaleNutrition(item, factor));
+        }
+        
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(
+                Object.entries(value).map(([key, item]) => [key, this.scaleNutrition(item, factor)])
+            );
+        }
+        
+        return value;
+    }
+    
+    static addTotals(a, b) {
+        const totals = this.emptyTotals();
+        Object.keys(totals).forEach(key => {
+            totals[key] = (a[key] || 0) + (b[key] || 0);
+        });
+        return totals;
+    }
+}
+
 /* ========================================
    Array and Object Utilities
    ======================================== */
@@ -507,6 +950,34 @@ class Utils {
         if (text.length <= maxLength) return text;
         return text.substr(0, maxLength - suffix.length) + suffix;
     }
+    
+    static escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    static formatFileSize(bytes) {
+        if (!bytes) return '0 B';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    
+    // Lowercase and strip Vietnamese diacritics so "Phở" matches "pho"
+    static normalizeText(text) {
+        return String(text ?? '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/g, 'd')
+            .replace(/Đ/g, 'D')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
 }
 
 /* ========================================
@@ -593,12 +1064,14 @@ class PerformanceMonitor {
 
 window.FoodNinjaUtils = {
     storage,
+    IndexedDBStore,
     themeManager,
     notifications,
     loading,
     FormValidator,
     ImageProcessor,
     DateUtils,
+    NutritionUtils,
     Utils,
     network,
     PerformanceMonitor
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'food-ninja-v2.2.1';
+const CACHE_NAME = 'food-ninja-v2.4.6';
 const STATIC_CACHE_URLS = [
   '/',
   '/app.html',
@@ -10,10 +10,26 @@ const STATIC_CACHE_URLS = [
   '/assets/css/landing.css',
   '/assets/css/themes.css',
   '/assets/js/app.js',
+  '/assets/js/app-page.js',
   '/assets/js/api.js',
+  '/assets/js/endpoints.js',
   '/assets/js/camera.js',
   '/assets/js/chat.js',
+  '/assets/js/chat-threads.js',
+  '/assets/js/history.js',
+  '/assets/js/diary.js',
+  '/assets/js/portions.js',
+  '/assets/js/corrections.js',
+  '/assets/js/food-search.js',
+  '/assets/js/offline-queue.js',
+  '/assets/js/batch.js',
+  '/assets/js/analysis-cache.js',
+  '/assets/js/food-info-cache.js',
   '/assets/js/utils.js',
+  '/assets/js/rich-text.js',
+  '/assets/js/read-aloud.js',
+  '/assets/js/quick-replies.js',
+  '/assets/js/diagnostics.js',
   '/assets/js/landing.js',
   '/assets/js/pwa-icons.js',
   '/assets/js/pwa-installer.js',
@@ -122,7 +138,8 @@ function isAPIRequest(url) {
   return url.pathname.startsWith('/api/') || 
          url.pathname.startsWith('/predict') || 
          url.pathname.startsWith('/chat') || 
-         url.pathname.startsWith('/ask_ai');
+         url.pathname.startsWith('/ask_ai') ||
+         url.pathname.startsWith('/nutrition');
 }
 
 // Check if request is for static resource
@@ -316,10 +333,122 @@ self.addEventListener('sync', event => {
   }
 });
 
+// Offline analyses are queued by assets/js/offline-queue.js in this database
+const OFFLINE_DB_NAME = 'food_ninja_offline';
+const OFFLINE_STORE_NAME = 'analyses';
+const OFFLINE_PROCESSING_TIMEOUT = 2 * 60 * 1000;
+
+function openOfflineDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+    
+    // Same schema the page creates, whichever side opens the database first
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OFFLINE_STORE_NAME)) {
+        const store = db.createObjectStore(OFFLINE_STORE_NAME, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+      }
+    };
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function runOfflineStore(mode, operation) {
+  const db = await openOfflineDB();
+  
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OFFLINE_STORE_NAME, mode);
+    const request = operation(tx.objectStore(OFFLINE_STORE_NAME));
+    
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function notifyClients(message) {
+  const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windowClients.forEach(client => client.postMessage(message));
+}
+
 async function processBackgroundSync() {
   console.log('[SW] Processing background sync');
-  // Handle any pending requests that failed while offline
-  // This could include retrying failed image analyses
+  
+  const entries = await runOfflineStore('readonly', store => store.getAll());
+  const pending = entries
+    .filter(entry => entry.status === 'pending' ||
+      (entry.status === 'processing' && Date.now() - entry.claimedAt > OFFLINE_PROCESSING_TIMEOUT))
+    .sort((a, b) => a.createdAt - b.createdAt);
+  
+  let retryLater = false;
+  
+  for (const entry of pending) {
+    if (!(await replayAnalysis(entry))) {
+      retryLater = true;
+    }
+  }
+  
+  // Rejecting makes the browser schedule another sync attempt
+  if (retryLater) {
+    throw new Error('Some offline analyses could not be sent');
+  }
+}
+
+// Returns false when the entry should be retried on the next sync
+async function replayAnalysis(entry) {
+  const claimed = { ...entry, status: 'processing', claimedAt: Date.now(), attempts: entry.attempts + 1 };
+  await runOfflineStore('readwrite', store => store.put(claimed));
+  
+  try {
+    const formData = new FormData();
+    formData.append('image', entry.image, entry.fileName);
+    
+    const response = await fetch(entry.url, { method: 'POST', body: formData });
+    const data = await response.json().catch(() => ({}));
+    
+    if (response.status >= 500) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    
+    if (!response.ok || data.error) {
+      // The server rejected the photo itself; retrying will not help
+      await runOfflineStore('readwrite', store => store.put({
+        ...claimed,
+        status: 'failed',
+        lastError: data.error || `HTTP ${response.status}`
+      }));
+      await notifyClients({ type: 'OFFLINE_ANALYSIS_FAILED', id: entry.id });
+      return true;
+    }
+    
+    // Open pages turn the stored response into a history entry
+    await runOfflineStore('readwrite', store => store.put({
+      ...claimed,
+      status: 'done',
+      response: data,
+      completedAt: Date.now()
+    }));
+    await notifyClients({ type: 'OFFLINE_ANALYSIS_COMPLETE', id: entry.id });
+    
+    console.log('[SW] Offline analysis replayed:', entry.id);
+    return true;
+    
+  } catch (error) {
+    console.log('[SW] Offline analysis replay failed:', entry.id, error);
+    await runOfflineStore('readwrite', store => store.put({
+      ...claimed,
+      status: 'pending',
+      claimedAt: null,
+      lastError: error.message
+    }));
+    return false;
+  }
 }
 
 // Push notifications (for future features)
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * XSS tests for the safe Markdown renderer (assets/js/rich-text.js)
+ * Requires: npm install --no-save jsdom
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const SOURCE = path.join(__dirname, 'assets', 'js', 'rich-text.js');
+const ALLOWED_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const DANGEROUS_TAGS = ['SCRIPT', 'IMG', 'SVG', 'IFRAME', 'OBJECT', 'EMBED', 'STYLE', 'FORM', 'INPUT', 'MATH', 'LINK', 'META'];
+
+function loadRichText() {
+    const dom = new JSDOM('<!DOCTYPE html><body></body>', {
+        runScripts: 'outside-only',
+        url: 'https://foodninja.example/app.html'
+    });
+
+    dom.window.console.log = () => {};
+    dom.window.eval(fs.readFileSync(SOURCE, 'utf8'));
+    return dom.window;
+}
+
+const window = loadRichText();
+const { document, RichText } = window;
+
+// Everything in the rendered tree that could run script or load content
+function findDangers(root) {
+    const dangers = [];
+
+    for (const element of root.querySelectorAll('*')) {
+        if (DANGEROUS_TAGS.includes(element.tagName.toUpperCase())) {
+            dangers.push(`<${element.tagName.toLowerCase()}> element`);
+        }
+
+        for (const { name, value } of Array.from(element.attributes)) {
+            if (/^on/i.test(name) || name === 'style' || name === 'src' || name === 'srcdoc') {
+                dangers.push(`${name}="${value}" on <${element.tagName.toLowerCase()}>`);
+            }
+
+            if (name === 'href') {
+                const protocol = new window.URL(value, window.location.href).protocol;
+                if (!ALLOWED_PROTOCOLS.includes(protocol)) {
+                    dangers.push(`href with ${protocol} on <${element.tagName.toLowerCase()}>`);
+                }
+            }
+        }
+    }
+
+    return dangers;
+}
+
+function renderMarkdown(text) {
+    const container = document.createElement('div');
+    container.appendChild(RichText.render(text));
+    return container;
+}
+
+// HTML given straight to the sanitizer, as a parsed fragment
+function sanitizeHTML(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const container = document.createElement('div');
+    container.appendChild(RichText.sanitize(template.content));
+    return container;
+}
+
+const MARKDOWN_PAYLOADS = [
+    ['script tag', '<script>alert(1)</script>'],
+    ['img onerror', '<img src=x onerror=alert(1)>'],
+    ['svg onload', '<svg onload=alert(1)><circle r="1"/></svg>'],
+    ['javascript: link', '[x](javascript:alert(1))'],
+    ['JavaScript: link with mixed case and spaces', '[x]( JaVaScRiPt:alert(1))'],
+    ['data: link', '[x](data:text/html,<script>alert(1)</script>)'],
+    ['vbscript: link', '[x](vbscript:msgbox(1))'],
+    ['entity-encoded javascript&colon; link', '[x](javascript&colon;alert(1))'],
+    ['entity-encoded javascript&#58; link', '[x](javascript&#58;alert(1))'],
+    ['HTML inside bold', '**<img src=x onerror=alert(1)>**'],
+    ['HTML inside italic', '_<script>alert(1)</script>_'],
+    ['HTML inside a list', '- <svg onload=alert(1)>\n- <iframe src="javascript:alert(1)"></iframe>'],
+    ['HTML inside a link text', '[<img src=x onerror=alert(1)>](https://example.com)'],
+    ['HTML inside a heading and quote', '## <script>alert(1)</script>\n> <img src=x onerror=alert(1)>'],
+    ['HTML inside code', '`<script>alert(1)</script>`\n```\n<img src=x onerror=alert(1)>\n```'],
+    ['attribute breaking URL', '[x](https://example.com/"onmouseover="alert(1))'],
+    ['malicious food name', 'Phở bò<img src=x onerror="alert(document.cookie)"> **Calories: 450 kcal**']
+];
+
+const HTML_PAYLOADS = [
+    ['script tag', '<p>ok</p><script>alert(1)</script>'],
+    ['img onerror', '<img src=x onerror=alert(1)>'],
+    ['svg onload', '<svg onload=alert(1)><a href="javascript:alert(1)">x</a></svg>'],
+    ['event handlers on allowed tags', '<p onclick="alert(1)" style="color:red">x</p><strong onmouseover="alert(1)">y</strong>'],
+    ['javascript: href', '<a href="javascript:alert(1)">x</a>'],
+    ['entity-encoded javascript&colon; href', '<a href="javascript&colon;alert(1)">x</a>'],
+    ['tab-split javascript href', '<a href="java\tscript:alert(1)">x</a>'],
+    ['data: href', '<a href="data:text/html,<script>alert(1)</script>">x</a>'],
+    ['iframe srcdoc', '<iframe srcdoc="<script>alert(1)</script>"></iframe>'],
+    ['nested unknown tags', '<div><span onclick="alert(1)"><em>text</em></span></div>'],
+    ['form and input', '<form action="javascript:alert(1)"><input onfocus=alert(1) autofocus></form>']
+];
+
+function test_markdown_payloads() {
+    return MARKDOWN_PAYLOADS.every(([name, payload]) => {
+        const dangers = findDangers(renderMarkdown(payload));
+
+        if (dangers.length > 0) {
+            console.log(`  ✗ ${name}: ${dangers.join(', ')}`);
+        }
+        return dangers.length === 0;
+    });
+}
+
+function test_html_payloads() {
+    return HTML_PAYLOADS.every(([name, payload]) => {
+        const dangers = findDangers(sanitizeHTML(payload));
+
+        if (dangers.length > 0) {
+            console.log(`  ✗ ${name}: ${dangers.join(', ')}`);
+        }
+        return dangers.length === 0;
+    });
+}
+
+function test_markup_stays_visible_as_text() {
+    const container = renderMarkdown('Phở bò<img src=x onerror=alert(1)>');
+    const ok = container.textContent.includes('<img src=x onerror=alert(1)>') && !container.querySelector('img');
+
+    if (!ok) {
+        console.log(`  ✗ got: ${container.innerHTML}`);
+    }
+    return ok;
+}
+
+function test_safe_links_survive() {
+    const container = renderMarkdown('[Viện Dinh dưỡng](https://viendinhduong.vn/(trang)) và https://example.com/a.');
+    const links = Array.from(container.querySelectorAll('a'));
+    const ok = links.length === 2 &&
+        links[0].getAttribute('href') === 'https://viendinhduong.vn/(trang)' &&
+        links[1].getAttribute('href') === 'https://example.com/a' &&
+        links.every(link => link.getAttribute('target') === '_blank' && link.getAttribute('rel') === 'noopener noreferrer');
+
+    if (!ok) {
+        console.log(`  ✗ got: ${container.innerHTML}`);
+    }
+    return ok;
+}
+
+function test_disallowed_link_becomes_text() {
+    const container = renderMarkdown('[bấm vào đây](javascript:alert(1))');
+    const ok = !container.querySelector('a') && container.textContent === 'bấm vào đây';
+
+    if (!ok) {
+        console.log(`  ✗ got: ${container.innerHTML}`);
+    }
+    return ok;
+}
+
+function test_formatting_is_kept() {
+    const container = renderMarkdown('## Lời khuyên\n- **Ít muối**\n- _Nhiều rau_\n\n`code`');
+    const ok = ['h5', 'ul', 'li', 'strong', 'em', 'code'].every(tag => container.querySelector(tag));
+
+    if (!ok) {
+        console.log(`  ✗ got: ${container.innerHTML}`);
+    }
+    return ok;
+}
+
+function run_all_tests() {
+    console.log('=== Rich Text XSS Tests ===\n');
+
+    const tests = [
+        ['Markdown payloads', test_markdown_payloads],
+        ['Sanitizer HTML payloads', test_html_payloads],
+        ['Markup shown as text', test_markup_stays_visible_as_text],
+        ['Safe links survive', test_safe_links_survive],
+        ['Disallowed link becomes text', test_disallowed_link_becomes_text],
+        ['Formatting is kept', test_formatting_is_kept]
+    ];
+
+    const results = tests.map(([name, test]) => {
+        let result = false;
+
+        try {
+            result = test();
+        } catch (error) {
+            console.log(`  ✗ ${name} threw: ${error.stack}`);
+        }
+
+        console.log(`${name}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+        return result;
+    });
+
+    const passed = results.filter(Boolean).length;
+    console.log(`\nTests passed: ${passed}/${results.length}`);
+
+    process.exitCode = passed === results.length ? 0 : 1;
+}
+
+run_all_tests();